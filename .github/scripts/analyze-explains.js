@@ -1,26 +1,72 @@
 // .github/scripts/analyze-explains.js
 const fs = require('fs');
 const path = require('path');
+const { recommendIndexes } = require('./index-recommender');
+const { SEVERITIES, loadRules, runRules } = require('./rule-engine');
+const { planRoot, walkPlan } = require('./plan-tree');
+const { pipelineStages } = require('./pipeline-stages');
+const { lintQueries, formatLocation } = require('./lint-queries');
+const { REGRESSION_THRESHOLD_PCT, compareRuns } = require('./baseline-compare');
+const { queryFingerprint } = require('./query-fingerprint');
+const { RESULTS_FORMAT_VERSION, TOOL, queryRef, writeResults, readResultsFile } = require('./results-format');
+const { EXIT_CODES, loadGateSettings, evaluateGate } = require('./quality-gate');
+const { locationUri, toSarif } = require('./sarif');
+const { generateHtmlReport } = require('./html-report');
 
 const INPUT_FILE = path.resolve(__dirname, '../../reports/profiler-output.log');
+const INDEXES_FILE = path.resolve(__dirname, '../../reports/indexes.json');
+const WHAT_IF_FILE = path.resolve(__dirname, '../../reports/what-if.json');
+const INDEX_AUDIT_FILE = path.resolve(__dirname, '../../reports/index-audit.json');
 const SUMMARY_FILE = path.resolve(__dirname, '../../reports/profiler-summary.log');
 const PR_REPORT_FILE = path.resolve(__dirname, '../../reports/pr-query-report.md');
-
-// Performance thresholds from environment variables or defaults
-const THRESHOLDS = {
-  MAX_EXECUTION_TIME_MS: parseInt(process.env.MAX_EXECUTION_TIME_MS) || 100,
-  WARN_EXECUTION_TIME_MS: parseInt(process.env.WARN_EXECUTION_TIME_MS) || 50,
-  MAX_DOCS_EXAMINED: parseInt(process.env.MAX_DOCS_EXAMINED) || 500,
-  MIN_QUERY_EFFICIENCY: parseFloat(process.env.MIN_QUERY_EFFICIENCY) || 0.1
-};
-
-console.log('Using performance thresholds:', THRESHOLDS);
+const SARIF_FILE = path.resolve(__dirname, '../../reports/profiler.sarif');
+const HTML_REPORT_FILE = path.resolve(__dirname, '../../reports/profiler-report.html');
+const RUN_INFO_FILE = path.resolve(__dirname, '../../reports/profiler-run.json');
+const RESULTS_FILE = path.resolve(__dirname, '../../reports/results.json');
+const RESULTS_NDJSON_FILE = path.resolve(__dirname, '../../reports/results.ndjson');
+// The raw explain output makes up most of the results document; RESULTS_INCLUDE_EXPLAIN=false leaves it out
+const INCLUDE_EXPLAIN = process.env.RESULTS_INCLUDE_EXPLAIN !== 'false';
+// Profiler output of the base branch, compared against this run when present
+const BASELINE_FILE = process.env.BASELINE_FILE
+  ? path.resolve(process.env.BASELINE_FILE)
+  : path.resolve(__dirname, '../../reports/baseline-output.log');
+// Name of the branch the baseline was profiled on, for the report
+const BASELINE_REF = process.env.BASELINE_REF || 'base branch';
+
+// Commit the report links source locations to; REPORT_SHA is the PR head in the workflow
+const SOURCE_SHA = process.env.REPORT_SHA || process.env.GITHUB_SHA;
+const SOURCE_URL = process.env.GITHUB_REPOSITORY && SOURCE_SHA
+  ? `${process.env.GITHUB_SERVER_URL || 'https://github.com'}/${process.env.GITHUB_REPOSITORY}/blob/${SOURCE_SHA}`
+  : null;
+
+// Benchmark statistic compared against the time thresholds: min, median, p95, max or mean
+const LATENCY_PERCENTILE = process.env.LATENCY_PERCENTILE || 'p95';
+
+// Describe how the winning plan reads data, e.g. whether a count or distinct was index-only
+function describeScan(planStages) {
+  if (planStages.includes('RECORD_STORE_FAST_COUNT')) return 'Metadata count (no scan)';
+  if (planStages.includes('COUNT_SCAN')) return 'Index-only count (COUNT_SCAN)';
+  if (planStages.includes('DISTINCT_SCAN')) return 'Index-only distinct (DISTINCT_SCAN)';
+  if (planStages.includes('COLLSCAN')) return 'Collection scan';
+  if (planStages.includes('IXSCAN')) {
+    return planStages.includes('FETCH') ? 'Index scan + fetch' : 'Covered index scan';
+  }
+  return 'Unknown';
+}
 
 function summarizeExplain(explain) {
-  const stats = explain?.executionStats || {};
+  // Aggregations report the query layer under stages[0].$cursor; newer servers nest the plan under queryPlan
+  const cursor = explain?.stages?.[0]?.$cursor || explain;
+  const stats = cursor?.executionStats || explain?.executionStats || {};
+  const winningPlan = cursor?.queryPlanner?.winningPlan?.queryPlan || cursor?.queryPlanner?.winningPlan;
+
   const totalMillis = stats.executionTimeMillis || 0;
   const docsExamined = stats.totalDocsExamined || 0;
-  const docsReturned = stats.totalDocsReturned || 0;
+  // Writes and counts return nothing; use the documents they would modify, delete or count instead
+  // Aggregations return what their last stage outputs
+  const docsReturned = stats.totalDocsReturned || stats.executionStages?.nWouldModify ||
+    stats.executionStages?.nWouldDelete || stats.executionStages?.nCounted ||
+    explain?.stages?.[explain.stages.length - 1]?.nReturned || 0;
   const keysExamined = stats.totalKeysExamined || 0;
 
   // Try to find index name from queryPlanner winningPlan recursively
@@ -54,118 +100,486 @@ function summarizeExplain(explain) {
     return null;
   }
 
-  const indexUsed = findIndexName(explain?.queryPlanner?.winningPlan) || 'None';
-  const stage = findStage(explain?.queryPlanner?.winningPlan) || 'Unknown';
+  // Every stage name in the winning plan, top-down
+  function collectStages(plan, stages = []) {
+    if (!plan) return stages;
+    if (plan.stage) stages.push(plan.stage);
+    if (plan.inputStage) collectStages(plan.inputStage, stages);
+    (plan.inputStages || []).forEach(s => collectStages(s, stages));
+    if (plan.shards && plan.shards.length > 0) {
+      collectStages(plan.shards[0].winningPlan?.queryPlan || plan.shards[0].winningPlan, stages);
+    }
+    return stages;
+  }
+
+  const indexUsed = findIndexName(winningPlan) || 'None';
+  // Every index in the plan tree, e.g. one per $or branch
+  const indexesUsed = new Set();
+  walkPlan(planRoot(explain), node => {
+    if (node.indexName) indexesUsed.add(node.indexName);
+  });
+  const stage = findStage(winningPlan) || 'Unknown';
+  const planStages = collectStages(winningPlan);
 
   return { 
     totalMillis, 
     indexUsed, 
+    indexesUsed: [...indexesUsed],
     stage,
+    planStages,
+    scanType: describeScan(planStages),
     docsExamined, 
     docsReturned, 
     keysExamined 
   };
 }
 
-function analyzePerformance(result) {
-  const { totalMillis, indexUsed, stage, docsExamined, docsReturned, keysExamined } = result;
-  const issues = [];
-  const warnings = [];
-  const suggestions = [];
-
-  // Handle empty collections (EOF stage)
-  if (stage === 'EOF') {
-    warnings.push('Query executed on empty collection - no performance issues to analyze');
-    return {
-      performanceScore: 'Good',
-      issues,
-      warnings,
-      suggestions: ['Consider adding test data to validate query performance']
-    };
+// Summarize a profiler result, taking execution time from the benchmark (if one ran) at the configured percentile
+function summarizeResult(res) {
+  const summary = summarizeExplain(res.explain);
+  const latency = res.benchmark?.[LATENCY_PERCENTILE];
+  if (typeof latency === 'number') {
+    summary.totalMillis = latency;
+    summary.timeLabel = `${LATENCY_PERCENTILE} `;
+    summary.benchmark = res.benchmark;
   }
+  return summary;
+}
+
+// Rules used by analyzePerformance, loaded once from the built-in and project rule directories
+let rules = null;
+function getRules() {
+  if (!rules) rules = loadRules();
+  return rules;
+}
+
+// Run the analysis rules on a summarized result. `query` is the profiler result (with the full
+// explain); `recommendedIndex` is the createIndex command proposed for it, if any;
+// `existingIndexes` maps collection names to their indexes.
+function analyzePerformance(summary, { query = {}, recommendedIndex, existingIndexes = {} } = {}) {
+  const findings = runRules(getRules(), { explain: query.explain, summary, query, recommendedIndex, existingIndexes });
+  const issues = findings.filter(f => f.severity === 'error').map(f => f.message);
+  const warnings = findings.filter(f => f.severity !== 'error').map(f => f.message);
+  const suggestions = findings.map(f => f.suggestion).filter(Boolean);
+
+  return {
+    performanceScore: issues.length > 0 ? 'Poor' : (findings.some(f => f.severity === 'warning') ? 'Fair' : 'Good'),
+    issues,
+    warnings,
+    suggestions,
+    findings
+  };
+}
+
+// Analysis of every result, by result index; null for results that were not profiled.
+// Queries of a results document already carry their score and findings.
+function analyzeResults(results, existingIndexes = {}) {
+  const recommendedIndex = recommendedIndexByResult(recommendIndexes(results, existingIndexes));
+  return results.map((res, i) => {
+    if (res.score !== undefined) return res.score ? { performanceScore: res.score, findings: res.findings } : null;
+    return res.explain && !res.error
+      ? analyzePerformance(summarizeResult(res), { query: res, recommendedIndex: recommendedIndex.get(i), existingIndexes })
+      : null;
+  });
+}
+
+// Map each result index to the createIndex command recommended for it
+function recommendedIndexByResult(recommendations) {
+  const byResult = new Map();
+  recommendations.forEach(rec => rec.indexes.forEach(ix => {
+    ix.queries.forEach(q => byResult.set(q.index, ix.command));
+  }));
+  return byResult;
+}
+
+// Markdown section listing the recommended indexes per collection
+function indexRecommendationLines(recommendations, results) {
+  const proposing = recommendations.filter(rec => rec.indexes.length > 0);
+  if (proposing.length === 0) return [];
+  const describe = i => `Query ${i + 1} (\`${results[i].file || 'unknown'}${results[i].startLine ? `:${results[i].startLine}` : ''}\`)`;
+
+  const lines = [
+    '## 📇 Index Recommendations',
+    '',
+    'Compound indexes proposed from each query\'s filter, sort and projection in Equality → Sort → Range order, merged so one index serves several queries. Queries already served by an existing index prefix are left out.',
+    ''
+  ];
+  proposing.forEach(rec => {
+    lines.push(`### \`${rec.collection}\``);
+    lines.push('');
+    rec.indexes.forEach(ix => {
+      lines.push('```js');
+      lines.push(ix.command);
+      lines.push('```');
+      lines.push(`Serves: ${ix.queries.map(q => `${describe(q.index)}${q.covered ? ' — covered' : ''}`).join(', ')}`);
+      lines.push('');
+    });
+    if (rec.alreadyIndexed.length > 0) {
+      lines.push(`Already indexed: ${rec.alreadyIndexed.map(q => `${describe(q.index)} by \`${q.indexName}\``).join(', ')}`);
+      lines.push('');
+    }
+  });
+  return lines;
+}
 
-  // Execution time thresholds
-  if (totalMillis > THRESHOLDS.MAX_EXECUTION_TIME_MS) {
-    issues.push(`Slow query: ${totalMillis}ms execution time (threshold: ${THRESHOLDS.MAX_EXECUTION_TIME_MS}ms)`);
-    suggestions.push('Consider optimizing query filters and adding appropriate indexes');
-  } else if (totalMillis > THRESHOLDS.WARN_EXECUTION_TIME_MS) {
-    warnings.push(`Moderate execution time: ${totalMillis}ms (warning threshold: ${THRESHOLDS.WARN_EXECUTION_TIME_MS}ms)`);
+// Markdown section comparing plans before and after each candidate index was built
+function whatIfLines(whatIf) {
+  if (!whatIf || whatIf.candidates.length === 0) return [];
+  const change = (before, after, field) => (before[field] === after[field]
+    ? `${after[field]}`
+    : `${before[field]} → **${after[field]}**`);
+
+  const lines = [
+    '## 🧪 What-If Index Evaluation',
+    '',
+    'Candidate indexes were built on a scratch copy of each collection and the affected queries explained again. All scratch objects were dropped afterwards.',
+    ''
+  ];
+  whatIf.candidates.forEach(candidate => {
+    lines.push(`### \`${candidate.command}\``);
+    lines.push('');
+    if (candidate.error) {
+      lines.push(`❌ ${candidate.error}`);
+      lines.push('');
+      return;
+    }
+    lines.push('| Query | Plan Changed | Stage | Keys Examined | Docs Examined | Time (ms) |');
+    lines.push('|-------|--------------|-------|---------------|---------------|-----------|');
+    candidate.queries.forEach(q => {
+      const label = `Query ${q.index + 1} (\`${q.file || 'unknown'}${q.startLine ? `:${q.startLine}` : ''}\`)`;
+      if (q.before.error || q.after.error) {
+        lines.push(`| ${label} | ❌ | ${q.before.error || q.after.error} | | | |`);
+        return;
+      }
+      lines.push(`| ${label} | ${q.planChanged ? '✅ Yes' : 'No'} | ${change(q.before, q.after, 'stage')} (\`${q.after.indexUsed}\`) | ${change(q.before, q.after, 'keysExamined')} | ${change(q.before, q.after, 'docsExamined')} | ${change(q.before, q.after, 'executionTimeMillis')} |`);
+    });
+    lines.push('');
+  });
+  return lines;
+}
+
+function formatBytes(bytes) {
+  if (typeof bytes !== 'number') return 'unknown';
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+// Markdown section listing unused, redundant and _id-duplicating indexes
+function indexAuditLines(audit) {
+  if (!audit || audit.length === 0) return [];
+  const KIND_LABELS = {
+    unused: '🗑️ Unused',
+    'redundant-prefix': '♻️ Redundant prefix',
+    'duplicates-id': '🆔 Duplicates `_id`'
+  };
+
+  const lines = [
+    '## 🧹 Index Audit',
+    '',
+    'Indexes that no profiled query plan uses, that are a prefix of another index, or that duplicate `_id`. Every index is maintained on each write, so the write cost below is the collection\'s write load since server start.',
+    '',
+    '| Collection | Index | Finding | Size | Write Cost | Server Accesses |',
+    '|------------|-------|---------|------|------------|-----------------|'
+  ];
+  audit.forEach(entry => entry.findings.forEach(f => {
+    const notes = f.notes.length > 0 ? ` (${f.notes.join(', ')})` : '';
+    const writeCost = f.writeOps > 0 ? `${f.writeOps} writes, avg ${f.avgWriteLatencyMicros}µs` : 'no writes recorded';
+    const accesses = f.accesses ? `${f.accesses.ops} since ${new Date(f.accesses.since).toISOString().slice(0, 10)}` : 'unknown';
+    lines.push(`| \`${entry.collection}\` | \`${f.index}\` | ${KIND_LABELS[f.kind]}: ${f.reason}${notes} | ${formatBytes(f.sizeBytes)} | ${writeCost} | ${accesses} |`);
+  }));
+  const unprofiled = audit.filter(entry => entry.unprofiledQueries > 0);
+  if (unprofiled.length > 0) {
+    lines.push('');
+    lines.push(`⚠️ Some queries could not be profiled, so their index usage is unknown: ${unprofiled.map(e => `\`${e.collection}\` (${e.unprofiledQueries})`).join(', ')}`);
   }
+  lines.push('');
+  return lines;
+}
 
-  // Index usage analysis
-  if (indexUsed === 'None' || stage === 'COLLSCAN') {
-    issues.push('No index used - performs collection scan');
-    suggestions.push('Consider adding an appropriate index for this query');
+// One line per enabled rule with its severity and options, then the disabled rule IDs
+function ruleLines(ruleList) {
+  const lines = ruleList.filter(r => r.enabled).map(rule => {
+    const options = Object.entries(rule.options).map(([key, value]) => `${key}: ${JSON.stringify(value)}`).join(', ');
+    const kind = rule.type === 'lint' ? ', static' : '';
+    return `- **\`${rule.id}\`** (${rule.severity}${kind}): ${rule.description}${options ? ` — ${options}` : ''}`;
+  });
+  const disabled = ruleList.filter(r => !r.enabled);
+  if (disabled.length > 0) {
+    lines.push(`- Disabled: ${disabled.map(r => `\`${r.id}\``).join(', ')}`);
   }
+  return lines;
+}
 
-  // Document examination threshold
-  if (docsExamined > THRESHOLDS.MAX_DOCS_EXAMINED) {
-    issues.push(`High document examination: ${docsExamined} documents scanned (threshold: ${THRESHOLDS.MAX_DOCS_EXAMINED})`);
-    suggestions.push('Query examines too many documents - consider more selective filters or better indexing');
+// Static lint findings as a table, most severe first
+function lintLines(findings) {
+  if (findings.length === 0) return [];
+  const rank = f => SEVERITIES.indexOf(f.severity);
+  const lines = [
+    '## 🔎 Static Lint Findings',
+    '',
+    'Anti-patterns found in the query source, independent of the data in the profiling database.',
+    '',
+    '| Location | Rule | Severity | Message |',
+    '|----------|------|----------|---------|'
+  ];
+  [...findings].sort((a, b) => rank(a) - rank(b)).forEach(f => {
+    const message = f.suggestion ? `${f.message}. ${f.suggestion}` : f.message;
+    lines.push(`| ${sourceLink(f.location)} | \`${f.ruleId}\` | ${f.severity} | ${message.replace(/\|/g, '\\|')} |`);
+  });
+  lines.push('');
+  return lines;
+}
+
+// Final verdict of the quality gate: whether it passed, under which policy, and why
+function verdictLines(verdict) {
+  if (!verdict) return [];
+  const heading = verdict.passed
+    ? (verdict.queries.length > 0 ? '⚠️ Passed with warnings' : '✅ Passed')
+    : '❌ Failed';
+  const lines = [
+    '## 🚦 Quality Gate',
+    '',
+    `**Verdict**: ${heading} (policy \`${verdict.policy}\`)`,
+    '',
+    ...verdict.reasons.map(reason => `- ${reason}`)
+  ];
+  if (verdict.queries.length > 0) {
+    lines.push('');
+    lines.push(verdict.passed ? '**Queries that would fail a stricter policy**:' : '**Queries that failed the gate**:');
+    verdict.queries.forEach(query => lines.push(`- ${queryLocation(query)}`));
   }
+  lines.push('');
+  return lines;
+}
 
-  // Efficiency analysis
-  if (docsExamined > 0 && docsReturned > 0) {
-    const efficiency = docsReturned / docsExamined;
-    if (efficiency < THRESHOLDS.MIN_QUERY_EFFICIENCY) {
-      warnings.push(`Low query efficiency: ${(efficiency * 100).toFixed(1)}% (${docsReturned}/${docsExamined} docs, threshold: ${(THRESHOLDS.MIN_QUERY_EFFICIENCY * 100).toFixed(1)}%)`);
-      suggestions.push('Query examines many documents but returns few - consider more selective filters');
-    }
+// A source location as a link to its lines on GitHub (the same location the SARIF results
+// annotate), or as a code span when not running in GitHub Actions
+function sourceLink(location) {
+  const label = `\`${formatLocation(location)}\``;
+  if (!SOURCE_URL || !location.file || !location.startLine) return label;
+  const lines = location.endLine && location.endLine !== location.startLine
+    ? `L${location.startLine}-L${location.endLine}`
+    : `L${location.startLine}`;
+  return `[${label}](${SOURCE_URL}/${locationUri(location.file)}#${lines})`;
+}
+
+// Where a profiler result's query is in the source, linked, with its collection and method
+function queryLocation(res) {
+  return `${sourceLink(res)} (\`${res.collection || 'unknown'}.${res.method}\`)`;
+}
+
+// Opening of the collapsible block holding one query's details. Poor and failed queries start
+// expanded. The summary is HTML, so it shows the location as plain code rather than a link.
+function queryDetailsStart(res, index, heading, open) {
+  return [
+    open ? '<details open>' : '<details>',
+    `<summary><b>Query ${index + 1}: ${heading}</b> — <code>${formatLocation(res)}</code> (<code>${res.collection || 'unknown'}.${res.method}</code>)</summary>`,
+    ''
+  ];
+}
+
+// Regressions and plans that lost their index, shown first in the report
+function regressionLines(comparison) {
+  if (!comparison) return [];
+  const worsePlans = comparison.planChanges.filter(change => change.worse);
+  if (comparison.regressions.length === 0 && worsePlans.length === 0) {
+    return [`✅ **No regressions** against \`${comparison.baselineRef}\` (${comparison.matched} matched queries)`, ''];
   }
+  const lines = [
+    `## 🚨 Regressions vs \`${comparison.baselineRef}\``,
+    '',
+    `Matched queries that got worse than on the base branch (metric changes above ${comparison.thresholdPct}%):`,
+    '',
+    '| Query | Change | Before | After |',
+    '|-------|--------|--------|-------|'
+  ];
+  worsePlans.forEach(change => {
+    lines.push(`| ${queryLocation(change.query)} | Plan | ${change.before} | **${change.after}** |`);
+  });
+  comparison.regressions.forEach(r => {
+    const change = r.metric === 'status' ? r.label
+      : `${r.label} ${r.changePct !== null ? `+${r.changePct.toFixed(0)}%` : '(was 0)'}`;
+    lines.push(`| ${queryLocation(r.query)} | ${change} | ${r.before} | **${r.after}** |`);
+  });
+  lines.push('');
+  return lines;
+}
 
-  // Special case: examined documents but returned none
-  if (docsExamined > 0 && docsReturned === 0) {
-    warnings.push(`Query examined ${docsExamined} documents but returned none - possible inefficient query`);
-    suggestions.push('Review query filters to ensure they match actual data or add appropriate indexes');
+// New and removed queries and every plan change relative to the base branch
+function baselineChangeLines(comparison) {
+  if (!comparison) return [];
+  const { newQueries, removedQueries, planChanges } = comparison;
+  if (newQueries.length + removedQueries.length + planChanges.length === 0) return [];
+  const lines = [`## 🔀 Changes vs \`${comparison.baselineRef}\``, ''];
+  if (newQueries.length > 0) {
+    lines.push(`**New queries** (${newQueries.length}):`);
+    newQueries.forEach(res => lines.push(`- ${queryLocation(res)}`));
+    lines.push('');
+  }
+  if (removedQueries.length > 0) {
+    lines.push(`**Removed queries** (${removedQueries.length}):`);
+    removedQueries.forEach(res => lines.push(`- ${queryLocation(res)}`));
+    lines.push('');
   }
+  if (planChanges.length > 0) {
+    lines.push(`**Plan changes** (${planChanges.length}):`);
+    planChanges.forEach(change => {
+      lines.push(`- ${queryLocation(change.query)}: ${change.before} → ${change.after}${change.worse ? ' ⚠️' : ''}`);
+    });
+    lines.push('');
+  }
+  return lines;
+}
+
+// Build the versioned results document (see "Results Format" in the README) from raw profiler
+// results. Every report is generated from this document.
+function buildResults(rawResults, { existingIndexes = {}, whatIf = null, indexAudit = null, baseline = null, runInfo = {} } = {}) {
+  const rules = getRules();
+  // Results of older extractions have no fingerprint yet
+  const results = rawResults.map(res => (res.fingerprint ? res : { ...res, fingerprint: queryFingerprint(res) }));
+  const indexRecommendations = recommendIndexes(results, existingIndexes);
+  const recommendedIndex = recommendedIndexByResult(indexRecommendations);
+  const summaries = results.map(res => (res.explain && !res.error ? summarizeResult(res) : null));
+  const analyses = results.map((res, i) => (summaries[i]
+    ? analyzePerformance(summaries[i], { query: res, recommendedIndex: recommendedIndex.get(i), existingIndexes })
+    : null));
+  const lintFindings = lintQueries(results, rules, { existingIndexes });
+  const verdict = evaluateGate({
+    results,
+    analyses,
+    lintFindings,
+    baseline,
+    baselineAnalyses: baseline ? analyzeResults(baseline, existingIndexes) : []
+  }, loadGateSettings());
+  const failedGate = new Set(verdict.passed ? [] : verdict.queries);
+  const comparison = baseline
+    ? compareRuns(baseline, results, { summarize: res => res.metrics || summarizeResult(res) })
+    : null;
+
+  const queries = results.map((res, i) => {
+    const { benchmark, ...metrics } = summaries[i] || {};
+    const query = {
+      ...queryRef(res),
+      locations: res.locations || [{
+        file: res.file,
+        startLine: res.startLine,
+        startColumn: res.startColumn,
+        endLine: res.endLine,
+        endColumn: res.endColumn
+      }],
+      pattern: res.pattern,
+      rawQuery: res.rawQuery,
+      cursorModifiers: res.cursorModifiers || [],
+      status: res.status || (res.error ? 'error' : summaries[i] ? 'ok' : 'no-explain'),
+      error: res.error || null,
+      metrics: summaries[i] ? metrics : null,
+      benchmark: res.benchmark || null,
+      benchmarkSkipped: res.benchmarkSkipped || null,
+      typicalMetrics: res.typicalExplain ? summarizeExplain(res.typicalExplain) : null,
+      bindings: res.bindings || [],
+      pipelineStages: summaries[i] ? pipelineStages(res.explain).map(({ spec, stats, ...stage }) => stage) : [],
+      recommendedIndex: recommendedIndex.get(i) || null,
+      score: analyses[i]?.performanceScore || null,
+      findings: analyses[i]?.findings || [],
+      failedGate: failedGate.has(res)
+    };
+    if (INCLUDE_EXPLAIN) {
+      query.explain = res.explain || null;
+      query.typicalExplain = res.typicalExplain || null;
+    }
+    return query;
+  });
+
+  const count = predicate => results.filter(predicate).length;
+  const scored = score => analyses.filter(a => a?.performanceScore === score).length;
+  const timedOut = count(r => r.status === 'timeout');
+  const stopped = count(r => r.status === 'cancelled' || r.status === 'skipped');
 
   return {
-    performanceScore: issues.length === 0 ? (warnings.length === 0 ? 'Good' : 'Fair') : 'Poor',
-    issues,
-    warnings,
-    suggestions
+    formatVersion: RESULTS_FORMAT_VERSION,
+    run: {
+      generatedAt: new Date().toISOString(),
+      tool: TOOL,
+      database: runInfo.database || null,
+      serverVersion: runInfo.serverVersion || null,
+      startedAt: runInfo.startedAt || null,
+      finishedAt: runInfo.finishedAt || null,
+      settings: runInfo.settings || {},
+      commit: SOURCE_SHA || null,
+      baselineRef: baseline ? BASELINE_REF : null
+    },
+    thresholds: {
+      latencyPercentile: LATENCY_PERCENTILE,
+      regressionThresholdPct: REGRESSION_THRESHOLD_PCT,
+      rules: rules.map(({ id, type, severity, enabled, description, options }) => ({ id, type, severity, enabled, description, options }))
+    },
+    summary: {
+      total: results.length,
+      profiled: summaries.filter(Boolean).length,
+      errors: count(r => r.error) - timedOut - stopped,
+      timedOut,
+      stopped,
+      good: scored('Good'),
+      fair: scored('Fair'),
+      poor: scored('Poor'),
+      lintFindings: lintFindings.length
+    },
+    verdict: { ...verdict, queries: verdict.queries.map(queryRef) },
+    queries,
+    lintFindings,
+    indexRecommendations,
+    comparison: comparison && {
+      baselineRef: BASELINE_REF,
+      thresholdPct: comparison.thresholdPct,
+      matched: comparison.matched,
+      newQueries: comparison.newQueries.map(queryRef),
+      removedQueries: comparison.removedQueries.map(queryRef),
+      planChanges: comparison.planChanges.map(({ current, before, after, worse }) => ({ query: queryRef(current), before, after, worse })),
+      regressions: comparison.regressions.map(({ current, metric, label, before, after, changePct }) => ({ query: queryRef(current), metric, label, before, after, changePct }))
+    },
+    whatIf,
+    indexAudit
   };
 }
 
-function generatePRReport(results) {
+function generatePRReport(doc) {
+  const { queries: results, comparison, summary: counts, verdict } = doc;
+  const rules = doc.thresholds.rules;
   const lines = [
     '# MongoDB Query Performance Report',
     '',
     'This report analyzes the performance of MongoDB queries found in the codebase.',
     '',
-    '## Performance Thresholds',
+    ...regressionLines(comparison),
+    '## Performance Rules',
     '',
-    `- **Slow Query**: > ${THRESHOLDS.MAX_EXECUTION_TIME_MS}ms execution time`,
-    `- **Warning**: > ${THRESHOLDS.WARN_EXECUTION_TIME_MS}ms execution time`,
-    `- **High Document Examination**: > ${THRESHOLDS.MAX_DOCS_EXAMINED} documents scanned`,
-    `- **Low Efficiency**: < ${(THRESHOLDS.MIN_QUERY_EFFICIENCY * 100).toFixed(1)}% query efficiency`,
+    ...ruleLines(rules),
+    ...(results.some(r => r.benchmark) ? [`- **Benchmarked Latency**: time thresholds use the ${doc.thresholds.latencyPercentile} of repeated runs`] : []),
     '',
     '## Summary',
     ''
   ];
 
-  const totalQueries = results.length;
-  const successfulQueries = results.filter(r => r.explain && !r.error).length;
-  const errorQueries = results.filter(r => r.error).length;
-  
-  lines.push(`- **Total Queries Analyzed**: ${totalQueries}`);
-  lines.push(`- **Successful Analysis**: ${successfulQueries}`);
-  lines.push(`- **Errors**: ${errorQueries}`);
+  lines.push(`- **Total Queries Analyzed**: ${counts.total}`);
+  lines.push(`- **Successful Analysis**: ${counts.profiled}`);
+  lines.push(`- **Errors**: ${counts.errors}`);
+  if (counts.timedOut > 0) lines.push(`- **Timed Out**: ${counts.timedOut}`);
+  if (counts.stopped > 0) lines.push(`- **Stopped by Global Deadline**: ${counts.stopped}`);
+  if (counts.lintFindings > 0) lines.push(`- **Static Lint Findings**: ${counts.lintFindings}`);
   lines.push('');
+  lines.push(...lintLines(doc.lintFindings));
 
-  if (successfulQueries === 0) {
+  if (counts.profiled === 0) {
     lines.push('⚠️ No queries could be analyzed successfully.');
+    lines.push('');
+    lines.push(...verdictLines(verdict));
     return lines.join('\n');
   }
 
-  // Performance summary
-  const performances = results
-    .filter(r => r.explain && !r.error)
-    .map(r => analyzePerformance(summarizeExplain(r.explain)));
-  
-  const goodQueries = performances.filter(p => p.performanceScore === 'Good').length;
-  const fairQueries = performances.filter(p => p.performanceScore === 'Fair').length;
-  const poorQueries = performances.filter(p => p.performanceScore === 'Poor').length;
+  const goodQueries = counts.good;
+  const fairQueries = counts.fair;
+  const poorQueries = counts.poor;
 
   lines.push('## Performance Overview');
   lines.push('');
@@ -174,73 +588,124 @@ function generatePRReport(results) {
   lines.push(`- 🔴 **Poor Performance**: ${poorQueries} queries`);
   lines.push('');
 
+  lines.push(...baselineChangeLines(comparison));
+
   // Detailed analysis
   lines.push('## Detailed Query Analysis');
   lines.push('');
 
+  const STATUS_HEADINGS = {
+    timeout: '⏱️ Timed Out',
+    cancelled: '⏹️ Cancelled at Deadline',
+    skipped: '⏹️ Skipped at Deadline'
+  };
+
   results.forEach((res, index) => {
     if (res.error) {
-      lines.push(`### Query ${index + 1}: ❌ Error`);
-      lines.push(`**File**: \`${res.file || 'unknown'}\``);
+      lines.push(...queryDetailsStart(res, index, STATUS_HEADINGS[res.status] || '❌ Error', true));
+      lines.push(`**File**: ${sourceLink(res)}`);
       lines.push(`**Collection**: \`${res.collection || 'unknown'}\``);
       lines.push(`**Method**: \`${res.method}\``);
       lines.push(`**Error**: ${res.error}`);
-      lines.push('');
+      lines.push('', '</details>', '');
       return;
     }
 
-    if (!res.explain) {
-      lines.push(`### Query ${index + 1}: ⚠️ No Analysis`);
-      lines.push(`**File**: \`${res.file || 'unknown'}\``);
+    if (!res.metrics) {
+      lines.push(...queryDetailsStart(res, index, '⚠️ No Analysis', false));
+      lines.push(`**File**: ${sourceLink(res)}`);
       lines.push('No explain result available');
-      lines.push('');
+      lines.push('', '</details>', '');
       return;
     }
 
-    const summary = summarizeExplain(res.explain);
-    const analysis = analyzePerformance(summary);
+    const summary = res.metrics;
     
-    const statusIcon = analysis.performanceScore === 'Good' ? '✅' : 
-                      analysis.performanceScore === 'Fair' ? '⚠️' : '❌';
+    const statusIcon = res.score === 'Good' ? '✅' : 
+                      res.score === 'Fair' ? '⚠️' : '❌';
     
-    lines.push(`### Query ${index + 1}: ${statusIcon} ${analysis.performanceScore} Performance`);
-    lines.push(`**File**: \`${res.file || 'unknown'}\``);
+    lines.push(...queryDetailsStart(res, index, `${statusIcon} ${res.score} Performance`, res.score === 'Poor'));
+    lines.push(`**File**: ${sourceLink(res)}`);
+    if (res.locations && res.locations.length > 1) {
+      lines.push(`**Same Query Shape At**: ${res.locations.slice(1).map(sourceLink).join(', ')}`);
+    }
+    if (res.fingerprint) lines.push(`**Fingerprint**: \`${res.fingerprint}\``);
     lines.push(`**Collection**: \`${res.collection}\``);
     lines.push(`**Method**: \`${res.method}\``);
-    lines.push(`**Execution Time**: ${summary.totalMillis}ms`);
-    lines.push(`**Index Used**: \`${summary.indexUsed}\``);
+    if (summary.timeLabel) {
+      const b = res.benchmark;
+      lines.push(`**Execution Time**: ${summary.totalMillis}ms (${doc.thresholds.latencyPercentile} of ${b.runs} runs after ${b.warmup} warm-up)`);
+      lines.push(`**Latency Spread**: min ${b.min}ms / median ${b.median}ms / p95 ${b.p95}ms / max ${b.max}ms, σ ${b.stdDev}ms`);
+    } else if (res.benchmarkSkipped) {
+      lines.push(`**Execution Time**: ${summary.totalMillis}ms (single explain; the benchmark was skipped at the global deadline)`);
+    } else {
+      lines.push(`**Execution Time**: ${summary.totalMillis}ms`);
+    }
+    lines.push(summary.indexesUsed.length > 1
+      ? `**Indexes Used**: ${summary.indexesUsed.map(name => `\`${name}\``).join(', ')}`
+      : `**Index Used**: \`${summary.indexUsed}\``);
+    lines.push(`**Plan**: \`${summary.planStages.join(' → ') || 'Unknown'}\` (${summary.scanType})`);
     lines.push(`**Documents Examined**: ${summary.docsExamined}`);
     lines.push(`**Documents Returned**: ${summary.docsReturned}`);
     if (summary.docsExamined > 0 && summary.docsReturned > 0) {
       const efficiency = ((summary.docsReturned / summary.docsExamined) * 100).toFixed(1);
       lines.push(`**Query Efficiency**: ${efficiency}%`);
     }
+    if (res.bindings.length > 0 && res.typicalMetrics) {
+      const typical = res.typicalMetrics;
+      lines.push(`**Typical Plan**: \`${typical.stage}\` using \`${typical.indexUsed}\`, ${typical.docsExamined} documents examined, ${typical.totalMillis}ms`);
+      lines.push('**Sampled Bindings** (metrics above are for the worst case):');
+      res.bindings.forEach(b => {
+        const marker = b.worstCase ? ' (worst case)' : '';
+        const outcome = b.error ? `error: ${b.error}` : `${b.docsExamined} docs examined, ${b.executionTimeMillis}ms`;
+        lines.push(`- ${b.label}${marker}: \`${JSON.stringify(b.values)}\` → ${outcome}`);
+      });
+    }
+    const stages = res.pipelineStages;
+    if (stages.length > 0) {
+      lines.push('');
+      lines.push('**Pipeline Stages**:');
+      lines.push('');
+      lines.push('| # | Stage | Docs In | Docs Out | Time (ms) |');
+      lines.push('|---|-------|---------|----------|-----------|');
+      const show = value => (value === undefined || value === null ? '–' : value);
+      stages.forEach(stage => {
+        lines.push(`| ${stage.index} | \`${stage.name}\` | ${show(stage.docsIn)} | ${show(stage.docsOut)} | ${show(stage.timeMillis)} |`);
+      });
+    }
     lines.push('');
 
-    if (analysis.issues.length > 0) {
+    const errors = res.findings.filter(f => f.severity === 'error');
+    if (errors.length > 0) {
       lines.push('**🔴 Issues:**');
-      analysis.issues.forEach(issue => lines.push(`- ${issue}`));
+      errors.forEach(f => lines.push(`- ${f.message} (\`${f.ruleId}\`)`));
       lines.push('');
     }
 
-    if (analysis.warnings.length > 0) {
+    const warnings = res.findings.filter(f => f.severity !== 'error');
+    if (warnings.length > 0) {
       lines.push('**🟡 Warnings:**');
-      analysis.warnings.forEach(warning => lines.push(`- ${warning}`));
+      warnings.forEach(f => lines.push(`- ${f.message} (\`${f.ruleId}\`)`));
       lines.push('');
     }
 
-    if (analysis.suggestions.length > 0) {
+    const suggestions = res.findings.map(f => f.suggestion).filter(Boolean);
+    if (suggestions.length > 0) {
       lines.push('**💡 Suggestions:**');
-      analysis.suggestions.forEach(suggestion => lines.push(`- ${suggestion}`));
+      suggestions.forEach(suggestion => lines.push(`- ${suggestion}`));
       lines.push('');
     }
 
     lines.push(`**Query**: \`${res.rawQuery}\``);
     lines.push('');
-    lines.push('---');
+    lines.push('</details>');
     lines.push('');
   });
 
+  lines.push(...indexRecommendationLines(doc.indexRecommendations, results));
+  lines.push(...whatIfLines(doc.whatIf));
+  lines.push(...indexAuditLines(doc.indexAudit));
+
   // Add recommendations section
   if (poorQueries > 0 || fairQueries > 0) {
     lines.push('## 🚀 Optimization Recommendations');
@@ -251,7 +716,8 @@ function generatePRReport(results) {
       lines.push('- Review queries marked as "Poor Performance"');
       lines.push('- Add indexes for queries performing collection scans');
       lines.push('- Optimize query filters to be more selective');
-      lines.push(`- Reduce document examination below ${THRESHOLDS.MAX_DOCS_EXAMINED} documents`);
+      const docsRule = rules.find(r => r.id === 'docs-examined' && r.enabled);
+      if (docsRule) lines.push(`- Reduce document examination below ${docsRule.options.maxDocsExamined} documents`);
       lines.push('');
     }
     
@@ -264,69 +730,138 @@ function generatePRReport(results) {
     }
   }
 
+  lines.push(...verdictLines(verdict));
   return lines.join('\n');
 }
 
-async function main() {
-  if (!fs.existsSync(INPUT_FILE)) {
-    console.error('Profiler output file not found:', INPUT_FILE);
-    process.exit(1);
-  }
-  
-  const results = JSON.parse(fs.readFileSync(INPUT_FILE, 'utf-8'));
+// Plain-text summary of a results document, written to profiler-summary.log
+function summaryText(doc) {
   const summaryLines = [];
+  doc.lintFindings.forEach(f => {
+    summaryLines.push(`Lint ${f.severity} at ${formatLocation(f.location)}: ${f.message} [${f.ruleId}]`);
+  });
+  if (summaryLines.length > 0) summaryLines.push('---');
 
-  console.log(`Analyzing ${results.length} query results...`);
-
-  for (const res of results) {
+  for (const res of doc.queries) {
     if (res.error) {
-      summaryLines.push(`Error in query from file ${res.file || 'unknown'}: ${res.error}`);
+      const kind = res.status === 'timeout' ? 'Timeout' : res.status === 'cancelled' || res.status === 'skipped' ? 'Stopped' : 'Error';
+      summaryLines.push(`${kind} in query from file ${res.file || 'unknown'}: ${res.error}`);
       continue;
     }
-    const { method, file, collection, rawQuery, explain } = res;
-    if (!explain) {
+    const { method, file, collection, rawQuery, metrics: summary } = res;
+    if (!summary) {
       summaryLines.push(`No explain result for query in ${file || 'unknown'}`);
       continue;
     }
-    const summary = summarizeExplain(explain);
-    const analysis = analyzePerformance(summary);
 
     summaryLines.push(`File: ${file || 'unknown'}`);
+    if (res.locations.length > 1) {
+      summaryLines.push(`Also At: ${res.locations.slice(1).map(formatLocation).join(', ')}`);
+    }
+    summaryLines.push(`Fingerprint: ${res.fingerprint}`);
     summaryLines.push(`Collection: ${collection || 'unknown'}`);
     summaryLines.push(`Method: ${method}`);
-    summaryLines.push(`Performance: ${analysis.performanceScore}`);
+    summaryLines.push(`Performance: ${res.score}`);
     summaryLines.push(`Execution Time (ms): ${summary.totalMillis}`);
+    if (summary.timeLabel) {
+      const b = res.benchmark;
+      summaryLines.push(`Latency (ms, ${b.runs} runs): min ${b.min} / median ${b.median} / p95 ${b.p95} / max ${b.max}, stdDev ${b.stdDev}`);
+    }
     summaryLines.push(`Index Used: ${summary.indexUsed}`);
+    summaryLines.push(`Plan: ${summary.planStages.join(' -> ') || 'Unknown'} (${summary.scanType})`);
     summaryLines.push(`Documents Examined/Returned: ${summary.docsExamined}/${summary.docsReturned}`);
-    if (analysis.issues.length > 0) {
-      summaryLines.push(`Issues: ${analysis.issues.join(', ')}`);
+    if (res.typicalMetrics) {
+      const typical = res.typicalMetrics;
+      summaryLines.push(`Typical Plan: ${typical.stage} (${typical.indexUsed}), ${typical.docsExamined} docs examined, ${typical.totalMillis}ms`);
+    }
+    res.pipelineStages.forEach(stage => {
+      summaryLines.push(`Stage ${stage.index} ${stage.name}: ${stage.docsIn ?? '-'} in, ${stage.docsOut ?? '-'} out, ${stage.timeMillis ?? '-'}ms`);
+    });
+    const issues = res.findings.filter(f => f.severity === 'error').map(f => f.message);
+    if (issues.length > 0) {
+      summaryLines.push(`Issues: ${issues.join(', ')}`);
+    }
+    if (res.recommendedIndex) {
+      summaryLines.push(`Recommended Index: ${res.recommendedIndex}`);
     }
     summaryLines.push(`Query: ${rawQuery}`);
     summaryLines.push('---');
   }
 
-  const summaryText = summaryLines.join('\n');
-  fs.writeFileSync(SUMMARY_FILE, summaryText);
+  summaryLines.push(`Quality Gate (${doc.verdict.policy}): ${doc.verdict.passed ? 'Passed' : 'Failed'}`);
+  doc.verdict.reasons.forEach(reason => summaryLines.push(`- ${reason}`));
+  return summaryLines.join('\n');
+}
+
+// Results of a run: the raw profiler results of a profiler-output.log (ignoring a summary that
+// older versions appended to it), or the queries of a results document
+function readResults(file) {
+  if (file.endsWith('.ndjson')) return readResultsFile(file).queries;
+  const text = fs.readFileSync(file, 'utf-8');
+  const end = text.indexOf('\n\n--- Summary ---');
+  const parsed = JSON.parse(end === -1 ? text : text.slice(0, end));
+  if (Array.isArray(parsed)) return parsed;
+  return readResultsFile(file).queries;
+}
+
+const readJson = file => (fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf-8')) : null);
+
+// With `--from <results.json|results.ndjson>` the reports are regenerated from an existing
+// results document instead of a new analysis of profiler-output.log
+async function main() {
+  const fromIndex = process.argv.indexOf('--from');
+  let doc;
+  if (fromIndex !== -1) {
+    const file = path.resolve(process.argv[fromIndex + 1] || '');
+    if (!process.argv[fromIndex + 1] || !fs.existsSync(file)) {
+      console.error('Results file not found:', file);
+      process.exit(EXIT_CODES.error);
+    }
+    doc = readResultsFile(file);
+    console.log(`Regenerating reports from ${file}`);
+  } else {
+    if (!fs.existsSync(INPUT_FILE)) {
+      console.error('Profiler output file not found:', INPUT_FILE);
+      process.exit(EXIT_CODES.error);
+    }
+
+    console.log('Using analysis rules:', getRules().filter(r => r.enabled).map(r => r.id).join(', '));
+
+    const results = readResults(INPUT_FILE);
+    const baseline = fs.existsSync(BASELINE_FILE) ? readResults(BASELINE_FILE) : null;
+    if (baseline) console.log(`Comparing against ${baseline.length} baseline results from ${BASELINE_FILE}`);
+    console.log(`Analyzing ${results.length} query results...`);
+    doc = buildResults(results, {
+      existingIndexes: readJson(INDEXES_FILE) || {},
+      whatIf: readJson(WHAT_IF_FILE),
+      indexAudit: readJson(INDEX_AUDIT_FILE),
+      baseline,
+      runInfo: readJson(RUN_INFO_FILE) || {}
+    });
+    writeResults(doc, { jsonFile: RESULTS_FILE, ndjsonFile: RESULTS_NDJSON_FILE });
+  }
+
+  fs.writeFileSync(SUMMARY_FILE, summaryText(doc));
 
   // Generate PR report
-  const prReport = generatePRReport(results);
-  fs.writeFileSync(PR_REPORT_FILE, prReport);
+  fs.writeFileSync(PR_REPORT_FILE, generatePRReport(doc));
 
-  // Append summary to main profiler output file
-  fs.appendFileSync(INPUT_FILE, `\n\n--- Summary ---\n${summaryText}`);
+  // Code-scanning annotations for every finding
+  fs.writeFileSync(SARIF_FILE, JSON.stringify(toSarif(doc), null, 2));
+
+  // Offline HTML report with the plan-tree viewer
+  fs.writeFileSync(HTML_REPORT_FILE, generateHtmlReport(doc));
 
   console.log(`✅ Analysis complete!`);
+  if (fromIndex === -1) console.log(`🗂️  Results: ${RESULTS_FILE} (${RESULTS_NDJSON_FILE})`);
   console.log(`📄 Summary report: ${SUMMARY_FILE}`);
   console.log(`📋 PR report: ${PR_REPORT_FILE}`);
+  console.log(`🔖 SARIF: ${SARIF_FILE}`);
+  console.log(`🌐 HTML report: ${HTML_REPORT_FILE}`);
   
   // Quick performance summary
-  const successful = results.filter(r => r.explain && !r.error);
-  if (successful.length > 0) {
-    const performances = successful.map(r => analyzePerformance(summarizeExplain(r.explain)));
-    const poor = performances.filter(p => p.performanceScore === 'Poor').length;
-    const fair = performances.filter(p => p.performanceScore === 'Fair').length;
-    const good = performances.filter(p => p.performanceScore === 'Good').length;
-    
+  const { good, fair, poor, profiled } = doc.summary;
+  if (profiled > 0) {
     console.log(`\n📊 Performance Summary:`);
     console.log(`   🟢 Good: ${good} | 🟡 Fair: ${fair} | 🔴 Poor: ${poor}`);
     
@@ -334,9 +869,18 @@ async function main() {
       console.log('\n⚠️  Some queries have performance issues. Check the PR report for details.');
     }
   }
+
+  const { verdict } = doc;
+  console.log(`\n🚦 Quality gate (${verdict.policy}): ${verdict.passed ? 'passed' : 'FAILED'}`);
+  verdict.reasons.forEach(reason => console.log(`   - ${reason}`));
+  process.exitCode = verdict.exitCode;
+}
+
+if (require.main === module) {
+  main().catch(err => {
+    console.error(err);
+    process.exit(EXIT_CODES.error);
+  });
 }
 
-main().catch(err => {
-  console.error(err);
-  process.exit(1);
-});
+module.exports = { summarizeExplain, summarizeResult, analyzePerformance, buildResults };
@@ -0,0 +1,121 @@
+// .github/scripts/ast-utils.js
+const { parse } = require('@babel/parser');
+const traverse = require('@babel/traverse').default;
+
+// Keys that never lead to child nodes
+const SKIP_KEYS = new Set(['loc', 'start', 'end', 'extra', 'leadingComments', 'trailingComments', 'innerComments', 'range']);
+
+// Parse JS/TS source into a Babel AST, tolerating recoverable syntax errors
+function parseSource(content, filename = '') {
+  const isTypeScript = /\.(c|m)?tsx?$/.test(filename);
+  const plugins = isTypeScript ? ['typescript', 'decorators-legacy'] : ['jsx', 'decorators-legacy'];
+  if (/\.tsx$/.test(filename)) plugins.push('jsx');
+
+  return parse(content, {
+    sourceType: 'unambiguous',
+    errorRecovery: true,
+    allowReturnOutsideFunction: true,
+    allowAwaitOutsideFunction: true,
+    allowImportExportEverywhere: true,
+    plugins
+  });
+}
+
+// Per AST: identifier -> the identifier that declares the binding it refers to
+const declarationCache = new WeakMap();
+
+// Function mapping an identifier to the binding it refers to in its scope: the declaring
+// identifier node, or the plain name for globals. Two identifiers refer to the same variable
+// exactly when they map to the same value. Falls back to names when scope analysis fails.
+function bindingResolver(ast) {
+  if (!declarationCache.has(ast)) {
+    const declarations = new Map();
+    try {
+      traverse(ast, {
+        Identifier(path) {
+          const binding = path.scope.getBinding(path.node.name);
+          if (binding) declarations.set(path.node, binding.identifier);
+        }
+      });
+    } catch (err) {
+      declarations.clear();
+    }
+    declarationCache.set(ast, declarations);
+  }
+  const declarations = declarationCache.get(ast);
+  return node => declarations.get(node) || node.name;
+}
+
+// Depth-first walk calling visit(node, ancestors) for every node
+function walk(node, visit, ancestors = []) {
+  if (!node || typeof node.type !== 'string') return;
+  visit(node, ancestors);
+
+  ancestors.push(node);
+  for (const key of Object.keys(node)) {
+    if (SKIP_KEYS.has(key)) continue;
+    const child = node[key];
+    if (Array.isArray(child)) {
+      for (const item of child) {
+        if (item && typeof item.type === 'string') walk(item, visit, ancestors);
+      }
+    } else if (child && typeof child.type === 'string') {
+      walk(child, visit, ancestors);
+    }
+  }
+  ancestors.pop();
+}
+
+// Strip TypeScript wrappers and parentheses that don't change the value
+function unwrap(node) {
+  while (node && ['TSAsExpression', 'TSNonNullExpression', 'TSSatisfiesExpression', 'TSTypeAssertion', 'ParenthesizedExpression'].includes(node.type)) {
+    node = node.expression;
+  }
+  return node;
+}
+
+// Return the value of a string literal or expression-free template literal
+function getStaticString(node) {
+  node = unwrap(node);
+  if (!node) return null;
+  if (node.type === 'StringLiteral') return node.value;
+  if (node.type === 'TemplateLiteral' && node.expressions.length === 0) {
+    return node.quasis[0].value.cooked;
+  }
+  return null;
+}
+
+// Property name of a member expression (obj.name or obj['name'])
+function getMemberName(node) {
+  node = unwrap(node);
+  if (!node || (node.type !== 'MemberExpression' && node.type !== 'OptionalMemberExpression')) return null;
+  if (!node.computed && node.property.type === 'Identifier') return node.property.name;
+  if (node.property.type === 'PrivateName') return node.property.id.name;
+  return getStaticString(node.property);
+}
+
+// Original source text for a node
+function getSource(content, node) {
+  return content.slice(node.start, node.end);
+}
+
+// Source span with 1-based lines and columns
+function getSpan(node) {
+  return {
+    startLine: node.loc.start.line,
+    startColumn: node.loc.start.column + 1,
+    endLine: node.loc.end.line,
+    endColumn: node.loc.end.column + 1
+  };
+}
+
+module.exports = {
+  parseSource,
+  bindingResolver,
+  walk,
+  unwrap,
+  getStaticString,
+  getMemberName,
+  getSource,
+  getSpan
+};
@@ -0,0 +1,216 @@
+// .github/scripts/audit-indexes.js
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const { connect } = require('./run-profiler');
+
+const INPUT_FILE = path.resolve(__dirname, '../../reports/profiler-output.log');
+const OUTPUT_FILE = path.resolve(__dirname, '../../reports/index-audit.json');
+
+// Explain sections that describe plans the optimizer did not pick
+const NON_WINNING_KEYS = new Set(['rejectedPlans', 'allPlansExecution']);
+
+// Collection a `$lookup` reads from: `from: 'name'` or `from: { db, coll }`
+function lookupCollection(lookup) {
+  if (!lookup || typeof lookup !== 'object') return null;
+  return typeof lookup.from === 'string' ? lookup.from : lookup.from?.coll || null;
+}
+
+// Add every index used by the winning plan of an explain to `usage` (collection -> index names),
+// including OR branches, aggregation $cursor stages and shards. Indexes are credited to the
+// collection they belong to: a $lookup's foreign collection for the indexes it joins with
+// (`EQ_LOOKUP` plan stages and the `indexesUsed` of `$lookup` pipeline stages), `collection` otherwise.
+function indexUsage(explain, collection, usage = new Map()) {
+  const add = (coll, name) => {
+    if (!usage.has(coll)) usage.set(coll, new Set());
+    usage.get(coll).add(name);
+  };
+  (function visit(node, current) {
+    if (!node || typeof node !== 'object') return;
+    if (Array.isArray(node)) {
+      node.forEach(item => visit(item, current));
+      return;
+    }
+    const from = lookupCollection(node.$lookup);
+    if (from && Array.isArray(node.indexesUsed)) node.indexesUsed.forEach(name => add(from, name));
+    for (const [key, value] of Object.entries(node)) {
+      if (NON_WINNING_KEYS.has(key)) continue;
+      if (key === 'indexName' && typeof value === 'string') {
+        // EQ_LOOKUP stages name the foreign namespace ("db.collection") next to the index they use
+        const foreign = typeof node.foreignCollection === 'string' ? node.foreignCollection : null;
+        add(foreign ? foreign.slice(foreign.indexOf('.') + 1) : current, value);
+      } else {
+        visit(value, current);
+      }
+    }
+  })(explain, collection);
+  return usage;
+}
+
+// Index names used per collection across all profiled queries, and the number of
+// queries per collection that could not be profiled (their index usage is unknown)
+function collectUsage(results) {
+  const used = new Map();
+  const unprofiled = new Map();
+  for (const res of results) {
+    if (!res.collection) continue;
+    if (!used.has(res.collection)) used.set(res.collection, new Set());
+    if (!res.explain || res.error) {
+      unprofiled.set(res.collection, (unprofiled.get(res.collection) || 0) + 1);
+      continue;
+    }
+    indexUsage(res.explain, res.collection, used);
+    indexUsage(res.typicalExplain, res.collection, used);
+  }
+  return { used, unprofiled };
+}
+
+// Whether every key direction is a plain ascending/descending number (not text, hashed or geo)
+function isRegularKey(key) {
+  return Object.values(key).every(direction => typeof direction === 'number');
+}
+
+// Whether index `a`'s key is a strict prefix of index `b`'s key with the same directions
+function isPrefixOf(a, b) {
+  const aFields = Object.entries(a.key);
+  const bFields = Object.entries(b.key);
+  if (aFields.length >= bFields.length) return false;
+  return aFields.every(([field, direction], i) => bFields[i][0] === field && bFields[i][1] === direction);
+}
+
+// Whether an index can stand in for another: same collation, no partial filter, not sparse or hidden
+function isGeneralPurpose(index) {
+  return !index.partialFilterExpression && !index.sparse && !index.hidden;
+}
+
+// Find unused, prefix-redundant and _id-duplicating indexes on one collection
+function auditCollection(indexes, usedNames) {
+  const findings = [];
+  for (const index of indexes) {
+    if (index.name === '_id_') continue;
+    const notes = [];
+    if (index.unique) notes.push('enforces uniqueness');
+    if (index.expireAfterSeconds !== undefined) notes.push('TTL index');
+
+    const fields = Object.keys(index.key);
+    if (fields[0] === '_id') {
+      findings.push({
+        index: index.name,
+        key: index.key,
+        kind: 'duplicates-id',
+        reason: fields.length === 1
+          ? 'Duplicates the default `_id_` index'
+          : 'Leads with `_id`, which is already unique, so the remaining fields never narrow the scan',
+        notes
+      });
+    }
+
+    const covering = isRegularKey(index.key) && !index.unique && isGeneralPurpose(index)
+      ? indexes.find(other => other !== index && isGeneralPurpose(other) && isRegularKey(other.key) &&
+          JSON.stringify(other.collation || null) === JSON.stringify(index.collation || null) &&
+          isPrefixOf(index, other))
+      : null;
+    if (covering) {
+      findings.push({
+        index: index.name,
+        key: index.key,
+        kind: 'redundant-prefix',
+        reason: `Is a prefix of \`${covering.name}\`, which can serve the same queries`,
+        coveredBy: covering.name,
+        notes
+      });
+    }
+
+    if (!usedNames.has(index.name)) {
+      findings.push({
+        index: index.name,
+        key: index.key,
+        kind: 'unused',
+        reason: 'Not used by any profiled query plan',
+        notes
+      });
+    }
+  }
+  return findings;
+}
+
+// Storage size and write load per index from $collStats and $indexStats
+async function indexCosts(collection) {
+  const [collStats] = await collection.aggregate([
+    { $collStats: { storageStats: {}, latencyStats: {} } }
+  ]).toArray().catch(() => []);
+  const indexStats = await collection.aggregate([{ $indexStats: {} }]).toArray().catch(() => []);
+
+  const writes = collStats?.latencyStats?.writes || {};
+  const accesses = new Map(indexStats.map(s => [s.name, s.accesses]));
+  return {
+    writeOps: writes.ops || 0,
+    avgWriteLatencyMicros: writes.ops ? Math.round(writes.latency / writes.ops) : 0,
+    sizeOf: name => collStats?.storageStats?.indexSizes?.[name] ?? null,
+    accessesOf: name => accesses.get(name) || null
+  };
+}
+
+async function main() {
+  if (!fs.existsSync(INPUT_FILE)) {
+    console.error('Profiler output file not found:', INPUT_FILE);
+    console.log('Please run run-profiler.js first.');
+    process.exit(1);
+  }
+  const results = JSON.parse(fs.readFileSync(INPUT_FILE, 'utf-8'));
+  const { used, unprofiled } = collectUsage(results);
+
+  const { client, db } = await connect();
+  const audit = [];
+  try {
+    const collections = (await db.listCollections({}, { nameOnly: true }).toArray())
+      .map(c => c.name)
+      .filter(name => !name.startsWith('system.'))
+      .sort();
+
+    for (const name of collections) {
+      const collection = db.collection(name);
+      const indexes = await collection.indexes().catch(() => []);
+      const findings = auditCollection(indexes, used.get(name) || new Set());
+      if (findings.length === 0) continue;
+
+      const costs = await indexCosts(collection);
+      findings.forEach(finding => {
+        finding.sizeBytes = costs.sizeOf(finding.index);
+        finding.accesses = costs.accessesOf(finding.index);
+        // Every insert, delete and key-changing update also has to maintain this index
+        finding.writeOps = costs.writeOps;
+        finding.avgWriteLatencyMicros = costs.avgWriteLatencyMicros;
+      });
+      audit.push({
+        collection: name,
+        indexCount: indexes.length,
+        queries: results.filter(r => r.collection === name).length,
+        unprofiledQueries: unprofiled.get(name) || 0,
+        findings
+      });
+      console.log(`${name}: ${findings.length} finding(s)`);
+    }
+  } finally {
+    await client.close();
+  }
+
+  fs.writeFileSync(OUTPUT_FILE, JSON.stringify(audit, null, 2));
+  console.log(`\nIndex audit saved to ${OUTPUT_FILE}`);
+  const count = kind => audit.reduce((n, c) => n + c.findings.filter(f => f.kind === kind).length, 0);
+  console.log(`Summary: ${count('unused')} unused, ${count('redundant-prefix')} redundant prefix, ${count('duplicates-id')} duplicating _id`);
+}
+
+if (require.main === module) {
+  main().catch(err => {
+    console.error('Error:', err);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  indexUsage,
+  collectUsage,
+  isPrefixOf,
+  auditCollection
+};
@@ -0,0 +1,101 @@
+// .github/scripts/baseline-compare.js
+const { queryFingerprint } = require('./query-fingerprint');
+
+// Relative increase of a metric, in percent, above which a matched query counts as regressed
+const REGRESSION_THRESHOLD_PCT = parseFloat(process.env.REGRESSION_THRESHOLD_PCT) || 20;
+
+// Metrics compared between runs. Changes smaller than `minDelta` are noise and never regressions.
+const METRICS = [
+  { key: 'totalMillis', label: 'Execution time', unit: 'ms', minDelta: 5 },
+  { key: 'docsExamined', label: 'Documents examined', unit: '', minDelta: 10 },
+  { key: 'keysExamined', label: 'Keys examined', unit: '', minDelta: 10 }
+];
+
+function groupByFingerprint(results) {
+  const groups = new Map();
+  for (const res of results) {
+    // Results of older runs have no stored fingerprint
+    const fingerprint = res.fingerprint || queryFingerprint(res);
+    if (!groups.has(fingerprint)) groups.set(fingerprint, []);
+    groups.get(fingerprint).push(res);
+  }
+  return groups;
+}
+
+// Raw profiler results carry the explain; results documents carry summarized `metrics`
+const isProfiled = res => Boolean(res.metrics || res.explain) && !res.error;
+
+// How a plan reads data, for spotting plan changes: scan type plus every index used
+function planSignature(summary) {
+  const indexes = [...summary.indexesUsed].sort();
+  return indexes.length > 0 ? `${summary.scanType} (${indexes.join(', ')})` : summary.scanType;
+}
+
+// Compare the current run against a baseline run of the base branch. Queries are matched by
+// fingerprint (in source order when a fingerprint occurs several times). `summarize` turns a
+// profiler result into the metrics summary used by the report. `changePct` is null for a
+// status regression or a metric that was 0 before.
+function compareRuns(baseline, current, { summarize, thresholdPct = REGRESSION_THRESHOLD_PCT } = {}) {
+  const baseGroups = groupByFingerprint(baseline);
+  const currentGroups = groupByFingerprint(current);
+  const comparison = { thresholdPct, matched: 0, newQueries: [], removedQueries: [], planChanges: [], regressions: [] };
+
+  for (const [fingerprint, results] of currentGroups) {
+    const bases = baseGroups.get(fingerprint) || [];
+    results.forEach((res, i) => {
+      const base = bases[i];
+      if (!base) {
+        comparison.newQueries.push(res);
+        return;
+      }
+      comparison.matched++;
+      if (!isProfiled(base)) return;
+      if (!isProfiled(res)) {
+        comparison.regressions.push({ fingerprint, base, current: res, metric: 'status', label: 'Status', before: 'profiled', after: res.status || 'error', changePct: null });
+        return;
+      }
+
+      const before = summarize(base);
+      const after = summarize(res);
+      if (planSignature(before) !== planSignature(after)) {
+        comparison.planChanges.push({
+          fingerprint,
+          base,
+          current: res,
+          before: planSignature(before),
+          after: planSignature(after),
+          // Losing the index entirely is always a regression, whatever the timings say
+          worse: after.planStages.includes('COLLSCAN') && !before.planStages.includes('COLLSCAN')
+        });
+      }
+      for (const metric of METRICS) {
+        const delta = after[metric.key] - before[metric.key];
+        if (delta < metric.minDelta) continue;
+        const changePct = before[metric.key] > 0 ? (delta / before[metric.key]) * 100 : null;
+        if (changePct !== null && changePct <= thresholdPct) continue;
+        comparison.regressions.push({
+          fingerprint,
+          base,
+          current: res,
+          metric: metric.key,
+          label: metric.label,
+          before: `${before[metric.key]}${metric.unit}`,
+          after: `${after[metric.key]}${metric.unit}`,
+          changePct
+        });
+      }
+    });
+  }
+
+  for (const [fingerprint, bases] of baseGroups) {
+    comparison.removedQueries.push(...bases.slice((currentGroups.get(fingerprint) || []).length));
+  }
+  return comparison;
+}
+
+module.exports = {
+  REGRESSION_THRESHOLD_PCT,
+  METRICS,
+  planSignature,
+  compareRuns
+};
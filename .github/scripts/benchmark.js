@@ -0,0 +1,56 @@
+// .github/scripts/benchmark.js
+
+// Benchmark settings; BENCHMARK_RUNS=0 (the default) disables benchmark mode
+const BENCHMARK_RUNS = parseInt(process.env.BENCHMARK_RUNS) || 0;
+const BENCHMARK_WARMUP = process.env.BENCHMARK_WARMUP !== undefined ? parseInt(process.env.BENCHMARK_WARMUP) || 0 : 2;
+
+// Linear-interpolated percentile of an ascending array
+function percentile(sorted, p) {
+  if (sorted.length === 0) return 0;
+  const rank = (p / 100) * (sorted.length - 1);
+  const lower = Math.floor(rank);
+  const upper = Math.ceil(rank);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+}
+
+const round = value => Math.round(value * 100) / 100;
+
+// Latency statistics over a list of timings in milliseconds
+function latencyStats(timings) {
+  const sorted = [...timings].sort((a, b) => a - b);
+  const mean = sorted.reduce((sum, t) => sum + t, 0) / (sorted.length || 1);
+  const variance = sorted.reduce((sum, t) => sum + (t - mean) ** 2, 0) / (sorted.length || 1);
+  return {
+    min: round(sorted[0] || 0),
+    median: round(percentile(sorted, 50)),
+    p95: round(percentile(sorted, 95)),
+    max: round(sorted[sorted.length - 1] || 0),
+    mean: round(mean),
+    stdDev: round(Math.sqrt(variance))
+  };
+}
+
+// Run `runOnce` (resolving to a duration in ms, or null on failure) `warmup` times, then `runs`
+// timed times. Returns null when benchmark mode is off or no run succeeded.
+async function benchmark(runOnce, { runs = BENCHMARK_RUNS, warmup = BENCHMARK_WARMUP } = {}) {
+  if (runs <= 0) return null;
+  for (let i = 0; i < warmup; i++) {
+    await runOnce();
+  }
+
+  const timings = [];
+  for (let i = 0; i < runs; i++) {
+    const duration = await runOnce();
+    if (typeof duration === 'number') timings.push(duration);
+  }
+  if (timings.length === 0) return null;
+
+  return { runs: timings.length, warmup, ...latencyStats(timings), timings };
+}
+
+module.exports = {
+  BENCHMARK_RUNS,
+  BENCHMARK_WARMUP,
+  benchmark,
+  latencyStats
+};
@@ -0,0 +1,199 @@
+// .github/scripts/collection-bindings.js
+const path = require('path');
+const { walk, unwrap, getStaticString, getMemberName, bindingResolver } = require('./ast-utils');
+
+// Extensions tried when resolving a relative require/import to a scanned file
+const MODULE_SUFFIXES = ['', '.js', '.ts', '.mjs', '.cjs', '.jsx', '.tsx', '/index.js', '/index.ts'];
+
+const isCall = node => node && (node.type === 'CallExpression' || node.type === 'OptionalCallExpression');
+
+// Collection name for a `<db>.collection('name')` call, or null
+function getCollectionCall(node) {
+  node = unwrap(node);
+  if (!isCall(node) || getMemberName(node.callee) !== 'collection') return null;
+  const name = getStaticString(node.arguments[0]);
+  return name ? { collection: name, dbNode: unwrap(node.callee).object } : null;
+}
+
+// Module specifier of a `require('spec')` call, or null
+function getRequireSource(node) {
+  node = unwrap(node);
+  if (!isCall(node)) return null;
+  const callee = unwrap(node.callee);
+  if (callee.type !== 'Identifier' || callee.name !== 'require') return null;
+  return getStaticString(node.arguments[0]);
+}
+
+// True for `exports` and `module.exports`
+function isExportsObject(node) {
+  node = unwrap(node);
+  if (node.type === 'Identifier') return node.name === 'exports';
+  return unwrap(node.object)?.type === 'Identifier' && node.object.name === 'module' && getMemberName(node) === 'exports';
+}
+
+// Gather collection handles bound in a module: locals, this.<field>, exports and imports. Locals
+// and imports are keyed by binding (see bindingResolver), so a variable of the same name in an
+// inner scope is not mistaken for them.
+function collectBindings(ast) {
+  const bindingOf = bindingResolver(ast);
+  const locals = new Map();    // binding -> collection
+  const members = new Map();   // this.<field> -> collection
+  const exported = new Map();  // export name -> collection
+  const imports = new Map();   // binding -> { source, imported } ('*' for the whole module)
+  const exportedLocals = [];   // [export name, local identifier], resolved once all locals are known
+
+  // Record `name: value` where value is a handle or a local identifier
+  function addExport(name, value) {
+    value = unwrap(value);
+    const collectionCall = getCollectionCall(value);
+    if (collectionCall) {
+      exported.set(name, collectionCall.collection);
+    } else if (value && value.type === 'Identifier') {
+      exportedLocals.push([name, value]);
+    }
+  }
+
+  walk(ast.program, node => {
+    switch (node.type) {
+      case 'VariableDeclarator': {
+        const source = getRequireSource(node.init);
+        if (node.id.type === 'Identifier') {
+          const collectionCall = getCollectionCall(node.init);
+          if (collectionCall) locals.set(bindingOf(node.id), collectionCall.collection);
+          if (source) imports.set(bindingOf(node.id), { source, imported: '*' });
+        } else if (node.id.type === 'ObjectPattern' && source) {
+          for (const prop of node.id.properties) {
+            if (prop.type !== 'ObjectProperty' || prop.value.type !== 'Identifier') continue;
+            const imported = prop.key.type === 'Identifier' ? prop.key.name : getStaticString(prop.key);
+            if (imported) imports.set(bindingOf(prop.value), { source, imported });
+          }
+        }
+        break;
+      }
+
+      case 'AssignmentExpression': {
+        const left = unwrap(node.left);
+        const collectionCall = getCollectionCall(node.right);
+        if (left.type === 'Identifier') {
+          if (collectionCall) locals.set(bindingOf(left), collectionCall.collection);
+        } else if (left.type === 'MemberExpression') {
+          const object = unwrap(left.object);
+          const name = getMemberName(left);
+          if (object.type === 'ThisExpression' && name && collectionCall) {
+            members.set(name, collectionCall.collection);
+          } else if (isExportsObject(left)) {
+            // module.exports = { users, orders: db.collection('orders') } or module.exports = handle
+            const right = unwrap(node.right);
+            if (right.type === 'ObjectExpression') {
+              for (const prop of right.properties) {
+                if (prop.type !== 'ObjectProperty') continue;
+                const key = prop.key.type === 'Identifier' ? prop.key.name : getStaticString(prop.key);
+                if (key) addExport(key, prop.value);
+              }
+            } else {
+              addExport('default', right);
+            }
+          } else if (isExportsObject(object) && name) {
+            addExport(name, node.right);
+          }
+        }
+        break;
+      }
+
+      case 'ClassProperty':
+      case 'ClassPrivateProperty': {
+        const collectionCall = getCollectionCall(node.value);
+        const key = node.key.type === 'PrivateName' ? node.key.id.name : node.key.name;
+        if (collectionCall && key) members.set(key, collectionCall.collection);
+        break;
+      }
+
+      case 'ImportDeclaration':
+        for (const spec of node.specifiers) {
+          const imported = spec.type === 'ImportSpecifier'
+            ? (spec.imported.name || spec.imported.value)
+            : spec.type === 'ImportDefaultSpecifier' ? 'default' : '*';
+          imports.set(bindingOf(spec.local), { source: node.source.value, imported });
+        }
+        break;
+
+      case 'ExportNamedDeclaration':
+        if (node.declaration && node.declaration.type === 'VariableDeclaration') {
+          for (const decl of node.declaration.declarations) {
+            if (decl.id.type === 'Identifier') exportedLocals.push([decl.id.name, decl.id]);
+          }
+        }
+        if (!node.source) {
+          for (const spec of node.specifiers) {
+            if (spec.type !== 'ExportSpecifier') continue;
+            exportedLocals.push([spec.exported.name || spec.exported.value, spec.local]);
+          }
+        }
+        break;
+
+      case 'ExportDefaultDeclaration':
+        addExport('default', node.declaration);
+        break;
+    }
+  });
+
+  for (const [name, local] of exportedLocals) {
+    if (locals.has(bindingOf(local))) exported.set(name, locals.get(bindingOf(local)));
+  }
+
+  return { locals, members, exported, imports, bindingOf };
+}
+
+// Resolve a relative module specifier to one of the scanned files
+function resolveModulePath(fromFile, source, moduleExports) {
+  if (!source.startsWith('.')) return null;
+  const base = path.resolve(path.dirname(fromFile), source);
+  for (const suffix of MODULE_SUFFIXES) {
+    if (moduleExports.has(base + suffix)) return base + suffix;
+  }
+  return null;
+}
+
+// Build a function mapping a call receiver to the collection it refers to
+function createCollectionResolver(bindings, file, moduleExports = new Map()) {
+  function fromImport(binding, name) {
+    const target = resolveModulePath(file, binding.source, moduleExports);
+    return target ? moduleExports.get(target).get(name) || null : null;
+  }
+
+  return function resolveCollection(node) {
+    node = unwrap(node);
+    if (!node) return null;
+
+    const collectionCall = getCollectionCall(node);
+    if (collectionCall) return collectionCall.collection;
+
+    if (node.type === 'Identifier') {
+      const key = bindings.bindingOf(node);
+      if (bindings.locals.has(key)) return bindings.locals.get(key);
+      const binding = bindings.imports.get(key);
+      if (binding) return fromImport(binding, binding.imported === '*' ? 'default' : binding.imported);
+      return null;
+    }
+
+    if (node.type === 'MemberExpression') {
+      const object = unwrap(node.object);
+      const name = getMemberName(node);
+      if (!name) return null;
+      if (object.type === 'ThisExpression') return bindings.members.get(name) || null;
+      if (object.type === 'Identifier') {
+        // require('./db').users or import * as db from './db'; db.users
+        const binding = bindings.imports.get(bindings.bindingOf(object));
+        if (binding && binding.imported === '*') return fromImport(binding, name);
+      }
+    }
+    return null;
+  };
+}
+
+module.exports = {
+  getCollectionCall,
+  collectBindings,
+  resolveModulePath,
+  createCollectionResolver
+};
@@ -0,0 +1,127 @@
+// .github/scripts/explain-commands.js
+
+// Drop undefined options so they are not sent to the server as null
+function compact(doc) {
+  const result = {};
+  for (const [key, value] of Object.entries(doc)) {
+    if (value !== undefined) result[key] = value;
+  }
+  return result;
+}
+
+// Split a write query into its arguments. Extracted write queries are `[filter, update?, options?]`;
+// older queries.json files hold just the filter object.
+function writeArgs(queryObj, hasUpdate) {
+  if (!Array.isArray(queryObj)) return { filter: queryObj, update: hasUpdate ? {} : undefined, options: {} };
+  const [filter = {}, second, third] = queryObj;
+  return hasUpdate
+    ? { filter, update: second || {}, options: third || {} }
+    : { filter, options: second || {} };
+}
+
+// `update` command for updateOne, updateMany and replaceOne
+function buildUpdateCommand(collectionName, method, queryObj) {
+  const { filter, update, options } = writeArgs(queryObj, true);
+  return {
+    update: collectionName,
+    updates: [compact({
+      q: filter,
+      u: update,
+      upsert: Boolean(options.upsert),
+      multi: method === 'updatemany',
+      arrayFilters: method === 'replaceone' ? undefined : options.arrayFilters,
+      hint: options.hint,
+      collation: options.collation
+    })]
+  };
+}
+
+// `delete` command for deleteOne and deleteMany
+function buildDeleteCommand(collectionName, method, queryObj) {
+  const { filter, options } = writeArgs(queryObj, false);
+  return {
+    delete: collectionName,
+    deletes: [compact({
+      q: filter,
+      limit: method === 'deleteone' ? 1 : 0,
+      hint: options.hint,
+      collation: options.collation
+    })]
+  };
+}
+
+// `findAndModify` command for findOneAndUpdate, findOneAndReplace and findOneAndDelete
+function buildFindAndModifyCommand(collectionName, method, queryObj) {
+  const remove = method === 'findoneanddelete';
+  const { filter, update, options } = writeArgs(queryObj, !remove);
+  return compact({
+    findAndModify: collectionName,
+    query: filter,
+    update: remove ? undefined : update,
+    remove: remove || undefined,
+    upsert: remove ? undefined : Boolean(options.upsert),
+    new: remove ? undefined : (options.returnDocument === 'after' || options.new === true),
+    sort: options.sort,
+    fields: options.projection || options.fields,
+    arrayFilters: method === 'findoneandupdate' ? options.arrayFilters : undefined,
+    hint: options.hint,
+    collation: options.collation
+  });
+}
+
+// Build the server command for a write method, or null if `method` is not a write
+function buildWriteCommand(collectionName, method, queryObj) {
+  switch (method) {
+    case 'updateone':
+    case 'updatemany':
+    case 'replaceone':
+      return buildUpdateCommand(collectionName, method, queryObj);
+    case 'deleteone':
+    case 'deletemany':
+      return buildDeleteCommand(collectionName, method, queryObj);
+    case 'findoneandupdate':
+    case 'findoneandreplace':
+    case 'findoneanddelete':
+      return buildFindAndModifyCommand(collectionName, method, queryObj);
+    default:
+      return null;
+  }
+}
+
+// Map bulkWrite operations to { method, queryObj } pairs that buildWriteCommand understands.
+// Inserts are skipped since they have no plan.
+function bulkWriteOperations(operations) {
+  const result = [];
+  operations.forEach((op, index) => {
+    const [type] = Object.keys(op || {});
+    const spec = op[type] || {};
+    const { filter = {}, update, replacement, ...options } = spec;
+    switch (type) {
+      case 'updateOne':
+      case 'updateMany':
+        result.push({ index, method: type.toLowerCase(), queryObj: [filter, update, options] });
+        break;
+      case 'replaceOne':
+        result.push({ index, method: 'replaceone', queryObj: [filter, replacement, options] });
+        break;
+      case 'deleteOne':
+      case 'deleteMany':
+        result.push({ index, method: type.toLowerCase(), queryObj: [filter, options] });
+        break;
+    }
+  });
+  return result;
+}
+
+// Wrap a command in `explain` with execution statistics, optionally bounded by maxTimeMS
+function explainCommand(command, maxTimeMS) {
+  const explain = { explain: command, verbosity: 'executionStats' };
+  if (maxTimeMS) explain.maxTimeMS = maxTimeMS;
+  return explain;
+}
+
+module.exports = {
+  buildWriteCommand,
+  bulkWriteOperations,
+  explainCommand
+};
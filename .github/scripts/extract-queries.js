@@ -1,6 +1,11 @@
 // .github/scripts/extract-queries.js
 const fs = require('fs');
 const path = require('path');
+const { parseSource, walk, unwrap, getMemberName, getSource, getSpan } = require('./ast-utils');
+const { getCollectionCall, collectBindings, createCollectionResolver } = require('./collection-bindings');
+const { collectModels, createModelResolver } = require('./mongoose-models');
+const { createValueResolver, toSource } = require('./filter-resolver');
+const { queryFingerprint } = require('./query-fingerprint');
 
 const SEARCH_DIR = './';  // Root directory to scan
 const OUTPUT_FILE = path.resolve(__dirname, '../../reports/queries.json');
@@ -13,134 +18,269 @@ function findJsFiles(dir) {
     const fullPath = path.join(dir, item.name);
     if (item.isDirectory() && !fullPath.includes('node_modules') && !fullPath.includes('.git')) {
       files = files.concat(findJsFiles(fullPath));
-    } else if (item.isFile() && /\.(js|ts)$/.test(item.name)) {
+    } else if (item.isFile() && /\.(c|m)?(js|ts)x?$/.test(item.name)) {
       files.push(fullPath);
     }
   }
   return files;
 }
 
-// Extract queries including collection name, method, and raw query string
-function extractQueriesFromContent(content) {
-  const queries = [];
-  
-  // Pattern 1: Direct MongoDB driver calls (db.collection('name').method())
-  const mongoDriverRegex = /(?:await\s+)?(\w+)\.collection\(['"`](\w+)['"`]\)\s*(?:\.(\w+)\s*\([^)]*\)\s*)*\.(\w+)\s*\(([^)]*(?:\([^)]*\)[^)]*)*)\)/g;
-  
-  // Pattern 2: Chained MongoDB operations with multiple methods
-  const chainedRegex = /(?:await\s+)?(\w+)\.collection\(['"`](\w+)['"`]\)\s*((?:\.\w+\s*\([^)]*\)\s*)*)/g;
-  
-  // Pattern 3: Mongoose Model operations (Model.find(), Model.aggregate(), etc.)
-  const mongooseRegex = /(?:await\s+)?(\w+)\.(\w+)\s*\(([^)]*(?:\([^)]*\)[^)]*)*)\)(?:\s*\.(\w+)\s*\([^)]*\))*/g;
-  
-  // Pattern 4: Collection variable operations (collection.find(), etc.)
-  const collectionVarRegex = /(?:await\s+)?(\w+)\.(\w+)\s*\(([^)]*(?:\([^)]*\)[^)]*)*)\)/g;
-
-  // Process MongoDB driver patterns
-  let match;
-  while ((match = mongoDriverRegex.exec(content)) !== null) {
-    const dbVar = match[1];
-    const collection = match[2];
-    const method = match[4];
-    const rawQuery = match[5].trim();
-
-    // Skip empty or placeholder queries
-    if (!rawQuery || rawQuery === '{}' || rawQuery === '[]' || /\.{3}/.test(rawQuery)) {
-      continue;
-    }
+// Methods that run a query against a collection
+const QUERY_METHODS = new Set([
+  'find', 'findOne', 'aggregate', 'updateOne', 'updateMany', 'replaceOne',
+  'deleteOne', 'deleteMany', 'insertOne', 'insertMany', 'countDocuments',
+  'estimatedDocumentCount', 'distinct', 'findOneAndUpdate', 'findOneAndReplace',
+  'findOneAndDelete', 'bulkWrite'
+]);
 
-    queries.push({ 
-      collection, 
-      method, 
-      rawQuery,
-      pattern: 'mongodb-driver',
-      dbVar 
-    });
+// Mongoose-only model statics
+const MONGOOSE_METHODS = new Set([...QUERY_METHODS, 'findById']);
+
+// Methods whose second and third arguments are part of the query (update document, options, etc.)
+const MULTI_ARG_METHODS = new Set([
+  'updateOne', 'updateMany', 'replaceOne', 'deleteOne', 'deleteMany', 'distinct',
+  'countDocuments', 'findOneAndUpdate', 'findOneAndReplace', 'findOneAndDelete'
+]);
+
+// Cursor/query modifiers worth profiling when chained after find()
+const CURSOR_MODIFIERS = new Set(['project', 'projection', 'select', 'sort', 'skip', 'limit', 'hint', 'collation', 'maxTimeMS']);
+
+// Methods whose arguments after the filter are cursor settings: `(filter, options)` for the
+// driver, `(filter, projection, options)` for Mongoose models
+const FIND_METHODS = new Set(['find', 'findOne']);
+
+// find()/findOne() options recorded as the cursor modifier they correspond to
+const FIND_OPTIONS = {
+  projection: 'project',
+  sort: 'sort',
+  skip: 'skip',
+  limit: 'limit',
+  hint: 'hint',
+  collation: 'collation',
+  maxTimeMS: 'maxTimeMS'
+};
+
+const isCall = node => node && (node.type === 'CallExpression' || node.type === 'OptionalCallExpression');
+const isFunction = node => node && ['ArrowFunctionExpression', 'FunctionExpression'].includes(node.type);
+
+// Collect cursor modifiers chained after a query call, returning the outermost call of the chain
+function collectChain(callNode, ancestors) {
+  const modifiers = [];
+  let outer = callNode;
+  for (let i = ancestors.length - 1; i > 0; i -= 2) {
+    const member = ancestors[i];
+    const call = ancestors[i - 1];
+    const isChained = (member.type === 'MemberExpression' || member.type === 'OptionalMemberExpression') &&
+      member.object === outer && isCall(call) && call.callee === member;
+    if (!isChained) break;
+    modifiers.push({ name: getMemberName(member), args: call.arguments });
+    outer = call;
   }
+  return { modifiers, outer };
+}
 
-  // Process chained operations
-  while ((match = chainedRegex.exec(content)) !== null) {
-    const dbVar = match[1];
-    const collection = match[2];
-    const chainedMethods = match[3];
-    
-    // Parse chained methods
-    const methodMatches = [...chainedMethods.matchAll(/\.(\w+)\s*\(([^)]*)\)/g)];
-    
-    if (methodMatches.length > 0) {
-      const primaryMethod = methodMatches[0];
-      const method = primaryMethod[1];
-      const rawQuery = primaryMethod[2].trim();
-      
-      // Build query object for chained operations
-      const queryParts = {};
-      methodMatches.forEach(m => {
-        const methodName = m[1];
-        const methodArgs = m[2].trim();
-        if (methodArgs && methodArgs !== '{}' && !methodArgs.includes('...')) {
-          queryParts[methodName] = methodArgs;
-        }
-      });
+// Resolve a single argument to literal source, falling back to its original text when unresolvable
+function resolveArg(content, resolver, env, arg, path, unknownFields) {
+  const value = resolver.evaluate(arg, env);
+  if (value.kind === 'unknown' || value.kind === 'function') {
+    unknownFields.push({ path, expression: getSource(content, arg) });
+    return null;
+  }
+  return toSource(value, path, unknownFields);
+}
 
-      if (Object.keys(queryParts).length > 0) {
-        queries.push({
-          collection,
-          method,
-          rawQuery: JSON.stringify(queryParts),
-          pattern: 'chained',
-          dbVar
-        });
-      }
+// Cursor parts ([name, source]) of the arguments after a find()/findOne() filter. Options that
+// are not cursor settings are ignored; parts with runtime values are dropped.
+function findOptionParts(content, resolver, env, args, isModel, unknownFields) {
+  const parts = [];
+  const [projectionArg, optionsArg] = isModel ? args : [null, args[0]];
+  if (projectionArg) {
+    const projection = resolveArg(content, resolver, env, projectionArg, 'select', unknownFields);
+    if (projection && projection !== 'null') parts.push(['select', projection]);
+  }
+  if (!optionsArg) return parts;
+
+  const options = resolver.evaluate(optionsArg, env);
+  if (options.kind !== 'object') {
+    if (options.kind !== 'literal') unknownFields.push({ path: 'options', expression: getSource(content, optionsArg) });
+    return parts;
+  }
+  for (const [key, value] of options.props) {
+    const name = FIND_OPTIONS[key];
+    if (!name) continue;
+    if (value.kind === 'unknown' || value.kind === 'function') {
+      unknownFields.push({ path: name, expression: value.source || '<function>' });
+    } else {
+      parts.push([name, toSource(value, name, unknownFields)]);
     }
   }
+  return parts;
+}
 
-  // Process potential Mongoose patterns
-  const lines = content.split('\n');
-  for (let i = 0; i < lines.length; i++) {
-    const line = lines[i].trim();
-    
-    // Look for Model.method() patterns
-    const modelMatch = line.match(/(?:await\s+)?(\w+)\.(\w+)\s*\(([^)]*)\)/);
-    if (modelMatch) {
-      const modelName = modelMatch[1];
-      const method = modelMatch[2];
-      const args = modelMatch[3].trim();
-      
-      // Check if this looks like a MongoDB method
-      const mongoMethods = ['find', 'findOne', 'findById', 'aggregate', 'updateOne', 'updateMany', 
-                           'deleteOne', 'deleteMany', 'insertOne', 'insertMany', 'countDocuments', 
-                           'distinct', 'replaceOne'];
-      
-      if (mongoMethods.includes(method) && args && args !== '{}' && !args.includes('...')) {
-        queries.push({
-          collection: modelName.toLowerCase(), // Assume model name is collection name
-          method,
-          rawQuery: args,
-          pattern: 'mongoose-model'
-        });
+// Build the raw query string from a call's arguments, inlining locally built filters
+function buildRawQuery(content, resolver, env, method, args, unknownFields) {
+  const queryArgs = args.filter(arg => !isFunction(arg));
+  if (queryArgs.length === 0) {
+    return method === 'aggregate' ? '[]' : '{}';
+  }
+  if (MULTI_ARG_METHODS.has(method)) {
+    const items = queryArgs.map((arg, i) => resolveArg(content, resolver, env, arg, String(i), unknownFields) || 'null');
+    return `[${items.join(', ')}]`;
+  }
+  return resolveArg(content, resolver, env, queryArgs[0], '', unknownFields) || getSource(content, queryArgs[0]);
+}
+
+// Extract queries including collection name, method, raw query string and source span.
+// `moduleExports`/`modelExports` map each scanned file to the collection handles and Mongoose
+// models it exports; `modelCollections` maps every registered model to its collection.
+function extractQueriesFromContent(content, file = '', { ast = parseSource(content, file), moduleExports, modelExports, modelCollections } = {}) {
+  const queries = [];
+  const bindings = collectBindings(ast);
+  const resolveCollection = createCollectionResolver(bindings, path.resolve(file), moduleExports);
+  const resolveModel = createModelResolver(collectModels(ast), bindings, path.resolve(file), { modelExports, modelCollections });
+  const resolver = createValueResolver(content);
+
+  walk(ast.program, (node, ancestors) => {
+    if (!isCall(node)) return;
+    const method = getMemberName(node.callee);
+    if (!method) return;
+
+    // Spread arguments hide the real query shape
+    if (node.arguments.some(arg => arg.type === 'SpreadElement')) return;
+
+    const receiver = unwrap(node.callee).object;
+    let target = null;
+
+    // MongoDB driver: db.collection('name').method(...) or a handle bound to one. Like models,
+    // handles never take a callback first, so `users.find(u => ...)` is an array lookup.
+    const collectionCall = QUERY_METHODS.has(method) ? getCollectionCall(receiver) : null;
+    const handleCollection = QUERY_METHODS.has(method) && !collectionCall && !isFunction(node.arguments[0])
+      ? resolveCollection(receiver)
+      : null;
+    if (collectionCall) {
+      target = {
+        collection: collectionCall.collection,
+        pattern: 'mongodb-driver',
+        dbVar: getSource(content, collectionCall.dbNode)
+      };
+    } else if (handleCollection) {
+      target = {
+        collection: handleCollection,
+        pattern: 'collection-handle',
+        handle: getSource(content, receiver)
+      };
+    } else if (MONGOOSE_METHODS.has(method)) {
+      // Mongoose model: Model.method(...) -- Array.prototype.find() takes a callback, models don't
+      const resolved = resolveModel(receiver);
+      if (resolved && !isFunction(node.arguments[0])) {
+        target = { collection: resolved.collection, pattern: 'mongoose-model', model: resolved.model };
       }
     }
-  }
+    if (!target) return;
+
+    const { modifiers, outer } = collectChain(node, ancestors);
+    const env = resolver.envAt(node, ancestors);
+    const unknownFields = [];
+    const callArgs = node.arguments.filter(arg => !isFunction(arg));
+    const optionArgs = FIND_METHODS.has(method) ? callArgs.slice(1) : [];
+    let rawQuery = buildRawQuery(content, resolver, env, method, FIND_METHODS.has(method) ? callArgs.slice(0, 1) : node.arguments, unknownFields);
+    let pattern = target.pattern;
+
+    // Find with options or chained modifiers: record each cursor setting alongside the filter, a
+    // chained modifier replacing the option of the same name; parts with runtime values are dropped
+    const chainParts = modifiers.filter(m => CURSOR_MODIFIERS.has(m.name) && m.args.length > 0);
+    if (FIND_METHODS.has(method) && (optionArgs.length > 0 || chainParts.length > 0)) {
+      unknownFields.forEach(field => {
+        field.path = field.path ? `find.${field.path}` : 'find';
+      });
+      const queryParts = { find: rawQuery };
+      findOptionParts(content, resolver, env, optionArgs, target.pattern === 'mongoose-model', unknownFields)
+        .forEach(([name, source]) => { queryParts[name] = source; });
+      chainParts.forEach(m => {
+        const part = resolveArg(content, resolver, env, m.args[0], m.name, unknownFields);
+        if (part) queryParts[m.name] = part;
+      });
+      rawQuery = JSON.stringify(queryParts);
+      pattern = 'chained';
+    }
+
+    const query = {
+      file,
+      collection: target.collection,
+      method,
+      rawQuery,
+      pattern,
+      unknownFields,
+      ...getSpan(outer)
+    };
+    if (target.dbVar) query.dbVar = target.dbVar;
+    if (target.handle) query.handle = target.handle;
+    if (target.model) query.model = target.model;
+    // Every chained cursor modifier, including those whose arguments are only known at runtime
+    const cursorModifiers = modifiers.map(m => m.name).filter(name => CURSOR_MODIFIERS.has(name));
+    if (cursorModifiers.length > 0) query.cursorModifiers = cursorModifiers;
+    queries.push(query);
+  });
 
   return queries;
 }
 
+// Collapse queries with the same fingerprint into the first one, which lists the source
+// span of every occurrence in `locations`
+function collapseDuplicates(queries) {
+  const byFingerprint = new Map();
+  for (const query of queries) {
+    const fingerprint = queryFingerprint(query);
+    const location = {
+      file: query.file,
+      startLine: query.startLine,
+      startColumn: query.startColumn,
+      endLine: query.endLine,
+      endColumn: query.endColumn
+    };
+    if (byFingerprint.has(fingerprint)) {
+      byFingerprint.get(fingerprint).locations.push(location);
+    } else {
+      byFingerprint.set(fingerprint, { ...query, fingerprint, locations: [location] });
+    }
+  }
+  return [...byFingerprint.values()];
+}
+
 async function main() {
   const files = findJsFiles(SEARCH_DIR);
   console.log(`Found ${files.length} JS/TS files to scan for queries...`);
 
-  const allQueries = [];
+  // First pass: parse every file and record the collection handles and models it exports
+  const modules = [];
+  const moduleExports = new Map();
+  const modelExports = new Map();
+  const modelCollections = new Map();
   for (const file of files) {
     try {
       const content = fs.readFileSync(file, 'utf-8');
-      const queries = extractQueriesFromContent(content);
+      const ast = parseSource(content, file);
+      const modelInfo = collectModels(ast);
+      modules.push({ file, content, ast });
+      moduleExports.set(path.resolve(file), collectBindings(ast).exported);
+      modelExports.set(path.resolve(file), modelInfo.exported);
+      modelInfo.models.forEach((collection, model) => modelCollections.set(model, collection));
+    } catch (err) {
+      console.warn(`Error reading file ${file}:`, err.message);
+    }
+  }
+
+  // Second pass: extract queries, resolving handles and models defined in other modules
+  const allQueries = [];
+  for (const { file, content, ast } of modules) {
+    try {
+      const queries = extractQueriesFromContent(content, file, { ast, moduleExports, modelExports, modelCollections });
       if (queries.length > 0) {
         console.log(`Found ${queries.length} queries in ${file}`);
-        queries.forEach(q => q.file = file);
         allQueries.push(...queries);
       }
     } catch (err) {
-      console.warn(`Error reading file ${file}:`, err.message);
+      console.warn(`Error extracting queries from ${file}:`, err.message);
     }
   }
 
@@ -151,19 +291,24 @@ async function main() {
     console.log(`Created reports directory: ${reportsDir}`);
   }
 
-  fs.writeFileSync(OUTPUT_FILE, JSON.stringify(allQueries, null, 2));
-  console.log(`Extracted ${allQueries.length} queries to ${OUTPUT_FILE}`);
+  const uniqueQueries = collapseDuplicates(allQueries);
+  fs.writeFileSync(OUTPUT_FILE, JSON.stringify(uniqueQueries, null, 2));
+  console.log(`Extracted ${allQueries.length} queries (${uniqueQueries.length} distinct shapes) to ${OUTPUT_FILE}`);
   
   // Log some examples for debugging
-  if (allQueries.length > 0) {
+  if (uniqueQueries.length > 0) {
     console.log('\nExample queries found:');
-    allQueries.slice(0, 3).forEach((q, i) => {
-      console.log(`${i + 1}. ${q.collection}.${q.method}() from ${q.file}`);
+    uniqueQueries.slice(0, 3).forEach((q, i) => {
+      console.log(`${i + 1}. ${q.collection}.${q.method}() from ${q.file}:${q.startLine}:${q.startColumn}`);
     });
   }
 }
 
-main().catch(err => {
-  console.error(err);
-  process.exit(1);
-});
+if (require.main === module) {
+  main().catch(err => {
+    console.error(err);
+    process.exit(1);
+  });
+}
+
+module.exports = { extractQueriesFromContent, collapseDuplicates };
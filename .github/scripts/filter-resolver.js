@@ -0,0 +1,353 @@
+// .github/scripts/filter-resolver.js
+const { unwrap, getStaticString, getMemberName, getSource } = require('./ast-utils');
+
+// How many helper function calls deep to inline before giving up
+const MAX_INLINE_DEPTH = 5;
+
+// Constructors whose result is a literal when every argument is a literal
+const LITERAL_CONSTRUCTORS = new Set(['Date', 'ObjectId', 'ISODate', 'NumberLong', 'NumberInt', 'NumberDecimal', 'UUID', 'RegExp']);
+
+const FUNCTION_TYPES = new Set(['FunctionDeclaration', 'FunctionExpression', 'ArrowFunctionExpression', 'ObjectMethod', 'ClassMethod', 'ClassPrivateMethod']);
+
+const literal = (source, value) => ({ kind: 'literal', source, value });
+const unknown = source => ({ kind: 'unknown', source });
+const isCall = node => node && (node.type === 'CallExpression' || node.type === 'OptionalCallExpression');
+
+// Names bound by a parameter or destructuring pattern
+function patternNames(node, names = []) {
+  if (!node) return names;
+  switch (node.type) {
+    case 'Identifier':
+      names.push(node.name);
+      break;
+    case 'AssignmentPattern':
+      patternNames(node.left, names);
+      break;
+    case 'RestElement':
+      patternNames(node.argument, names);
+      break;
+    case 'ArrayPattern':
+      node.elements.forEach(element => patternNames(element, names));
+      break;
+    case 'ObjectPattern':
+      node.properties.forEach(prop => patternNames(prop.type === 'RestElement' ? prop : prop.value, names));
+      break;
+    case 'TSParameterProperty':
+      patternNames(node.parameter, names);
+      break;
+  }
+  return names;
+}
+
+// Flat variable environment with an optional parent (closures of inlined helpers)
+class Env {
+  constructor(parent = null) {
+    this.vars = new Map();
+    this.parent = parent;
+  }
+
+  get(name) {
+    if (this.vars.has(name)) return this.vars.get(name);
+    return this.parent ? this.parent.get(name) : undefined;
+  }
+
+  set(name, value) {
+    this.vars.set(name, value);
+  }
+}
+
+// Static key of an object property or member access, or null
+function getKey(node, computed) {
+  node = unwrap(node);
+  if (!computed && node.type === 'Identifier') return node.name;
+  if (node.type === 'NumericLiteral') return String(node.value);
+  return getStaticString(node);
+}
+
+// Create a resolver that statically evaluates query arguments within a module
+function createValueResolver(content) {
+  const source = node => getSource(content, node);
+
+  // Collect bindings and mutations that happen before `until`, descending only into `enclosing`
+  // functions. An enclosing function is itself an effect: it binds its parameters.
+  function collectEffects(node, enclosing, until, effects, hoisted) {
+    if (!node || typeof node.type !== 'string' || node.start >= until) return;
+
+    if (FUNCTION_TYPES.has(node.type)) {
+      if (!enclosing.has(node)) {
+        if (node.type === 'FunctionDeclaration' && node.id) hoisted.push(node);
+        return;
+      }
+      effects.push(node);
+    }
+
+    const isEffect = node.type === 'VariableDeclarator' || node.type === 'AssignmentExpression' ||
+      (isCall(node) && getMemberName(node.callee) === 'assign' && unwrap(unwrap(node.callee).object).name === 'Object');
+    if (isEffect && node.end <= until) {
+      effects.push(node);
+      return;
+    }
+
+    for (const key of Object.keys(node)) {
+      if (key === 'loc' || key === 'extra' || key.endsWith('Comments')) continue;
+      const child = node[key];
+      if (Array.isArray(child)) {
+        child.forEach(item => collectEffects(item, enclosing, until, effects, hoisted));
+      } else if (child && typeof child.type === 'string') {
+        collectEffects(child, enclosing, until, effects, hoisted);
+      }
+    }
+  }
+
+  // Apply collected effects to an environment, in source order
+  function applyEffects(effects, hoisted, env, depth) {
+    hoisted.forEach(fn => env.set(fn.id.name, { kind: 'function', node: fn, env }));
+
+    for (const node of effects) {
+      // Parameters are runtime values that shadow any outer binding of the same name
+      if (FUNCTION_TYPES.has(node.type)) {
+        node.params.forEach(param => patternNames(param).forEach(name => env.set(name, unknown(name))));
+        continue;
+      }
+
+      if (node.type === 'VariableDeclarator') {
+        if (node.id.type === 'Identifier' && node.init) env.set(node.id.name, evaluate(node.init, env, depth));
+        continue;
+      }
+
+      if (node.type === 'AssignmentExpression') {
+        const left = unwrap(node.left);
+        if (left.type === 'Identifier') {
+          env.set(left.name, node.operator === '=' ? evaluate(node.right, env, depth) : unknown(left.name));
+        } else if (left.type === 'MemberExpression' && node.operator === '=') {
+          // filter.status = x, filter['a.b'] = x, filter.createdAt.$gte = x
+          const key = getKey(left.property, left.computed);
+          const target = evaluate(left.object, env, depth);
+          if (key !== null && target.kind === 'object') target.props.set(key, evaluate(node.right, env, depth));
+        }
+        continue;
+      }
+
+      // Object.assign(filter, { ... })
+      const [target, ...sources] = node.arguments;
+      const targetValue = target ? evaluate(target, env, depth) : null;
+      if (targetValue && targetValue.kind === 'object') {
+        sources.forEach(src => mergeInto(targetValue, evaluate(src, env, depth), source(src)));
+      }
+    }
+  }
+
+  // Copy the properties of `value` into object `target`, remembering spreads we cannot see through
+  function mergeInto(target, value, expression) {
+    if (value.kind === 'object') {
+      value.props.forEach((v, k) => target.props.set(k, v));
+    } else {
+      target.unknownSpreads.push(expression);
+    }
+  }
+
+  // Inline a helper function call, evaluating its returned expression
+  function inlineCall(fn, args, env, depth) {
+    if (depth >= MAX_INLINE_DEPTH) return null;
+    const callEnv = new Env(fn.env);
+    fn.node.params.forEach((param, i) => {
+      param = param.type === 'AssignmentPattern' ? param.left : param;
+      if (param.type === 'Identifier') callEnv.set(param.name, args[i] ? evaluate(args[i], env, depth) : literal('undefined'));
+    });
+
+    const body = fn.node.body;
+    if (body.type !== 'BlockStatement') return evaluate(body, callEnv, depth + 1);
+
+    const effects = [];
+    const hoisted = [];
+    collectEffects(body, new Set([fn.node]), Infinity, effects, hoisted);
+    applyEffects(effects, hoisted, callEnv, depth + 1);
+
+    const returns = [];
+    (function findReturns(node) {
+      if (!node || typeof node.type !== 'string' || (FUNCTION_TYPES.has(node.type) && node !== fn.node)) return;
+      if (node.type === 'ReturnStatement' && node.argument) returns.push(node.argument);
+      for (const key of Object.keys(node)) {
+        if (key === 'loc' || key === 'extra' || key.endsWith('Comments')) continue;
+        const child = node[key];
+        if (Array.isArray(child)) child.forEach(findReturns);
+        else if (child && typeof child.type === 'string') findReturns(child);
+      }
+    })(body);
+
+    return returns.length > 0 ? evaluate(returns[returns.length - 1], callEnv, depth + 1) : null;
+  }
+
+  // Abstractly evaluate an expression to a literal, object, array, function or unknown value
+  function evaluate(node, env, depth = 0) {
+    node = unwrap(node);
+    if (!node) return literal('undefined');
+
+    switch (node.type) {
+      case 'StringLiteral':
+      case 'NumericLiteral':
+      case 'BooleanLiteral':
+        return literal(source(node), node.value);
+      case 'NullLiteral':
+        return literal('null', null);
+      case 'BigIntLiteral':
+      case 'RegExpLiteral':
+        return literal(source(node));
+
+      case 'TemplateLiteral':
+        if (node.expressions.length === 0) {
+          const value = node.quasis[0].value.cooked;
+          return literal(JSON.stringify(value), value);
+        }
+        return unknown(source(node));
+
+      case 'UnaryExpression': {
+        const arg = evaluate(node.argument, env, depth);
+        if ((node.operator === '-' || node.operator === '+') && arg.kind === 'literal' && typeof arg.value === 'number') {
+          const value = node.operator === '-' ? -arg.value : arg.value;
+          return literal(String(value), value);
+        }
+        return unknown(source(node));
+      }
+
+      case 'BinaryExpression': {
+        // Fold arithmetic and string concatenation over literals, e.g. 1000 * 60 * 60
+        const left = evaluate(node.left, env, depth);
+        const right = evaluate(node.right, env, depth);
+        const foldable = ['+', '-', '*', '/', '%'].includes(node.operator) &&
+          left.kind === 'literal' && right.kind === 'literal' &&
+          ['number', 'string'].includes(typeof left.value) && ['number', 'string'].includes(typeof right.value);
+        if (!foldable || (node.operator !== '+' && (typeof left.value !== 'number' || typeof right.value !== 'number'))) {
+          return unknown(source(node));
+        }
+        const value = { '+': (a, b) => a + b, '-': (a, b) => a - b, '*': (a, b) => a * b, '/': (a, b) => a / b, '%': (a, b) => a % b }[node.operator](left.value, right.value);
+        return Number.isFinite(value) || typeof value === 'string' ? literal(JSON.stringify(value), value) : unknown(source(node));
+      }
+
+      case 'Identifier': {
+        if (node.name === 'undefined') return literal('undefined');
+        return env.get(node.name) || unknown(node.name);
+      }
+
+      case 'ObjectExpression': {
+        const value = { kind: 'object', props: new Map(), unknownSpreads: [] };
+        for (const prop of node.properties) {
+          if (prop.type === 'SpreadElement') {
+            mergeInto(value, evaluate(prop.argument, env, depth), `...${source(prop.argument)}`);
+          } else if (prop.type === 'ObjectProperty') {
+            const key = getKey(prop.key, prop.computed);
+            if (key !== null) value.props.set(key, evaluate(prop.value, env, depth));
+          }
+        }
+        return value;
+      }
+
+      case 'ArrayExpression': {
+        const items = [];
+        for (const element of node.elements) {
+          if (!element) {
+            items.push(literal('null', null));
+          } else if (element.type === 'SpreadElement') {
+            const spread = evaluate(element.argument, env, depth);
+            if (spread.kind !== 'array') return unknown(source(node));
+            items.push(...spread.items);
+          } else {
+            items.push(evaluate(element, env, depth));
+          }
+        }
+        return { kind: 'array', items };
+      }
+
+      case 'MemberExpression':
+      case 'OptionalMemberExpression': {
+        const object = evaluate(node.object, env, depth);
+        let key = getKey(node.property, node.computed);
+        if (key === null && node.computed) {
+          const computed = evaluate(node.property, env, depth);
+          if (computed.kind === 'literal' && computed.value !== undefined) key = String(computed.value);
+        }
+        if (key !== null && object.kind === 'object' && object.props.has(key)) return object.props.get(key);
+        if (key !== null && object.kind === 'array' && /^\d+$/.test(key) && object.items[key]) return object.items[key];
+        return unknown(source(node));
+      }
+
+      case 'ArrowFunctionExpression':
+      case 'FunctionExpression':
+        return { kind: 'function', node, env };
+
+      case 'NewExpression':
+      case 'CallExpression':
+      case 'OptionalCallExpression': {
+        const callee = unwrap(node.callee);
+        const name = callee.type === 'Identifier' ? callee.name : getMemberName(callee);
+
+        // ObjectId('...'), new Date('2024-01-01'), NumberLong(5) -- `new Date()` is a runtime value
+        if (LITERAL_CONSTRUCTORS.has(name)) {
+          const args = node.arguments.map(arg => evaluate(arg, env, depth));
+          if (args.length === 0 || args.some(arg => arg.kind !== 'literal')) return unknown(source(node));
+          const prefix = name === 'Date' || name === 'RegExp' ? 'new ' : '';
+          return literal(`${prefix}${name}(${args.map(arg => arg.source).join(', ')})`);
+        }
+
+        if (name === 'assign' && callee.type === 'MemberExpression' && unwrap(callee.object).name === 'Object') {
+          const [target, ...sources] = node.arguments;
+          const value = target ? evaluate(target, env, depth) : null;
+          if (!value || value.kind !== 'object') return unknown(source(node));
+          sources.forEach(src => mergeInto(value, evaluate(src, env, depth), source(src)));
+          return value;
+        }
+
+        const fn = callee.type === 'Identifier' ? env.get(callee.name) : null;
+        if (fn && fn.kind === 'function' && node.type !== 'NewExpression') {
+          const result = inlineCall(fn, node.arguments, env, depth);
+          if (result) return result;
+        }
+        return unknown(source(node));
+      }
+
+      default:
+        return unknown(source(node));
+    }
+  }
+
+  // Environment in effect just before `callNode`, given its ancestor chain
+  function envAt(callNode, ancestors) {
+    const program = ancestors[0];
+    const enclosing = new Set(ancestors.filter(node => FUNCTION_TYPES.has(node.type)));
+    const effects = [];
+    const hoisted = [];
+    const env = new Env();
+    collectEffects(program, enclosing, callNode.start, effects, hoisted);
+    applyEffects(effects, hoisted, env, 0);
+    return env;
+  }
+
+  return { evaluate, envAt };
+}
+
+// Serialize an evaluated value back to a JS literal. Unknown values become `null` and are
+// reported in `unknownFields` as { path, expression }.
+function toSource(value, path, unknownFields) {
+  switch (value.kind) {
+    case 'literal':
+      return value.source;
+    case 'object': {
+      value.unknownSpreads.forEach(expression => unknownFields.push({ path, expression, spread: true }));
+      const entries = [...value.props].map(([key, v]) => {
+        const name = /^[A-Za-z_$][\w$]*$/.test(key) ? key : JSON.stringify(key);
+        return `${name}: ${toSource(v, path ? `${path}.${key}` : key, unknownFields)}`;
+      });
+      return entries.length > 0 ? `{ ${entries.join(', ')} }` : '{}';
+    }
+    case 'array':
+      return `[${value.items.map((item, i) => toSource(item, path ? `${path}.${i}` : String(i), unknownFields)).join(', ')}]`;
+    default:
+      unknownFields.push({ path, expression: value.source || '<function>' });
+      return 'null';
+  }
+}
+
+module.exports = {
+  createValueResolver,
+  toSource
+};
@@ -0,0 +1,98 @@
+// .github/scripts/history-store.js
+const fs = require('fs');
+const path = require('path');
+const { planSignature } = require('./baseline-compare');
+const { readResultsFile } = require('./results-format');
+
+const RESULTS_FILE = path.resolve(__dirname, '../../reports/results.json');
+const HISTORY_FILE = process.env.HISTORY_FILE
+  ? path.resolve(process.env.HISTORY_FILE)
+  : path.resolve(__dirname, '../../reports/history.jsonl');
+
+// Oldest runs are dropped once the history holds this many
+const HISTORY_MAX_RUNS = parseInt(process.env.HISTORY_MAX_RUNS, 10) || 500;
+
+// Version of a history record. Bump it when a field is removed or changes meaning.
+const HISTORY_FORMAT_VERSION = 1;
+
+// One run of the profiler reduced to what the trend report needs: per query fingerprint the
+// status, the compared metrics and the plan
+function historyRecord(doc) {
+  return {
+    historyVersion: HISTORY_FORMAT_VERSION,
+    recordedAt: doc.run.generatedAt,
+    commit: doc.run.commit,
+    ref: process.env.GITHUB_HEAD_REF || process.env.GITHUB_REF_NAME || null,
+    database: doc.run.database,
+    serverVersion: doc.run.serverVersion,
+    queries: doc.queries.map(query => ({
+      fingerprint: query.fingerprint,
+      collection: query.collection,
+      method: query.method,
+      file: query.file,
+      startLine: query.startLine,
+      status: query.status,
+      score: query.score,
+      totalMillis: query.metrics ? query.metrics.totalMillis : null,
+      docsExamined: query.metrics ? query.metrics.docsExamined : null,
+      keysExamined: query.metrics ? query.metrics.keysExamined : null,
+      plan: query.metrics ? planSignature(query.metrics) : null
+    }))
+  };
+}
+
+// Runs in the history file, oldest first. Records of another history version are skipped, and
+// so are lines that are not valid JSON (a run cut off while writing), with a warning.
+function readHistory(file = HISTORY_FILE) {
+  if (!fs.existsSync(file)) return [];
+  const records = [];
+  fs.readFileSync(file, 'utf-8').split('\n').forEach((line, i) => {
+    if (!line.trim()) return;
+    try {
+      records.push(JSON.parse(line));
+    } catch (err) {
+      console.warn(`⚠️  Skipping unreadable line ${i + 1} of ${file}: ${err.message}`);
+    }
+  });
+  return records
+    .filter(record => record && record.historyVersion === HISTORY_FORMAT_VERSION)
+    .sort((a, b) => (a.recordedAt < b.recordedAt ? -1 : a.recordedAt > b.recordedAt ? 1 : 0));
+}
+
+// Append a run to the history, keeping at most `maxRuns` runs
+function appendRun(record, { file = HISTORY_FILE, maxRuns = HISTORY_MAX_RUNS } = {}) {
+  const lines = fs.existsSync(file)
+    ? fs.readFileSync(file, 'utf-8').split('\n').filter(line => line.trim())
+    : [];
+  lines.push(JSON.stringify(record));
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, lines.slice(-maxRuns).join('\n') + '\n');
+  return Math.min(lines.length, maxRuns);
+}
+
+async function main() {
+  const file = process.argv[2] ? path.resolve(process.argv[2]) : RESULTS_FILE;
+  if (!fs.existsSync(file)) {
+    console.error('Results file not found:', file);
+    process.exit(1);
+  }
+  const record = historyRecord(readResultsFile(file));
+  const runs = appendRun(record);
+  console.log(`✅ Recorded ${record.queries.length} queries of the run at ${record.recordedAt}`);
+  console.log(`🗃️  History: ${HISTORY_FILE} (${runs} runs)`);
+}
+
+if (require.main === module) {
+  main().catch(err => {
+    console.error(err);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  HISTORY_FILE,
+  HISTORY_FORMAT_VERSION,
+  historyRecord,
+  readHistory,
+  appendRun
+};
@@ -0,0 +1,309 @@
+// .github/scripts/html-report.js
+const { planRoot, walkPlan } = require('./plan-tree');
+const { formatLocation } = require('./lint-queries');
+
+// Per-stage statistics shown on a plan node, in display order
+const STAGE_METRICS = [
+  ['nReturned', 'returned'],
+  ['executionTimeMillisEstimate', 'ms'],
+  ['docsExamined', 'docs'],
+  ['keysExamined', 'keys'],
+  ['works', 'works'],
+  ['seeks', 'seeks']
+];
+
+// Plan-node attributes worth showing besides the stage name and metrics
+const STAGE_DETAILS = ['indexName', 'keyPattern', 'direction', 'indexBounds', 'filter', 'sortPattern', 'memLimit', 'limitAmount', 'skipAmount', 'transformBy'];
+
+// Sort order of the verdict column: worst first
+const VERDICT_RANK = { Poor: 0, Error: 1, Fair: 2, 'No analysis': 3, Good: 4 };
+
+function escapeHtml(value) {
+  return String(value ?? '').replace(/[&<>"']/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[ch]);
+}
+
+// Finding messages use markdown code spans; show them as <code>
+const messageHtml = text => escapeHtml(text).replace(/`([^`]+)`/g, '<code>$1</code>');
+
+const compactJson = value => (typeof value === 'string' ? value : JSON.stringify(value));
+
+// Score of a query, or what stopped it from getting one
+function verdictOf(query) {
+  if (query.error) return 'Error';
+  return query.score || 'No analysis';
+}
+
+// CSS class of a stage box: collection scans and in-memory sorts stand out
+function stageClass(stage) {
+  if (stage === 'COLLSCAN') return 'stage bad';
+  if (stage === 'SORT' || stage === 'SORT_KEY_GENERATOR') return 'stage warn';
+  if (stage === 'IXSCAN' || stage === 'IDHACK' || stage === 'COUNT_SCAN' || stage === 'DISTINCT_SCAN') return 'stage good';
+  return 'stage';
+}
+
+// One plan node and its children as nested <details>, expanded by default
+function planNodeHtml(node, childrenHtml) {
+  const metrics = STAGE_METRICS
+    .filter(([key]) => typeof node[key] === 'number')
+    .map(([key, label]) => `<span class="metric">${escapeHtml(node[key])} ${label}</span>`)
+    .join('');
+  const details = STAGE_DETAILS
+    .filter(key => node[key] !== undefined)
+    .map(key => `<div class="attr"><b>${key}</b> <code>${escapeHtml(compactJson(node[key]))}</code></div>`)
+    .join('');
+  const summary = `<span class="${stageClass(node.stage)}">${escapeHtml(node.stage || '?')}</span>${metrics}`;
+  const children = childrenHtml.length > 0 ? `<ul>${childrenHtml.map(child => `<li>${child}</li>`).join('')}</ul>` : '';
+  return `<details open><summary>${summary}</summary>${details}${children}</details>`;
+}
+
+// A plan tree as HTML, built bottom-up from the depth-first walk of plan-tree.js
+function planTreeHtml(root) {
+  if (!root) return '<p class="muted">No plan available</p>';
+  const rendered = new Map();
+  const order = [];
+  walkPlan(root, (node, path, ancestors) => order.push({ node, parent: ancestors[ancestors.length - 1] }));
+  const children = new Map();
+  order.forEach(({ node, parent }) => {
+    if (!parent) return;
+    if (!children.has(parent)) children.set(parent, []);
+    children.get(parent).push(node);
+  });
+  for (const { node } of [...order].reverse()) {
+    rendered.set(node, planNodeHtml(node, (children.get(node) || []).map(child => rendered.get(child))));
+  }
+  return `<ul class="plan"><li>${rendered.get(root)}</li></ul>`;
+}
+
+// Rejected plans of an explain. The profiler explains with executionStats verbosity, so only
+// their shape is known, not how they did in the trial run.
+function rejectedPlans(explain) {
+  const cursor = explain?.stages?.[0]?.$cursor || explain;
+  return (cursor?.queryPlanner?.rejectedPlans || []).map(plan => plan.queryPlan || plan);
+}
+
+function pipelineTableHtml(stages) {
+  if (stages.length === 0) return '';
+  const show = value => (value === undefined || value === null ? '–' : escapeHtml(value));
+  const rows = stages.map(stage => `<tr><td>${stage.index}</td><td><code>${escapeHtml(stage.name)}</code></td><td>${show(stage.docsIn)}</td><td>${show(stage.docsOut)}</td><td>${show(stage.timeMillis)}</td></tr>`);
+  return `<h4>Pipeline stages</h4><table class="stages"><thead><tr><th>#</th><th>Stage</th><th>Docs in</th><th>Docs out</th><th>Time (ms)</th></tr></thead><tbody>${rows.join('')}</tbody></table>`;
+}
+
+function findingsHtml(findings) {
+  if (findings.length === 0) return '';
+  const items = findings.map(f => `<li class="${escapeHtml(f.severity)}"><b>${escapeHtml(f.severity)}</b> ${messageHtml(f.message)} <code>${escapeHtml(f.ruleId)}</code>${f.suggestion ? `<div class="muted">${messageHtml(f.suggestion)}</div>` : ''}</li>`);
+  return `<h4>Findings</h4><ul class="findings">${items.join('')}</ul>`;
+}
+
+// Expanded view of one query: findings, winning plan tree, rejected plans and pipeline stages
+function queryDetailsHtml(query) {
+  const parts = [`<p><code class="query">${escapeHtml(query.rawQuery)}</code></p>`];
+  if (query.locations.length > 1) {
+    parts.push(`<p class="muted">Same query shape at ${query.locations.slice(1).map(l => escapeHtml(formatLocation(l))).join(', ')}</p>`);
+  }
+  if (query.error) parts.push(`<p class="error">${escapeHtml(query.error)}</p>`);
+  parts.push(findingsHtml(query.findings));
+  if (query.recommendedIndex) parts.push(`<p>Recommended index: <code>${escapeHtml(query.recommendedIndex)}</code></p>`);
+  if (query.explain) {
+    parts.push('<h4>Winning plan</h4>', planTreeHtml(planRoot(query.explain)));
+    const rejected = rejectedPlans(query.explain);
+    if (rejected.length > 0) {
+      parts.push(`<details class="rejected"><summary>${rejected.length} rejected plan${rejected.length === 1 ? '' : 's'}</summary>`);
+      rejected.forEach((plan, i) => parts.push(`<h5>Rejected plan ${i + 1}</h5>`, planTreeHtml(plan)));
+      parts.push('</details>');
+    }
+  } else if (query.metrics) {
+    parts.push(`<p class="muted">Plan: ${escapeHtml(query.metrics.planStages.join(' → '))}. The explain output was left out of the results (RESULTS_INCLUDE_EXPLAIN=false).</p>`);
+  }
+  parts.push(pipelineTableHtml(query.pipelineStages));
+  return parts.join('');
+}
+
+// Table body of one query: its summary row and a hidden row with the details, kept together
+// when the table is sorted
+function queryRowsHtml(query, index) {
+  const verdict = verdictOf(query);
+  const time = query.metrics ? query.metrics.totalMillis : '';
+  const cells = [
+    `<td>${index + 1}</td>`,
+    `<td><span class="verdict ${verdict.replace(' ', '-').toLowerCase()}">${escapeHtml(verdict)}</span>${query.failedGate ? ' <span class="gate" title="Failed the quality gate">gate</span>' : ''}</td>`,
+    `<td>${escapeHtml(query.collection || 'unknown')}</td>`,
+    `<td><code>${escapeHtml(query.method)}</code></td>`,
+    `<td>${escapeHtml(formatLocation(query))}</td>`,
+    `<td class="num">${escapeHtml(time)}</td>`,
+    `<td class="num">${escapeHtml(query.metrics ? query.metrics.docsExamined : '')}</td>`,
+    `<td>${escapeHtml(query.metrics ? query.metrics.scanType : query.status)}</td>`,
+    `<td class="num">${query.findings.length}</td>`
+  ];
+  const data = {
+    index,
+    verdict: VERDICT_RANK[verdict],
+    verdictName: verdict,
+    collection: query.collection || 'unknown',
+    file: formatLocation(query),
+    time: time === '' ? -1 : time,
+    docs: query.metrics ? query.metrics.docsExamined : -1,
+    findings: query.findings.length
+  };
+  const attrs = Object.entries(data).map(([key, value]) => `data-${key.toLowerCase()}="${escapeHtml(value)}"`).join(' ');
+  return `<tbody class="query" ${attrs}><tr class="row">${cells.join('')}</tr><tr class="details" hidden><td colspan="${cells.length}">${queryDetailsHtml(query)}</td></tr></tbody>`;
+}
+
+const STYLE = `
+body { font: 14px/1.45 -apple-system, "Segoe UI", Helvetica, Arial, sans-serif; margin: 24px; color: #1f2328; }
+h1 { margin-top: 0; }
+code { font: 12px ui-monospace, SFMono-Regular, Menlo, monospace; background: #f6f8fa; padding: 1px 4px; border-radius: 4px; }
+.muted { color: #656d76; }
+.summary span { margin-right: 16px; }
+.filters { margin: 16px 0; display: flex; gap: 12px; flex-wrap: wrap; align-items: center; }
+.filters input, .filters select { padding: 4px 6px; }
+table { border-collapse: collapse; width: 100%; }
+th, td { border-bottom: 1px solid #d0d7de; padding: 6px 8px; text-align: left; vertical-align: top; }
+th[data-sort] { cursor: pointer; user-select: none; white-space: nowrap; }
+th[data-sort]::after { content: " ↕"; color: #8c959f; }
+th.asc::after { content: " ↑"; color: #1f2328; }
+th.desc::after { content: " ↓"; color: #1f2328; }
+td.num { text-align: right; }
+tr.row { cursor: pointer; }
+tr.row:hover { background: #f6f8fa; }
+tr.details > td { background: #fbfcfd; padding: 12px 16px; }
+.verdict { padding: 1px 8px; border-radius: 10px; font-weight: 600; }
+.verdict.good { background: #dafbe1; color: #116329; }
+.verdict.fair { background: #fff8c5; color: #7d4e00; }
+.verdict.poor, .verdict.error { background: #ffebe9; color: #a40e26; }
+.verdict.no-analysis { background: #eaeef2; }
+.gate { font-size: 11px; background: #a40e26; color: #fff; padding: 0 5px; border-radius: 4px; }
+ul.plan, ul.plan ul { list-style: none; padding-left: 22px; margin: 4px 0; }
+ul.plan { padding-left: 0; }
+ul.plan ul > li { position: relative; }
+ul.plan ul > li::before { content: ""; position: absolute; left: -14px; top: 0; bottom: 0; border-left: 1px solid #d0d7de; }
+ul.plan ul > li::after { content: ""; position: absolute; left: -14px; top: 12px; width: 10px; border-top: 1px solid #d0d7de; }
+ul.plan ul > li:last-child::before { bottom: calc(100% - 12px); }
+ul.plan summary { cursor: pointer; }
+.stage { display: inline-block; font: 600 12px ui-monospace, Menlo, monospace; padding: 2px 8px; border-radius: 4px; background: #ddf4ff; border: 1px solid #54aeff; }
+.stage.good { background: #dafbe1; border-color: #4ac26b; }
+.stage.warn { background: #fff8c5; border-color: #d4a72c; }
+.stage.bad { background: #ffebe9; border-color: #ff8182; }
+.metric { margin-left: 8px; font-size: 12px; color: #656d76; }
+.attr { margin: 2px 0 2px 18px; font-size: 12px; }
+.findings li.error { color: #a40e26; }
+.findings li.warning { color: #7d4e00; }
+p.error { color: #a40e26; }
+details.rejected { margin-top: 8px; }
+table.stages { width: auto; }
+`;
+
+// Sorting and filtering of the query table; the details row of a query toggles on click
+const SCRIPT = `
+(function () {
+  var table = document.getElementById('queries');
+  var bodies = Array.prototype.slice.call(table.querySelectorAll('tbody.query'));
+  var filters = {
+    text: document.getElementById('filter-text'),
+    collection: document.getElementById('filter-collection'),
+    verdict: document.getElementById('filter-verdict'),
+    time: document.getElementById('filter-time')
+  };
+  var shown = document.getElementById('shown');
+
+  function applyFilters() {
+    var text = filters.text.value.toLowerCase();
+    var minTime = parseFloat(filters.time.value);
+    var count = 0;
+    bodies.forEach(function (body) {
+      var d = body.dataset;
+      var visible = (!text || d.file.toLowerCase().indexOf(text) !== -1 || body.textContent.toLowerCase().indexOf(text) !== -1) &&
+        (!filters.collection.value || d.collection === filters.collection.value) &&
+        (!filters.verdict.value || d.verdictname === filters.verdict.value) &&
+        (isNaN(minTime) || parseFloat(d.time) >= minTime);
+      body.hidden = !visible;
+      if (visible) count++;
+    });
+    shown.textContent = count;
+  }
+
+  Object.keys(filters).forEach(function (key) {
+    filters[key].addEventListener('input', applyFilters);
+  });
+
+  table.querySelectorAll('th[data-sort]').forEach(function (th) {
+    th.addEventListener('click', function () {
+      var key = th.getAttribute('data-sort');
+      var numeric = th.hasAttribute('data-numeric');
+      var dir = th.classList.contains('asc') ? -1 : 1;
+      table.querySelectorAll('th[data-sort]').forEach(function (other) { other.classList.remove('asc', 'desc'); });
+      th.classList.add(dir === 1 ? 'asc' : 'desc');
+      bodies.sort(function (a, b) {
+        var x = a.dataset[key], y = b.dataset[key];
+        if (numeric) return (parseFloat(x) - parseFloat(y)) * dir;
+        return x.localeCompare(y) * dir;
+      });
+      bodies.forEach(function (body) { table.appendChild(body); });
+    });
+  });
+
+  bodies.forEach(function (body) {
+    body.querySelector('tr.row').addEventListener('click', function () {
+      var details = body.querySelector('tr.details');
+      details.hidden = !details.hidden;
+    });
+  });
+})();
+`;
+
+// A self-contained HTML report of a results document: a sortable, filterable table of the
+// queries with an expandable plan-tree view of each. No external assets, so it can be opened
+// offline straight from the CI artifact.
+function generateHtmlReport(doc) {
+  const { summary, verdict, run } = doc;
+  const collections = [...new Set(doc.queries.map(q => q.collection || 'unknown'))].sort();
+  const verdicts = Object.keys(VERDICT_RANK).filter(v => doc.queries.some(q => verdictOf(q) === v));
+  const option = value => `<option value="${escapeHtml(value)}">${escapeHtml(value)}</option>`;
+  const header = (label, key, numeric) => `<th data-sort="${key}"${numeric ? ' data-numeric' : ''}>${label}</th>`;
+  const generated = [
+    run.generatedAt && `generated ${escapeHtml(run.generatedAt)}`,
+    run.database && `database <code>${escapeHtml(run.database)}</code>`,
+    run.serverVersion && `MongoDB ${escapeHtml(run.serverVersion)}`,
+    run.commit && `commit <code>${escapeHtml(run.commit.slice(0, 12))}</code>`
+  ].filter(Boolean).join(' · ');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>MongoDB Query Performance Report</title>
+<style>${STYLE}</style>
+</head>
+<body>
+<h1>MongoDB Query Performance Report</h1>
+<p class="muted">${escapeHtml(run.tool.name)} ${escapeHtml(run.tool.version)}${generated ? ` · ${generated}` : ''}</p>
+<p class="summary">
+<span><b>${summary.total}</b> queries</span>
+<span>🟢 Good <b>${summary.good}</b></span>
+<span>🟡 Fair <b>${summary.fair}</b></span>
+<span>🔴 Poor <b>${summary.poor}</b></span>
+<span>Errors <b>${summary.errors}</b></span>
+${summary.timedOut > 0 ? `<span>Timed out <b>${summary.timedOut}</b></span>` : ''}
+<span>Lint findings <b>${summary.lintFindings}</b></span>
+<span>🚦 Quality gate (${escapeHtml(verdict.policy)}): <b>${verdict.passed ? 'passed' : 'failed'}</b></span>
+</p>
+<div class="filters">
+<input id="filter-text" type="search" placeholder="Filter by file or text">
+<select id="filter-collection"><option value="">All collections</option>${collections.map(option).join('')}</select>
+<select id="filter-verdict"><option value="">All verdicts</option>${verdicts.map(option).join('')}</select>
+<label>Time ≥ <input id="filter-time" type="number" min="0" step="1" style="width: 6em"> ms</label>
+<span class="muted"><span id="shown">${doc.queries.length}</span> of ${doc.queries.length} shown · click a row for its plan</span>
+</div>
+<table id="queries">
+<thead><tr>${header('#', 'index', true)}${header('Verdict', 'verdict', true)}${header('Collection', 'collection')}<th>Method</th>${header('File', 'file')}${header('Time (ms)', 'time', true)}${header('Docs examined', 'docs', true)}<th>Plan</th>${header('Findings', 'findings', true)}</tr></thead>
+${doc.queries.map(queryRowsHtml).join('\n')}
+</table>
+<script>${SCRIPT}</script>
+</body>
+</html>
+`;
+}
+
+module.exports = {
+  generateHtmlReport
+};
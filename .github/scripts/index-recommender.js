@@ -0,0 +1,276 @@
+// .github/scripts/index-recommender.js
+const { parseQueryLiteral } = require('./query-literal');
+
+// Operators that match a single value exactly
+const EQUALITY_OPERATORS = new Set(['$eq']);
+
+// Operators that need special index types or cannot use an index; their fields are left out
+const UNINDEXABLE_OPERATORS = new Set(['$text', '$where', '$expr', '$near', '$nearSphere', '$geoWithin', '$geoIntersects', '$jsonSchema', '$comment']);
+
+// Methods whose first argument (or the whole query) is the filter
+const FILTER_METHODS = new Set([
+  'find', 'findone', 'updateone', 'updatemany', 'replaceone', 'deleteone', 'deletemany', 'countdocuments'
+]);
+
+// Methods taking `[filter, update, options]` / `[filter, options]` with sort and projection options
+const FIND_AND_MODIFY_METHODS = new Set(['findoneandupdate', 'findoneandreplace', 'findoneanddelete']);
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype;
+}
+
+function parseOrNull(source) {
+  if (source === undefined || source === null) return null;
+  try {
+    return parseQueryLiteral(source);
+  } catch {
+    return null;
+  }
+}
+
+// Filter, sort and projection of a profiler result or extracted query, or null if they cannot be read
+function queryShape(query) {
+  const method = (query.method || '').toLowerCase();
+
+  if (query.pattern === 'chained') {
+    let parts;
+    try {
+      parts = JSON.parse(query.rawQuery);
+    } catch {
+      return null;
+    }
+    return {
+      filter: parseOrNull(parts.find) || {},
+      sort: parseOrNull(parts.sort),
+      projection: parseOrNull(parts.project || parts.projection || parts.select)
+    };
+  }
+
+  const parsed = parseOrNull(query.rawQuery);
+  if (parsed === null) return null;
+
+  if (FILTER_METHODS.has(method)) {
+    const filter = Array.isArray(parsed) ? parsed[0] : parsed;
+    return isPlainObject(filter) ? { filter, sort: null, projection: null } : null;
+  }
+
+  if (FIND_AND_MODIFY_METHODS.has(method)) {
+    const [filter = {}, second, third] = Array.isArray(parsed) ? parsed : [parsed];
+    const options = (method === 'findoneanddelete' ? second : third) || {};
+    return isPlainObject(filter)
+      ? { filter, sort: options.sort || null, projection: options.projection || options.fields || null }
+      : null;
+  }
+
+  if (method === 'distinct') {
+    const [, filter = {}] = Array.isArray(parsed) ? parsed : [parsed];
+    return isPlainObject(filter) ? { filter, sort: null, projection: null } : null;
+  }
+
+  if (method === 'aggregate' && Array.isArray(parsed)) {
+    // Only the leading $match stages and a $sort right after them can use an index
+    const filter = { $and: [] };
+    let sort = null;
+    for (const stage of parsed) {
+      if (isPlainObject(stage?.$match)) {
+        filter.$and.push(stage.$match);
+      } else {
+        if (stage && stage.$sort) sort = stage.$sort;
+        break;
+      }
+    }
+    if (filter.$and.length === 0 && !sort) return null;
+    return { filter, sort, projection: null };
+  }
+
+  return null;
+}
+
+// Normalize a sort spec (object, array of pairs or mongoose string) to [{ field, direction }]
+function normalizeSort(sort) {
+  if (!sort) return [];
+  const direction = value => (value === -1 || value === 'desc' || value === 'descending' ? -1 : 1);
+  if (typeof sort === 'string') {
+    return sort.split(/\s+/).filter(Boolean).map(token => (token.startsWith('-')
+      ? { field: token.slice(1), direction: -1 }
+      : { field: token.replace(/^\+/, ''), direction: 1 }));
+  }
+  const entries = Array.isArray(sort) ? sort : isPlainObject(sort) ? Object.entries(sort) : [];
+  return entries
+    .filter(([, value]) => !isPlainObject(value)) // { $meta: 'textScore' } cannot use a regular index
+    .map(([field, value]) => ({ field, direction: direction(value) }));
+}
+
+// Classify the fields of a filter as equality or range predicates. $or/$nor branches need
+// their own indexes and are not folded into one compound key.
+function classifyFilter(filter, hasSort, result = { equality: [], range: [] }) {
+  if (!isPlainObject(filter)) return result;
+  for (const [key, value] of Object.entries(filter)) {
+    if (key === '$and' && Array.isArray(value)) {
+      value.forEach(clause => classifyFilter(clause, hasSort, result));
+      continue;
+    }
+    if (key.startsWith('$')) continue;
+
+    const operators = isPlainObject(value) && Object.keys(value).length > 0 && Object.keys(value).every(k => k.startsWith('$'))
+      ? Object.keys(value)
+      : null;
+    if (!operators) {
+      // Plain values (including null placeholders, ObjectIds and embedded documents) are equality matches;
+      // regular expressions scan a range of keys
+      result[value instanceof RegExp ? 'range' : 'equality'].push(key);
+      continue;
+    }
+    if (operators.some(op => UNINDEXABLE_OPERATORS.has(op))) continue;
+    // $in with several values behaves like equality, except that a following sort can no longer use the index order
+    const inValues = Array.isArray(value.$in) ? value.$in.length : 0;
+    const isEquality = operators.every(op => EQUALITY_OPERATORS.has(op) || (op === '$in' && (inValues <= 1 || !hasSort)));
+    result[isEquality ? 'equality' : 'range'].push(key);
+  }
+  return result;
+}
+
+// Split a query into Equality, Sort and Range fields, each field used once
+function classifyQuery(shape) {
+  const sort = normalizeSort(shape.sort);
+  const { equality, range } = classifyFilter(shape.filter, sort.length > 0);
+  const unique = fields => [...new Set(fields)];
+
+  const equalityFields = unique(equality);
+  const sortFields = sort.filter(s => !equalityFields.includes(s.field));
+  const rangeFields = unique(range).filter(f => !equalityFields.includes(f) && !sortFields.some(s => s.field === f));
+
+  let projection = null;
+  if (isPlainObject(shape.projection)) {
+    const included = Object.entries(shape.projection).filter(([, v]) => v === 1 || v === true).map(([k]) => k);
+    if (included.length > 0) projection = { fields: included.filter(f => f !== '_id'), excludesId: shape.projection._id === 0 || shape.projection._id === false };
+  }
+
+  return { equality: equalityFields, sort: sortFields, range: rangeFields, projection };
+}
+
+// Compound index key in ESR order; `equalityOrder` ranks equality fields (most shared first)
+function esrKey(classified, equalityOrder = []) {
+  const rank = field => {
+    const index = equalityOrder.indexOf(field);
+    return index === -1 ? equalityOrder.length : index;
+  };
+  const key = {};
+  [...classified.equality].sort((a, b) => rank(a) - rank(b)).forEach(f => { key[f] = 1; });
+  classified.sort.forEach(s => { key[s.field] = s.direction; });
+  classified.range.forEach(f => { key[f] = 1; });
+  return key;
+}
+
+// Whether an index with `indexKey` serves a classified query through a prefix of its key:
+// equality fields first in any order, then the sort fields in order (all in the index
+// direction or all reversed), then the range fields in any order
+function indexServes(indexKey, classified) {
+  const fields = Object.keys(indexKey);
+  const { equality, sort, range } = classified;
+  if (fields.length < equality.length + sort.length + range.length) return false;
+
+  let position = 0;
+  for (let i = 0; i < equality.length; i++) {
+    if (!equality.includes(fields[position++])) return false;
+  }
+  let orientation = 0;
+  for (const s of sort) {
+    const field = fields[position++];
+    if (field !== s.field || typeof indexKey[field] !== 'number') return false;
+    const matches = Math.sign(indexKey[field]) === s.direction ? 1 : -1;
+    if (orientation !== 0 && matches !== orientation) return false;
+    orientation = matches;
+  }
+  for (let i = 0; i < range.length; i++) {
+    const field = fields[position++];
+    if (!range.includes(field) || typeof indexKey[field] !== 'number') return false;
+  }
+  return true;
+}
+
+// Whether a query with an inclusion projection could be answered from the index alone
+function isCovered(indexKey, classified) {
+  const { projection } = classified;
+  if (!projection || !projection.excludesId) return false;
+  const fields = Object.keys(indexKey);
+  return projection.fields.every(f => fields.includes(f));
+}
+
+// Shell command creating an index
+function createIndexCommand(collection, key) {
+  const target = /^[A-Za-z_$][\w$]*$/.test(collection) ? `db.${collection}` : `db.getCollection(${JSON.stringify(collection)})`;
+  const spec = Object.entries(key).map(([field, direction]) => {
+    const name = /^[A-Za-z_$][\w$]*$/.test(field) ? field : JSON.stringify(field);
+    return `${name}: ${JSON.stringify(direction)}`;
+  }).join(', ');
+  return `${target}.createIndex({ ${spec} })`;
+}
+
+// Recommend compound indexes for profiler results. `existingIndexes` maps a collection name to
+// its `listIndexes` output. Returns one entry per collection with the proposed indexes (each
+// listing the result indexes it serves) and the queries already served by an existing index.
+function recommendIndexes(results, existingIndexes = {}) {
+  const byCollection = new Map();
+  results.forEach((result, index) => {
+    if (!result.collection) return;
+    const shape = queryShape(result);
+    if (!shape) return;
+    const classified = classifyQuery(shape);
+    if (classified.equality.length + classified.sort.length + classified.range.length === 0) return;
+    if (!byCollection.has(result.collection)) byCollection.set(result.collection, []);
+    byCollection.get(result.collection).push({ index, classified });
+  });
+
+  const recommendations = [];
+  for (const [collection, candidates] of byCollection) {
+    // The _id index always exists; partial and hidden indexes cannot be relied on for arbitrary filters
+    const existing = [
+      { name: '_id_', key: { _id: 1 } },
+      ...(existingIndexes[collection] || []).filter(ix => !ix.partialFilterExpression && !ix.hidden)
+    ];
+
+    // Equality fields shared by many queries go first so one index prefix serves them all
+    const counts = new Map();
+    candidates.forEach(c => c.classified.equality.forEach(f => counts.set(f, (counts.get(f) || 0) + 1)));
+    const equalityOrder = [...counts.keys()].sort((a, b) => counts.get(b) - counts.get(a));
+
+    const proposed = [];
+    const alreadyIndexed = [];
+    const ordered = candidates
+      .map(c => ({ ...c, key: esrKey(c.classified, equalityOrder) }))
+      .sort((a, b) => Object.keys(b.key).length - Object.keys(a.key).length);
+
+    for (const candidate of ordered) {
+      const current = existing.find(ix => indexServes(ix.key, candidate.classified));
+      if (current) {
+        alreadyIndexed.push({ index: candidate.index, indexName: current.name });
+        continue;
+      }
+      let host = proposed.find(p => indexServes(p.key, candidate.classified));
+      if (!host) {
+        host = { key: candidate.key, queries: [] };
+        proposed.push(host);
+      }
+      host.queries.push({ index: candidate.index, covered: isCovered(host.key, candidate.classified) });
+    }
+
+    proposed.forEach(p => {
+      p.queries.sort((a, b) => a.index - b.index);
+      p.command = createIndexCommand(collection, p.key);
+    });
+    if (proposed.length > 0 || alreadyIndexed.length > 0) {
+      recommendations.push({ collection, indexes: proposed, alreadyIndexed });
+    }
+  }
+  return recommendations;
+}
+
+module.exports = {
+  queryShape,
+  classifyQuery,
+  esrKey,
+  indexServes,
+  createIndexCommand,
+  recommendIndexes
+};
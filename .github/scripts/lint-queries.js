@@ -0,0 +1,150 @@
+// .github/scripts/lint-queries.js
+const fs = require('fs');
+const path = require('path');
+const { parseQueryLiteral } = require('./query-literal');
+const { loadRules, runRules } = require('./rule-engine');
+
+const QUERIES_FILE = path.resolve(__dirname, '../../reports/queries.json');
+const INDEXES_FILE = path.resolve(__dirname, '../../reports/indexes.json');
+const OUTPUT_FILE = path.resolve(__dirname, '../../reports/lint.json');
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype;
+}
+
+function parseOrNull(source) {
+  if (source === undefined || source === null) return null;
+  try {
+    return parseQueryLiteral(source);
+  } catch {
+    return null;
+  }
+}
+
+// Parsed parts of an extracted query that lint rules inspect: every filter with where it
+// appears, the aggregation pipeline, the chained cursor modifiers with literal arguments
+// (`chain`) and the names of all chained modifiers (`modifiers`)
+function queryParts(query) {
+  const method = (query.method || '').toLowerCase();
+  const parts = { filters: [], pipeline: null, chain: {}, modifiers: query.cursorModifiers || [] };
+
+  if (query.pattern === 'chained') {
+    let raw;
+    try {
+      raw = JSON.parse(query.rawQuery);
+    } catch {
+      return parts;
+    }
+    for (const [name, source] of Object.entries(raw)) {
+      const value = parseOrNull(source);
+      if (name !== 'find') {
+        parts.chain[name] = value;
+      } else if (isPlainObject(value)) {
+        parts.filters.push({ filter: value, where: 'filter' });
+      }
+    }
+    return parts;
+  }
+
+  const parsed = parseOrNull(query.rawQuery);
+  if (parsed === null || method.startsWith('insert')) return parts;
+
+  if (method === 'aggregate' && Array.isArray(parsed)) {
+    parts.pipeline = parsed;
+    parsed.forEach((stage, i) => {
+      if (isPlainObject(stage?.$match)) parts.filters.push({ filter: stage.$match, where: `stage ${i} $match` });
+    });
+  } else if (method === 'bulkwrite' && Array.isArray(parsed)) {
+    parsed.forEach((op, i) => {
+      const [type] = Object.keys(op || {});
+      if (isPlainObject(op[type]?.filter)) parts.filters.push({ filter: op[type].filter, where: `operation ${i} ${type}` });
+    });
+  } else if (method === 'distinct') {
+    const [, filter] = Array.isArray(parsed) ? parsed : [];
+    if (isPlainObject(filter)) parts.filters.push({ filter, where: 'filter' });
+  } else {
+    const filter = Array.isArray(parsed) ? parsed[0] : parsed;
+    if (isPlainObject(filter)) parts.filters.push({ filter, where: 'filter' });
+  }
+  return parts;
+}
+
+// Visit every field predicate of a filter as visit(field, value), descending into $and/$or/$nor
+function eachPredicate(filter, visit) {
+  if (!isPlainObject(filter)) return;
+  for (const [key, value] of Object.entries(filter)) {
+    if ((key === '$and' || key === '$or' || key === '$nor') && Array.isArray(value)) {
+      value.forEach(clause => eachPredicate(clause, visit));
+    } else if (!key.startsWith('$')) {
+      visit(key, value);
+    }
+  }
+}
+
+// Run the lint rules over extracted queries (or profiler results, which carry the same fields).
+// Each finding names its rule and a source location; a query collapsed from several identical
+// shapes is reported at every one of its locations.
+function lintQueries(queries, rules, { existingIndexes = {} } = {}) {
+  const findings = [];
+  queries.forEach((query, index) => {
+    const parts = queryParts(query);
+    const locations = query.locations || [{
+      file: query.file,
+      startLine: query.startLine,
+      startColumn: query.startColumn,
+      endLine: query.endLine,
+      endColumn: query.endColumn
+    }];
+    runRules(rules, { query, parts, existingIndexes }, 'lint').forEach(finding => {
+      locations.forEach(location => {
+        findings.push({
+          ...finding,
+          queryIndex: index,
+          fingerprint: query.fingerprint,
+          collection: query.collection,
+          method: query.method,
+          location
+        });
+      });
+    });
+  });
+  return findings;
+}
+
+// `file:line:column` of a finding
+function formatLocation({ file, startLine, startColumn }) {
+  return [file || 'unknown', startLine, startColumn].filter(part => part !== undefined).join(':');
+}
+
+async function main() {
+  if (!fs.existsSync(QUERIES_FILE)) {
+    console.error('Queries file not found:', QUERIES_FILE);
+    console.log('Please run extract-queries.js first to generate the queries file.');
+    process.exit(1);
+  }
+  const queries = JSON.parse(fs.readFileSync(QUERIES_FILE, 'utf-8'));
+  const existingIndexes = fs.existsSync(INDEXES_FILE) ? JSON.parse(fs.readFileSync(INDEXES_FILE, 'utf-8')) : {};
+  const findings = lintQueries(queries, loadRules(), { existingIndexes });
+
+  findings.forEach(f => {
+    console.log(`${formatLocation(f.location)}  ${f.severity}  ${f.message}  [${f.ruleId}]`);
+  });
+  fs.writeFileSync(OUTPUT_FILE, JSON.stringify(findings, null, 2));
+  const count = severity => findings.filter(f => f.severity === severity).length;
+  console.log(`\nLinted ${queries.length} queries: ${count('error')} errors, ${count('warning')} warnings, ${count('info')} notes`);
+  console.log(`Lint results saved to ${OUTPUT_FILE}`);
+}
+
+if (require.main === module) {
+  main().catch(err => {
+    console.error(err);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  queryParts,
+  eachPredicate,
+  lintQueries,
+  formatLocation
+};
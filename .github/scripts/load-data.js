@@ -1,6 +1,6 @@
 #!/usr/bin/env node
 
-const { MongoClient, EJSON, ObjectId } = require('mongodb');
+const { MongoClient, ObjectId } = require('mongodb');
 const fs = require('fs');
 const path = require('path');
 
@@ -0,0 +1,218 @@
+// .github/scripts/mongoose-models.js
+const { walk, unwrap, getStaticString, getMemberName, bindingResolver } = require('./ast-utils');
+const { resolveModulePath } = require('./collection-bindings');
+
+// Mongoose's default pluralization rules (lib/helpers/pluralize.js), first match wins
+const PLURALIZATION_RULES = [
+  [/human$/gi, 'humans'],
+  [/(m)an$/gi, '$1en'],
+  [/(pe)rson$/gi, '$1ople'],
+  [/(child)$/gi, '$1ren'],
+  [/^(ox)$/gi, '$1en'],
+  [/(ax|test)is$/gi, '$1es'],
+  [/(octop|vir)us$/gi, '$1i'],
+  [/(alias|status)$/gi, '$1es'],
+  [/(bu)s$/gi, '$1ses'],
+  [/(buffal|tomat|potat)o$/gi, '$1oes'],
+  [/([ti])um$/gi, '$1a'],
+  [/sis$/gi, 'ses'],
+  [/(?:([^f])fe|([lr])f)$/gi, '$1$2ves'],
+  [/(hive)$/gi, '$1s'],
+  [/([^aeiouy]|qu)y$/gi, '$1ies'],
+  [/(x|ch|ss|sh)$/gi, '$1es'],
+  [/(matr|vert|ind)ix|ex$/gi, '$1ices'],
+  [/([m|l])ouse$/gi, '$1ice'],
+  [/^(quiz)$/gi, '$1zes'],
+  [/s$/gi, 's'],
+  [/([^a-z])$/, '$1'],
+  [/$/gi, 's']
+];
+
+const UNCOUNTABLES = new Set([
+  'advice', 'energy', 'excretion', 'digestion', 'cooperation', 'health', 'justice', 'labour',
+  'machinery', 'equipment', 'information', 'pollution', 'sewage', 'paper', 'money', 'species',
+  'series', 'rain', 'rice', 'fish', 'sheep', 'moose', 'deer', 'news', 'expertise', 'status', 'media'
+]);
+
+const isCall = node => node && (node.type === 'CallExpression' || node.type === 'OptionalCallExpression');
+
+// Collection name Mongoose derives from a model name
+function pluralize(name) {
+  const str = name.toLowerCase();
+  if (UNCOUNTABLES.has(str)) return str;
+  const rule = PLURALIZATION_RULES.find(([pattern]) => str.match(pattern));
+  return rule ? str.replace(rule[0], rule[1]) : str;
+}
+
+// True for `model(...)`, `mongoose.model(...)`, `connection.model(...)`
+function isModelCallee(callee) {
+  callee = unwrap(callee);
+  return (callee.type === 'Identifier' && callee.name === 'model') || getMemberName(callee) === 'model';
+}
+
+// Model name of a `mongoose.models.User` / `connection.models.User` lookup, or null
+function getModelsMember(node) {
+  node = unwrap(node);
+  if (!node || node.type !== 'MemberExpression' || getMemberName(node.object) !== 'models') return null;
+  return getMemberName(node);
+}
+
+// Model a variable is bound to: `model('User', schema)`, a `model('User')` or `models.User`
+// lookup, or either side of `models.User || model('User', schema)`; null for any other value
+function boundModelName(node) {
+  node = unwrap(node);
+  if (!node) return null;
+  if (isCall(node)) return isModelCallee(node.callee) ? getStaticString(node.arguments[0]) : null;
+  if (node.type === 'LogicalExpression') return boundModelName(node.left) || boundModelName(node.right);
+  if (node.type === 'ConditionalExpression') return boundModelName(node.consequent) || boundModelName(node.alternate);
+  return getModelsMember(node);
+}
+
+// `collection` option from `new Schema(definition, { collection: 'name' })`, or null
+function getSchemaOption(node) {
+  node = unwrap(node);
+  if (!node || node.type !== 'NewExpression') return null;
+  const callee = unwrap(node.callee);
+  const isSchema = (callee.type === 'Identifier' && callee.name === 'Schema') || getMemberName(callee) === 'Schema';
+  const options = unwrap(node.arguments[1]);
+  if (!isSchema || !options || options.type !== 'ObjectExpression') return null;
+
+  for (const prop of options.properties) {
+    if (prop.type !== 'ObjectProperty') continue;
+    const key = prop.key.type === 'Identifier' ? prop.key.name : getStaticString(prop.key);
+    if (key === 'collection') return getStaticString(prop.value);
+  }
+  return null;
+}
+
+// Gather model registrations in a module: model -> collection, variables (keyed by binding, see
+// bindingResolver) and exports bound to models
+function collectModels(ast) {
+  const bindingOf = bindingResolver(ast);
+  const schemaCollections = new Map(); // schema identifier -> collection option
+  const registrations = [];            // model(...) calls, resolved after schemas are known
+  const models = new Map();            // model name -> collection
+  const locals = new Map();            // binding -> model name
+  const exported = new Map();          // export name -> model name
+
+  // Model name registered by a `model('Name', schema[, collection])` call with a schema, or null
+  function registeredName(node) {
+    node = unwrap(node);
+    if (!isCall(node) || !isModelCallee(node.callee) || node.arguments.length < 2) return null;
+    return getStaticString(node.arguments[0]);
+  }
+
+  walk(ast.program, node => {
+    if (node.type === 'VariableDeclarator' && node.id.type === 'Identifier') {
+      const schemaCollection = getSchemaOption(node.init);
+      if (schemaCollection) schemaCollections.set(node.id.name, schemaCollection);
+      const modelName = boundModelName(node.init);
+      if (modelName) locals.set(bindingOf(node.id), modelName);
+    }
+
+    // schema.set('collection', 'name')
+    if (isCall(node) && getMemberName(node.callee) === 'set' && getStaticString(node.arguments[0]) === 'collection') {
+      const object = unwrap(unwrap(node.callee).object);
+      const collection = getStaticString(node.arguments[1]);
+      if (object.type === 'Identifier' && collection) schemaCollections.set(object.name, collection);
+    }
+
+    if (isCall(node) && registeredName(node)) registrations.push(node);
+
+    // module.exports = model(...), exports.User = model(...), export default model(...)
+    if (node.type === 'AssignmentExpression') {
+      const left = unwrap(node.left);
+      if (left.type === 'Identifier' && boundModelName(node.right)) locals.set(bindingOf(left), boundModelName(node.right));
+      const modelName = registeredName(node.right) || (unwrap(node.right).type === 'Identifier' && locals.get(bindingOf(unwrap(node.right))));
+      if (modelName && left.type === 'MemberExpression') {
+        const name = getMemberName(left);
+        const object = unwrap(left.object);
+        if (object.type === 'Identifier' && object.name === 'module' && name === 'exports') {
+          exported.set('default', modelName);
+        } else if (name && ((object.type === 'Identifier' && object.name === 'exports') || getMemberName(object) === 'exports')) {
+          exported.set(name, modelName);
+        }
+      }
+    }
+    if (node.type === 'ExportDefaultDeclaration') {
+      const declaration = unwrap(node.declaration);
+      const modelName = registeredName(declaration) || (declaration.type === 'Identifier' && locals.get(bindingOf(declaration)));
+      if (modelName) exported.set('default', modelName);
+    }
+    if (node.type === 'ExportNamedDeclaration' && node.declaration && node.declaration.type === 'VariableDeclaration') {
+      for (const decl of node.declaration.declarations) {
+        const modelName = decl.id.type === 'Identifier' && registeredName(decl.init);
+        if (modelName) exported.set(decl.id.name, modelName);
+      }
+    }
+  });
+
+  for (const call of registrations) {
+    const modelName = getStaticString(call.arguments[0]);
+    const schema = unwrap(call.arguments[1]);
+    const collection = getStaticString(call.arguments[2]) ||
+      (schema.type === 'Identifier' ? schemaCollections.get(schema.name) : getSchemaOption(schema)) ||
+      pluralize(modelName);
+    models.set(modelName, collection);
+  }
+
+  return { models, locals, exported };
+}
+
+// Build a function mapping a call receiver to { model, collection }. `bindings` are the module's
+// collection bindings (for its imports), `modelExports` maps scanned files to the models they export
+// and `modelCollections` holds every model registered across the codebase. Only variables bound to
+// a model and imports are models: a local `const Rows = [...]` is not, whatever its name.
+function createModelResolver(modelInfo, bindings, file, { modelExports = new Map(), modelCollections = new Map() } = {}) {
+  function fromImport(binding, name) {
+    const target = resolveModulePath(file, binding.source, modelExports);
+    return target ? modelExports.get(target).get(name) || null : null;
+  }
+
+  // Model an imported identifier refers to: what a scanned module exports under that name, or the
+  // identifier itself when it is PascalCase and comes from a module that was not scanned
+  function importedModel(binding, node) {
+    const name = binding.imported === '*' ? 'default' : binding.imported;
+    if (resolveModulePath(file, binding.source, modelExports)) return fromImport(binding, name);
+    return /^[A-Z]/.test(node.name) ? node.name : null;
+  }
+
+  function resolveModelName(node) {
+    node = unwrap(node);
+    if (!node) return null;
+
+    // mongoose.model('User') and mongoose.models.User lookups
+    if (isCall(node)) {
+      return isModelCallee(node.callee) ? getStaticString(node.arguments[0]) : null;
+    }
+    if (getModelsMember(node)) return getModelsMember(node);
+
+    if (node.type === 'Identifier') {
+      const key = bindings.bindingOf(node);
+      if (modelInfo.locals.has(key)) return modelInfo.locals.get(key);
+      const binding = bindings.imports.get(key);
+      return binding ? importedModel(binding, node) : null;
+    }
+
+    // models.User where models = require('./models')
+    if (node.type === 'MemberExpression' && unwrap(node.object).type === 'Identifier') {
+      const binding = bindings.imports.get(bindings.bindingOf(unwrap(node.object)));
+      const name = getMemberName(node);
+      if (binding && binding.imported === '*' && name) return fromImport(binding, name);
+    }
+    return null;
+  }
+
+  return function resolveModel(node) {
+    const model = resolveModelName(node);
+    if (!model) return null;
+    const collection = modelInfo.models.get(model) || modelCollections.get(model) || pluralize(model);
+    return { model, collection };
+  };
+}
+
+module.exports = {
+  pluralize,
+  collectModels,
+  createModelResolver
+};
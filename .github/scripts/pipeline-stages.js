@@ -0,0 +1,55 @@
+// .github/scripts/pipeline-stages.js
+
+// Server limit for a blocking $group or $sort that is not allowed to spill to disk
+const PIPELINE_MEMORY_LIMIT_BYTES = 100 * 1024 * 1024;
+
+// Per-stage statistics of an aggregate explain: [{ index, name, spec, docsIn, docsOut,
+// timeMillis, stats }]. Stage times are reported cumulatively by the server, so each stage's
+// own time is the difference to the stage before it. Returns [] when the whole pipeline ran
+// in the query layer (no `stages` array).
+function pipelineStages(explain) {
+  if (!explain || !Array.isArray(explain.stages)) return [];
+  const stages = [];
+  let previous = null;
+  explain.stages.forEach((stage, index) => {
+    const name = Object.keys(stage).find(key => key.startsWith('$'));
+    const spec = stage[name];
+    const cumulative = stage.executionTimeMillisEstimate ??
+      (name === '$cursor' ? spec?.executionStats?.executionTimeMillis : undefined);
+    const docsOut = stage.nReturned ?? (name === '$cursor' ? spec?.executionStats?.nReturned : undefined);
+    stages.push({
+      index,
+      name,
+      spec,
+      docsIn: previous ? previous.docsOut : (name === '$cursor' ? spec?.executionStats?.totalDocsExamined : undefined),
+      docsOut,
+      timeMillis: typeof cumulative === 'number'
+        ? Math.max(0, cumulative - (typeof previous?.cumulative === 'number' ? previous.cumulative : 0))
+        : undefined,
+      stats: stage,
+      cumulative
+    });
+    previous = stages[stages.length - 1];
+  });
+  return stages.map(({ cumulative, ...stage }) => stage);
+}
+
+// Bytes a blocking $group or $sort held in memory, if the explain reports it
+function stageMemoryBytes(stage) {
+  if (stage.name === '$sort') {
+    return stage.stats.totalDataSizeSortedBytesEstimate ?? null;
+  }
+  if (stage.name === '$group') {
+    const usage = stage.stats.maxAccumulatorMemoryUsageBytes;
+    if (usage && typeof usage === 'object') {
+      return Object.values(usage).reduce((sum, bytes) => sum + Number(bytes || 0), 0);
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  PIPELINE_MEMORY_LIMIT_BYTES,
+  pipelineStages,
+  stageMemoryBytes
+};
@@ -0,0 +1,160 @@
+// .github/scripts/placeholder-sampler.js
+
+const SAMPLE_SIZE = parseInt(process.env.PLACEHOLDER_SAMPLE_SIZE) || 100;
+const MAX_BINDINGS = parseInt(process.env.PLACEHOLDER_BINDINGS) || 3;
+
+// Operators whose operand is a list of values
+const ARRAY_OPERATORS = new Set(['$in', '$nin', '$all']);
+
+// Chained query parts whose paths are prefixed with the part name
+const CHAIN_PARTS = new Set(['find', 'options', 'project', 'projection', 'select', 'sort', 'skip', 'limit', 'hint', 'collation', 'maxTimeMS']);
+
+// Document field a placeholder path refers to, e.g. '0.$match.createdAt.$gte' -> 'createdAt'
+function fieldForPath(path, method, pattern) {
+  if (path === '' || path === 'find') {
+    return method.toLowerCase() === 'findbyid' ? '_id' : null;
+  }
+  let segments = path.split('.');
+  if (pattern === 'chained' && CHAIN_PARTS.has(segments[0])) {
+    if (segments[0] !== 'find') return null;
+    segments = segments.slice(1);
+  }
+  const field = segments.filter(s => !/^\d+$/.test(s) && !s.startsWith('$')).join('.');
+  return field || null;
+}
+
+// Read a (possibly dotted) field from a document, taking the first element of arrays
+function getField(doc, field) {
+  let value = doc;
+  for (const key of field.split('.')) {
+    if (Array.isArray(value)) value = value[0];
+    if (value === null || typeof value !== 'object') return undefined;
+    value = value[key];
+  }
+  return Array.isArray(value) ? value[0] : value;
+}
+
+// Stable key for counting equal values (ObjectIds and Dates serialize to strings)
+function valueKey(value) {
+  return JSON.stringify(value);
+}
+
+// Build representative bindings ({ label, values: { path: value } }) for a query's runtime
+// placeholders (`unknownFields`), using values sampled from the target collection. `maxTimeMS`
+// bounds the sampling aggregation like the explains.
+async function samplePlaceholderBindings(collection, query, { maxTimeMS } = {}) {
+  const placeholders = (query.unknownFields || [])
+    .filter(f => !f.spread)
+    .map(f => ({ path: f.path, field: fieldForPath(f.path, query.method, query.pattern) }))
+    .filter(p => p.field);
+  if (placeholders.length === 0) return [];
+
+  const projection = {};
+  placeholders.forEach(p => { projection[p.field] = 1; });
+  const docs = await collection.aggregate([
+    { $sample: { size: SAMPLE_SIZE } },
+    { $project: projection }
+  ], maxTimeMS ? { maxTimeMS } : {}).toArray();
+  if (docs.length === 0) return [];
+
+  // Value frequencies per field, most common first
+  const frequencies = new Map();
+  for (const { field } of placeholders) {
+    if (frequencies.has(field)) continue;
+    const counts = new Map();
+    for (const doc of docs) {
+      const value = getField(doc, field);
+      if (value === undefined) continue;
+      const key = valueKey(value);
+      const entry = counts.get(key) || { value, count: 0 };
+      entry.count++;
+      counts.set(key, entry);
+    }
+    frequencies.set(field, [...counts.values()].sort((a, b) => b.count - a.count));
+  }
+
+  function bind(label, pick) {
+    const values = {};
+    for (const { path, field } of placeholders) {
+      const value = pick(field);
+      if (value === undefined) continue;
+      values[path] = ARRAY_OPERATORS.has(path.split('.').pop()) ? [value] : value;
+    }
+    return { label, values };
+  }
+
+  const bindings = [
+    bind('typical', field => frequencies.get(field)[0]?.value),
+    bind('rare', field => frequencies.get(field).slice(-1)[0]?.value)
+  ];
+  for (let i = 0; bindings.length < MAX_BINDINGS && i < docs.length; i++) {
+    const doc = docs[Math.floor(Math.random() * docs.length)];
+    bindings.push(bind(`sample ${i + 1}`, field => getField(doc, field)));
+  }
+
+  return bindings.slice(0, MAX_BINDINGS).filter(b => Object.keys(b.values).length > 0);
+}
+
+// Copy of the plain objects and arrays of a parsed query; BSON values, dates and regexes are shared
+function copyQuery(value) {
+  if (Array.isArray(value)) return value.map(copyQuery);
+  if (value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype) {
+    return Object.fromEntries(Object.entries(value).map(([key, child]) => [key, copyQuery(child)]));
+  }
+  return value;
+}
+
+// Set `value` at a dotted path, matching keys that themselves contain dots ("meta.flag")
+function setPath(target, segments, value) {
+  for (let n = segments.length; n > 0; n--) {
+    const key = segments.slice(0, n).join('.');
+    if (target === null || typeof target !== 'object' || !(key in target)) continue;
+    if (n === segments.length) {
+      target[key] = value;
+    } else {
+      setPath(target[key], segments.slice(n), value);
+    }
+    return;
+  }
+}
+
+// Apply bound values to a copy of a parsed query. `prefix` selects a chained part ('find', 'sort', ...).
+// Neither `query` nor the bound values are modified, so they can be reused for further explains.
+function applyBindings(query, values = {}, prefix = '') {
+  let result = copyQuery(query);
+  for (const [path, value] of Object.entries(values)) {
+    if (path === prefix) {
+      result = copyQuery(value);
+    } else if (prefix === '' || path.startsWith(`${prefix}.`)) {
+      setPath(result, (prefix ? path.slice(prefix.length + 1) : path).split('.'), copyQuery(value));
+    }
+  }
+  return result;
+}
+
+// Execution statistics of an explain, including aggregations that nest them under $cursor
+function executionStats(explain) {
+  return explain?.executionStats || explain?.stages?.[0]?.$cursor?.executionStats || null;
+}
+
+// Cost of an explain used to pick the worst binding: docs examined, then keys, then time
+function explainCost(explain) {
+  const stats = executionStats(explain) || {};
+  return [stats.totalDocsExamined || 0, stats.totalKeysExamined || 0, stats.executionTimeMillis || 0];
+}
+
+function compareCost(a, b) {
+  const ca = explainCost(a);
+  const cb = explainCost(b);
+  for (let i = 0; i < ca.length; i++) {
+    if (ca[i] !== cb[i]) return ca[i] - cb[i];
+  }
+  return 0;
+}
+
+module.exports = {
+  executionStats,
+  samplePlaceholderBindings,
+  applyBindings,
+  compareCost
+};
@@ -0,0 +1,58 @@
+// .github/scripts/plan-tree.js
+
+// Root of the plan tree to analyze. Prefers executionStats.executionStages, which carries
+// per-stage runtime statistics (docsExamined, nReturned, usedDisk), also for slot-based (SBE)
+// plans. The stat-less queryPlanner.winningPlan.queryPlan of SBE plans, then the winning plan,
+// are fallbacks for explains without execution stats. Aggregations nest both under stages[0].$cursor.
+function planRoot(explain) {
+  const cursor = explain?.stages?.[0]?.$cursor || explain;
+  const winningPlan = cursor?.queryPlanner?.winningPlan;
+  return cursor?.executionStats?.executionStages || winningPlan?.queryPlan || winningPlan || null;
+}
+
+// Child stage keys of slot-based (SBE) execution stages, e.g. the two sides of a nested loop join
+const SBE_CHILD_KEYS = ['outerStage', 'innerStage', 'thenStage', 'elseStage'];
+
+// Child stages of a plan node with the label that identifies each one in a stage path
+function childStages(node) {
+  if (node.inputStage) return [{ node: node.inputStage, label: '' }];
+  if (Array.isArray(node.inputStages)) {
+    return node.inputStages.map((child, i) => ({ node: child, label: `[${i}] ` }));
+  }
+  const sbeChildren = SBE_CHILD_KEYS.filter(key => node[key]);
+  if (sbeChildren.length > 0) {
+    return sbeChildren.map(key => ({ node: node[key], label: `[${key.replace('Stage', '')}] ` }));
+  }
+  if (Array.isArray(node.shards)) {
+    return node.shards.map(shard => ({
+      node: shard.executionStages || shard.winningPlan?.queryPlan || shard.winningPlan,
+      label: `[${shard.shardName}] `
+    })).filter(child => child.node);
+  }
+  return [];
+}
+
+// Visit every stage of a plan tree depth-first as visit(node, path, ancestors). `path` names
+// the stage's position, e.g. "FETCH > OR > [1] COLLSCAN".
+function walkPlan(root, visit, parentPath = '', label = '', ancestors = []) {
+  if (!root || typeof root !== 'object') return;
+  const segment = `${label}${root.stage || '?'}`;
+  const path = parentPath ? `${parentPath} > ${segment}` : segment;
+  visit(root, path, ancestors);
+  for (const child of childStages(root)) {
+    walkPlan(child.node, visit, path, child.label, [...ancestors, root]);
+  }
+}
+
+// Every stage of a plan tree as { node, path, ancestors }
+function planStages(root) {
+  const stages = [];
+  walkPlan(root, (node, path, ancestors) => stages.push({ node, path, ancestors }));
+  return stages;
+}
+
+module.exports = {
+  planRoot,
+  walkPlan,
+  planStages
+};
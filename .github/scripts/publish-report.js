@@ -0,0 +1,260 @@
+// .github/scripts/publish-report.js
+const fs = require('fs');
+const path = require('path');
+
+const REPORT_FILE = path.resolve(__dirname, '../../reports/pr-query-report.md');
+
+// GitHub rejects comment bodies over 65536 characters; the rest is headroom for the markers
+// and continuation notes
+const MAX_COMMENT_LENGTH = parseInt(process.env.COMMENT_MAX_LENGTH, 10) || 65000;
+// Reports that need more comments than this are truncated instead
+const MAX_COMMENT_PARTS = parseInt(process.env.COMMENT_MAX_PARTS, 10) || 4;
+// Hidden marker that identifies the comments of this tool; set COMMENT_MARKER to keep separate
+// comments for several workflows on the same pull request
+const COMMENT_MARKER = process.env.COMMENT_MARKER || 'mongo-query-profiler';
+
+// Raised for a failed GitHub REST API call
+class GitHubApiError extends Error {
+  constructor(method, url, status, body) {
+    super(`${method} ${url} failed with ${status}: ${body}`);
+    this.name = 'GitHubApiError';
+    this.status = status;
+  }
+}
+
+const partMarker = (marker, part) => `<!-- ${marker} part=${part} -->`;
+
+// Part number of a comment written by this tool, or null for any other comment
+function commentPart(body, marker = COMMENT_MARKER) {
+  const escaped = marker.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const match = new RegExp(`<!-- ${escaped} part=(\\d+) -->`).exec(body || '');
+  return match ? Number(match[1]) : null;
+}
+
+// Split a markdown report into blocks that may go to different comments: a block starts at a
+// `##` heading or a top-level <details>, and never breaks a <details> or a code fence
+function splitBlocks(markdown) {
+  const blocks = [];
+  let current = [];
+  let depth = 0;
+  let inFence = false;
+  for (const line of markdown.split('\n')) {
+    const startsBlock = depth === 0 && !inFence && (line.startsWith('## ') || line.startsWith('<details'));
+    if (startsBlock && current.length > 0) {
+      blocks.push(current.join('\n'));
+      current = [];
+    }
+    current.push(line);
+    if (line.trimStart().startsWith('```')) inFence = !inFence;
+    if (!inFence) {
+      depth += (line.match(/<details[\s>]/g) || []).length;
+      depth = Math.max(0, depth - (line.match(/<\/details>/g) || []).length);
+    }
+  }
+  if (current.length > 0) blocks.push(current.join('\n'));
+  return blocks.map(text => ({ text, collapsible: text.startsWith('<details') }));
+}
+
+// Cut a block that alone is over the limit at a line boundary, closing the code fence and
+// <details> blocks it leaves open
+function truncateBlock(text, maxLength, note) {
+  const kept = [];
+  let length = 0;
+  let depth = 0;
+  let inFence = false;
+  const closing = () => [inFence ? '```' : null, ...Array(depth).fill('</details>')].filter(Boolean).join('\n');
+  for (const line of text.split('\n')) {
+    // Room for the closing tags this line could add, plus the note
+    if (length + line.length + 1 + closing().length + 20 + note.length > maxLength) break;
+    kept.push(line);
+    length += line.length + 1;
+    if (line.trimStart().startsWith('```')) inFence = !inFence;
+    if (!inFence) {
+      depth += (line.match(/<details[\s>]/g) || []).length;
+      depth = Math.max(0, depth - (line.match(/<\/details>/g) || []).length);
+    }
+  }
+  return [...kept, closing(), '', note, ''].filter((line, i, all) => line !== '' || all[i - 1] !== '').join('\n');
+}
+
+// Pack blocks into comment bodies of at most `maxLength` characters, in report order
+function packBlocks(blocks, maxLength, note) {
+  const parts = [];
+  let current = '';
+  for (const block of blocks) {
+    const text = block.text.length > maxLength ? truncateBlock(block.text, maxLength, note) : block.text;
+    if (current && current.length + 1 + text.length > maxLength) {
+      parts.push(current);
+      current = '';
+    }
+    current = current ? `${current}\n${text}` : text;
+  }
+  if (current) parts.push(current);
+  return parts;
+}
+
+// Comment bodies for a report. A report that does not fit in one comment continues in further
+// comments; when it needs more than `maxParts` comments, the collapsible per-query blocks are
+// left out from the last one backwards until it fits, so the summary sections always remain.
+function buildCommentBodies(report, { marker = COMMENT_MARKER, maxLength = MAX_COMMENT_LENGTH, maxParts = MAX_COMMENT_PARTS, fullReportUrl = null } = {}) {
+  // Room for the marker and the continuation line of each part
+  const budget = maxLength - 200;
+  const where = fullReportUrl ? `the [full report](${fullReportUrl})` : 'the full report in the workflow artifacts';
+  const truncatedNote = `> ✂️ Truncated to fit GitHub's comment size limit; see ${where}.`;
+
+  let blocks = splitBlocks(report);
+  let parts = packBlocks(blocks, budget, truncatedNote);
+  let omitted = 0;
+  while (parts.length > maxParts) {
+    const last = blocks.map(block => block.collapsible).lastIndexOf(true);
+    if (last === -1) {
+      parts = parts.slice(0, maxParts);
+      parts[maxParts - 1] += `\n\n${truncatedNote}`;
+      break;
+    }
+    omitted++;
+    blocks = blocks.filter((block, i) => i !== last);
+    // The blank line ends the </details> block before it, so the note renders as markdown
+    const note = `\n> ✂️ Details of ${omitted} more ${omitted === 1 ? 'query was' : 'queries were'} left out to fit GitHub's comment size limit; see ${where}.\n`;
+    const noteIndex = blocks.findIndex(block => block.omittedNote);
+    if (noteIndex === -1) blocks.splice(last, 0, { text: note, omittedNote: true });
+    else blocks[noteIndex] = { text: note, omittedNote: true };
+    parts = packBlocks(blocks, budget, truncatedNote);
+  }
+
+  return parts.map((body, i) => {
+    const lines = [partMarker(marker, i + 1), body];
+    if (i < parts.length - 1) lines.push('', `*Continued in the next comment (${i + 2}/${parts.length}).*`);
+    return lines.join('\n');
+  });
+}
+
+// Minimal GitHub REST client. `apiUrl` points at a local mock server in tests.
+function createGitHubClient({ token, apiUrl = 'https://api.github.com' }) {
+  return async function request(method, route, body) {
+    const url = `${apiUrl.replace(/\/$/, '')}${route}`;
+    const response = await fetch(url, {
+      method,
+      headers: {
+        accept: 'application/vnd.github+json',
+        'content-type': 'application/json',
+        'user-agent': 'mongo-query-profiler',
+        'x-github-api-version': '2022-11-28',
+        ...(token ? { authorization: `Bearer ${token}` } : {})
+      },
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    if (!response.ok) throw new GitHubApiError(method, url, response.status, await response.text());
+    return response.status === 204 ? null : response.json();
+  };
+}
+
+async function listComments(request, repo, issueNumber) {
+  const comments = [];
+  for (let page = 1; ; page++) {
+    const batch = await request('GET', `/repos/${repo}/issues/${issueNumber}/comments?per_page=100&page=${page}`);
+    comments.push(...batch);
+    if (batch.length < 100) return comments;
+  }
+}
+
+// Login of the token's user, or null for a GitHub App installation token such as the workflow's
+// GITHUB_TOKEN, which may not read /user
+async function tokenUser(request) {
+  try {
+    return (await request('GET', '/user')).login;
+  } catch (err) {
+    if (err instanceof GitHubApiError && err.status === 403) return null;
+    throw err;
+  }
+}
+
+// True for a comment written with the token: by its user, or by a GitHub App when it has none
+function isOwnComment(comment, login) {
+  if (login) return comment.user?.login === login;
+  return comment.user?.login === 'github-actions[bot]' || Boolean(comment.performed_via_github_app);
+}
+
+// Publish a report on a pull request. The comments of an earlier run are found by their marker
+// and author and edited in place, extra comments are created when the report grew and left-over
+// ones deleted when it shrank. Returns { created, updated, deleted } comment counts.
+async function publishReport(report, { repo, issueNumber, request, marker = COMMENT_MARKER, ...options }) {
+  const bodies = buildCommentBodies(report, { marker, ...options });
+  const login = await tokenUser(request);
+  const existing = new Map();
+  for (const comment of await listComments(request, repo, issueNumber)) {
+    if (!isOwnComment(comment, login)) continue;
+    const part = commentPart(comment.body, marker);
+    if (part !== null && !existing.has(part)) existing.set(part, comment);
+  }
+
+  const counts = { created: 0, updated: 0, deleted: 0 };
+  for (const [i, body] of bodies.entries()) {
+    const comment = existing.get(i + 1);
+    if (comment) {
+      if (comment.body !== body) {
+        await request('PATCH', `/repos/${repo}/issues/comments/${comment.id}`, { body });
+        counts.updated++;
+      }
+      existing.delete(i + 1);
+    } else {
+      await request('POST', `/repos/${repo}/issues/${issueNumber}/comments`, { body });
+      counts.created++;
+    }
+  }
+  for (const comment of existing.values()) {
+    await request('DELETE', `/repos/${repo}/issues/comments/${comment.id}`);
+    counts.deleted++;
+  }
+  return counts;
+}
+
+// Pull request number from PR_NUMBER or the event payload of the workflow run
+function pullRequestNumber() {
+  if (process.env.PR_NUMBER) return Number(process.env.PR_NUMBER);
+  if (!process.env.GITHUB_EVENT_PATH || !fs.existsSync(process.env.GITHUB_EVENT_PATH)) return null;
+  const event = JSON.parse(fs.readFileSync(process.env.GITHUB_EVENT_PATH, 'utf-8'));
+  return event.pull_request?.number || event.issue?.number || null;
+}
+
+async function main() {
+  const file = process.argv[2] ? path.resolve(process.argv[2]) : REPORT_FILE;
+  if (!fs.existsSync(file)) {
+    console.error('Report file not found:', file);
+    process.exit(1);
+  }
+  const repo = process.env.GITHUB_REPOSITORY;
+  const issueNumber = pullRequestNumber();
+  if (!repo || !issueNumber) {
+    console.error('GITHUB_REPOSITORY and a pull request number (PR_NUMBER or the workflow event) are required');
+    process.exit(1);
+  }
+  const runUrl = process.env.GITHUB_RUN_ID
+    ? `${process.env.GITHUB_SERVER_URL || 'https://github.com'}/${repo}/actions/runs/${process.env.GITHUB_RUN_ID}`
+    : null;
+
+  const counts = await publishReport(fs.readFileSync(file, 'utf-8'), {
+    repo,
+    issueNumber,
+    request: createGitHubClient({ token: process.env.GITHUB_TOKEN, apiUrl: process.env.GITHUB_API_URL }),
+    fullReportUrl: runUrl
+  });
+  console.log(`✅ Report published to #${issueNumber}: ${counts.created} created, ${counts.updated} updated, ${counts.deleted} deleted`);
+}
+
+if (require.main === module) {
+  main().catch(err => {
+    console.error(err);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  COMMENT_MARKER,
+  GitHubApiError,
+  commentPart,
+  splitBlocks,
+  buildCommentBodies,
+  createGitHubClient,
+  publishReport
+};
@@ -0,0 +1,117 @@
+// .github/scripts/quality-gate.js
+const { loadConfig, SEVERITIES } = require('./rule-engine');
+const { queryFingerprint } = require('./query-fingerprint');
+
+// Failure policies:
+// - any-poor: fail when any query is rated Poor
+// - new-poor: fail when a query is Poor and was not Poor on the base branch (every Poor query
+//   counts as new without a baseline)
+// - limits: fail when the number of findings of a severity or rule ID exceeds its limit
+// - warn-only: never fail, only report
+const GATE_POLICIES = ['any-poor', 'new-poor', 'limits', 'warn-only'];
+// Failing the build is opt-in, so adding the profiler to an existing repository never breaks it
+const DEFAULT_POLICY = 'warn-only';
+
+// Process exit codes of analyze-explains.js
+const EXIT_CODES = { clean: 0, violated: 1, error: 2 };
+
+// Raised for an invalid gate configuration
+class GateConfigError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'GateConfigError';
+  }
+}
+
+// Gate settings from the `gate` section of .mongo-profiler.json ({ policy, limits }), with
+// GATE_POLICY overriding the policy
+function loadGateSettings(config = loadConfig()) {
+  const gate = config.gate || {};
+  const policy = process.env.GATE_POLICY || gate.policy || DEFAULT_POLICY;
+  if (!GATE_POLICIES.includes(policy)) {
+    throw new GateConfigError(`Invalid gate policy "${policy}" (expected ${GATE_POLICIES.join(', ')})`);
+  }
+  const limits = gate.limits || {};
+  for (const [key, limit] of Object.entries(limits)) {
+    if (!Number.isInteger(limit) || limit < 0) {
+      throw new GateConfigError(`Invalid gate limit for "${key}": ${JSON.stringify(limit)} (expected a non-negative integer)`);
+    }
+  }
+  if (policy === 'limits' && Object.keys(limits).length === 0) {
+    throw new GateConfigError('Gate policy "limits" needs at least one entry in gate.limits');
+  }
+  return { policy, limits };
+}
+
+const fingerprintOf = res => res.fingerprint || queryFingerprint(res);
+
+// Findings counted per severity and per rule ID
+function countFindings(findings) {
+  const counts = new Map();
+  for (const finding of findings) {
+    counts.set(finding.severity, (counts.get(finding.severity) || 0) + 1);
+    counts.set(finding.ruleId, (counts.get(finding.ruleId) || 0) + 1);
+  }
+  return counts;
+}
+
+// Decide whether the run passes. `analyses` holds the analysis of each result (null when it
+// was not profiled) and `baselineAnalyses` the same for the baseline results. Returns
+// { policy, passed, exitCode, reasons, queries } where `reasons` explain the verdict and
+// `queries` are the results that failed it.
+function evaluateGate({ results, analyses, lintFindings = [], baseline = null, baselineAnalyses = [] }, settings = loadGateSettings()) {
+  const { policy, limits } = settings;
+  const poor = results.filter((res, i) => analyses[i]?.performanceScore === 'Poor');
+  const reasons = [];
+  let failing = [];
+  let violated = false;
+
+  if (policy === 'any-poor' || policy === 'warn-only') {
+    failing = poor;
+    violated = poor.length > 0;
+    reasons.push(poor.length > 0 ? `${poor.length} of ${results.length} queries are rated Poor` : 'No query is rated Poor');
+  } else if (policy === 'new-poor') {
+    const basePoor = new Set((baseline || [])
+      .filter((res, i) => baselineAnalyses[i]?.performanceScore === 'Poor')
+      .map(fingerprintOf));
+    failing = poor.filter(res => !basePoor.has(fingerprintOf(res)));
+    violated = failing.length > 0;
+    if (!baseline) reasons.push('No baseline was available, so every Poor query counts as new');
+    reasons.push(failing.length > 0
+      ? `${failing.length} queries are newly rated Poor`
+      : 'No query is newly rated Poor');
+    if (poor.length > failing.length) {
+      reasons.push(`${poor.length - failing.length} Poor queries were already Poor on the base branch`);
+    }
+  } else {
+    const findings = [...analyses.filter(Boolean).flatMap(a => a.findings), ...lintFindings];
+    const counts = countFindings(findings);
+    const exceeded = new Set();
+    for (const [key, limit] of Object.entries(limits)) {
+      const count = counts.get(key) || 0;
+      const kind = SEVERITIES.includes(key) ? 'severity' : 'rule';
+      reasons.push(`${kind} \`${key}\`: ${count} findings (limit ${limit})${count > limit ? ' — exceeded' : ''}`);
+      if (count > limit) exceeded.add(key);
+    }
+    violated = exceeded.size > 0;
+    failing = results.filter((res, i) => (analyses[i]?.findings || []).some(f => exceeded.has(f.severity) || exceeded.has(f.ruleId)));
+  }
+
+  const passed = !violated || policy === 'warn-only';
+  if (violated && policy === 'warn-only') reasons.push('Policy is warn-only, so the gate does not fail');
+  return {
+    policy,
+    passed,
+    exitCode: passed ? EXIT_CODES.clean : EXIT_CODES.violated,
+    reasons,
+    queries: failing
+  };
+}
+
+module.exports = {
+  GATE_POLICIES,
+  EXIT_CODES,
+  GateConfigError,
+  loadGateSettings,
+  evaluateGate
+};
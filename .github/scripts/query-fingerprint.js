@@ -0,0 +1,208 @@
+// .github/scripts/query-fingerprint.js
+const crypto = require('crypto');
+const { parseQueryLiteral } = require('./query-literal');
+
+// Methods whose raw query is an argument list: [filter, update/replacement, options]
+const UPDATE_METHODS = new Set(['updateOne', 'updateMany', 'replaceOne', 'findOneAndUpdate', 'findOneAndReplace']);
+const FILTER_LIST_METHODS = new Set(['deleteOne', 'deleteMany', 'countDocuments', 'findOneAndDelete']);
+
+// Operators whose operand changes the plan, so it stays part of the shape
+const STRUCTURAL_OPERATORS = new Set(['$exists', '$type', '$options']);
+
+// Chained cursor modifiers whose argument is a plain number
+const NUMERIC_MODIFIERS = new Set(['skip', 'limit', 'maxTimeMS']);
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype;
+}
+
+// Object with keys in sorted order, so `{ a, b }` and `{ b, a }` have the same shape
+function sortedObject(entries) {
+  return Object.fromEntries([...entries].sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0)));
+}
+
+// Placeholder for a literal value, tagged with its type like the server's query shapes
+// (`?number`, `?string`, `?objectid`, ...). Unresolved runtime values are `?null`.
+function literalShape(value) {
+  if (value === null || value === undefined) return '?null';
+  if (value instanceof RegExp) return '?regex';
+  if (value instanceof Date) return '?date';
+  if (Array.isArray(value)) return '?array';
+  if (typeof value === 'object') return `?${(value._bsontype || 'object').toLowerCase()}`;
+  return `?${typeof value}`;
+}
+
+const isOperatorObject = value => isPlainObject(value) && Object.keys(value).length > 0 &&
+  Object.keys(value).every(key => key.startsWith('$'));
+
+// Shape of one field predicate. `{ $eq: x }` and `{ $in: [x] }` are the same predicate as `x`.
+function predicateShape(value) {
+  if (!isOperatorObject(value)) return literalShape(value);
+  const operators = Object.keys(value);
+  if (operators.length === 1 && operators[0] === '$eq') return literalShape(value.$eq);
+  if (operators.length === 1 && operators[0] === '$in' && Array.isArray(value.$in) && value.$in.length === 1) {
+    return literalShape(value.$in[0]);
+  }
+  return sortedObject(Object.entries(value).map(([op, operand]) => {
+    if (STRUCTURAL_OPERATORS.has(op)) return [op, operand];
+    if (op === '$not') return [op, predicateShape(operand)];
+    if (op === '$elemMatch') return [op, isOperatorObject(operand) ? predicateShape(operand) : filterShape(operand)];
+    return [op, literalShape(operand)];
+  }));
+}
+
+// Shape of a filter: keys sorted, literals replaced, $and/$or/$nor branches in a canonical order
+function filterShape(filter) {
+  if (!isPlainObject(filter)) return literalShape(filter);
+  return sortedObject(Object.entries(filter).map(([key, value]) => {
+    if ((key === '$and' || key === '$or' || key === '$nor') && Array.isArray(value)) {
+      return [key, value.map(filterShape).sort((a, b) => JSON.stringify(a).localeCompare(JSON.stringify(b)))];
+    }
+    if (key.startsWith('$')) return [key, expressionShape(value)];
+    return [key, predicateShape(value)];
+  }));
+}
+
+// Shape of an aggregation expression or stage spec: field paths and names are kept, other
+// literals replaced
+function expressionShape(value) {
+  if (Array.isArray(value)) return value.map(expressionShape);
+  if (isPlainObject(value)) {
+    return sortedObject(Object.entries(value).map(([key, child]) => [key, expressionShape(child)]));
+  }
+  return typeof value === 'string' ? value : literalShape(value);
+}
+
+// Shape of a pipeline: stage order is kept; $sort keeps its key order and directions
+function pipelineShape(pipeline) {
+  if (!Array.isArray(pipeline)) return literalShape(pipeline);
+  return pipeline.map(stage => {
+    if (!isPlainObject(stage)) return literalShape(stage);
+    const [name] = Object.keys(stage);
+    const spec = stage[name];
+    switch (name) {
+      case '$match':
+        return { $match: filterShape(spec) };
+      case '$sort':
+        return { $sort: spec };
+      case '$limit':
+      case '$skip':
+      case '$sample':
+        return { [name]: literalShape(spec) };
+      case '$lookup':
+        return { $lookup: isPlainObject(spec) && spec.pipeline ? { ...expressionShape(spec), pipeline: pipelineShape(spec.pipeline) } : expressionShape(spec) };
+      case '$facet':
+        return { $facet: sortedObject(Object.entries(spec || {}).map(([key, sub]) => [key, pipelineShape(sub)])) };
+      default:
+        return { [name]: expressionShape(spec) };
+    }
+  });
+}
+
+// Shape of an update document ({ $set: { a: ? } }), update pipeline or replacement document
+function updateShape(update) {
+  if (Array.isArray(update)) return pipelineShape(update);
+  if (!isPlainObject(update)) return literalShape(update);
+  return sortedObject(Object.entries(update).map(([key, value]) => [
+    key,
+    key.startsWith('$') && isPlainObject(value)
+      ? sortedObject(Object.keys(value).map(field => [field, literalShape(value[field])]))
+      : literalShape(value)
+  ]));
+}
+
+function bulkWriteShape(operations) {
+  if (!Array.isArray(operations)) return literalShape(operations);
+  return operations.map(op => {
+    const [type] = Object.keys(op || {});
+    const spec = op?.[type];
+    if (!isPlainObject(spec)) return { [type]: literalShape(spec) };
+    return {
+      [type]: sortedObject(Object.entries(spec).map(([key, value]) => {
+        if (key === 'filter') return [key, filterShape(value)];
+        if (key === 'update' || key === 'replacement') return [key, updateShape(value)];
+        if (key === 'document') return [key, '?document'];
+        return [key, value];
+      }))
+    };
+  });
+}
+
+function parseOrRaw(source) {
+  try {
+    return { value: parseQueryLiteral(source) };
+  } catch {
+    return { raw: String(source).replace(/\s+/g, '') };
+  }
+}
+
+// Cursor settings of a chained query that are only known at runtime and so missing from its raw
+// query: chained modifiers with runtime arguments and runtime find() options. Their names keep
+// `find(f).sort(s)` and `find(f).limit(n)` apart.
+function runtimeModifiers(query, parts) {
+  const names = [
+    ...(query.cursorModifiers || []),
+    ...(query.unknownFields || []).map(field => String(field.path).split('.')[0])
+  ].filter(name => name !== 'find' && !(name in parts));
+  return [...new Set(names)].sort();
+}
+
+// Canonical shape of an extracted query: literal values are replaced by typed placeholders,
+// object keys are sorted and equivalent operators are normalized, in the way the server's
+// queryHash groups queries. Unparseable queries fall back to their text without whitespace.
+function canonicalShape(query) {
+  const method = query.method;
+
+  if (query.pattern === 'chained') {
+    let parts;
+    try {
+      parts = JSON.parse(query.rawQuery);
+    } catch {
+      return { raw: String(query.rawQuery).replace(/\s+/g, '') };
+    }
+    const shape = sortedObject(Object.entries(parts).map(([name, source]) => {
+      const parsed = parseOrRaw(source);
+      if (parsed.raw !== undefined) return [name, parsed];
+      if (name === 'find') return [name, filterShape(parsed.value)];
+      return [name, NUMERIC_MODIFIERS.has(name) ? literalShape(parsed.value) : parsed.value];
+    }));
+    const runtime = runtimeModifiers(query, parts);
+    return runtime.length > 0 ? { ...shape, $runtime: runtime } : shape;
+  }
+
+  const parsed = parseOrRaw(query.rawQuery);
+  if (parsed.raw !== undefined) return parsed;
+  const value = parsed.value;
+
+  if (method === 'aggregate') return pipelineShape(value);
+  if (method === 'bulkWrite') return bulkWriteShape(value);
+  if (method === 'insertOne' || method === 'insertMany') return Array.isArray(value) ? '?array' : '?document';
+  if (method === 'findById') return literalShape(value);
+  if (method === 'distinct' && Array.isArray(value)) {
+    const [field, filter, options] = value;
+    return [field, filterShape(filter ?? {}), options ?? null];
+  }
+  if (UPDATE_METHODS.has(method) && Array.isArray(value)) {
+    const [filter, update, options] = value;
+    return [filterShape(filter ?? {}), updateShape(update), options ?? null];
+  }
+  if (FILTER_LIST_METHODS.has(method) && Array.isArray(value)) {
+    const [filter, options] = value;
+    return [filterShape(filter ?? {}), options ?? null];
+  }
+  return filterShape(value);
+}
+
+// Short stable hash of a query's collection, method and canonical shape. Queries that differ
+// only in literal values, key order or `$eq`/single-value `$in` share a fingerprint.
+function queryFingerprint(query) {
+  return crypto.createHash('sha1')
+    .update(JSON.stringify([query.collection || null, query.method || null, canonicalShape(query)]))
+    .digest('hex')
+    .slice(0, 16);
+}
+
+module.exports = {
+  canonicalShape,
+  queryFingerprint
+};
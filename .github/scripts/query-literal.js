@@ -0,0 +1,128 @@
+// .github/scripts/query-literal.js
+const { parseExpression } = require('@babel/parser');
+const { ObjectId, Long, Int32, Decimal128, UUID } = require('mongodb');
+
+// Raised for anything that is not a plain query literal
+class UnsupportedExpressionError extends Error {
+  constructor(node, source) {
+    const snippet = source.slice(node.start, node.end);
+    super(`Unsupported expression: ${node.type} \`${snippet.length > 60 ? `${snippet.slice(0, 57)}...` : snippet}\``);
+    this.name = 'UnsupportedExpressionError';
+  }
+}
+
+// Identifiers that evaluate to constants
+const CONSTANTS = { undefined: undefined, NaN: NaN, Infinity: Infinity };
+
+// Constructor helpers callable with or without `new`, taking literal arguments only
+const CONSTRUCTORS = {
+  ObjectId: args => new ObjectId(...args),
+  ISODate: args => (args.length > 0 ? new Date(args[0]) : new Date()),
+  Date: args => new Date(...args),
+  NumberLong: args => Long.fromString(String(args[0] ?? 0)),
+  NumberInt: args => new Int32(Number(args[0] ?? 0)),
+  NumberDecimal: args => Decimal128.fromString(String(args[0] ?? 0)),
+  UUID: args => (args.length > 0 ? new UUID(args[0]) : new UUID()),
+  RegExp: args => new RegExp(...args)
+};
+
+// Name of a constructor callee: `ObjectId`, `mongoose.Types.ObjectId`, `Types.ObjectId`
+function getCalleeName(callee) {
+  if (callee.type === 'Identifier') return callee.name;
+  if (callee.type === 'MemberExpression' && !callee.computed && callee.property.type === 'Identifier') {
+    return callee.property.name;
+  }
+  return null;
+}
+
+// Evaluate a literal AST node without executing any code
+function evaluateNode(node, source) {
+  switch (node.type) {
+    case 'StringLiteral':
+    case 'NumericLiteral':
+    case 'BooleanLiteral':
+      return node.value;
+    case 'NullLiteral':
+      return null;
+    case 'RegExpLiteral':
+      return new RegExp(node.pattern, node.flags);
+
+    case 'TSAsExpression':
+    case 'TSSatisfiesExpression':
+    case 'TSNonNullExpression':
+      return evaluateNode(node.expression, source);
+
+    case 'TemplateLiteral':
+      if (node.expressions.length > 0) throw new UnsupportedExpressionError(node, source);
+      return node.quasis[0].value.cooked;
+
+    case 'Identifier':
+      if (Object.prototype.hasOwnProperty.call(CONSTANTS, node.name)) return CONSTANTS[node.name];
+      throw new UnsupportedExpressionError(node, source);
+
+    case 'UnaryExpression': {
+      const value = evaluateNode(node.argument, source);
+      if (typeof value !== 'number') throw new UnsupportedExpressionError(node, source);
+      if (node.operator === '-') return -value;
+      if (node.operator === '+') return value;
+      throw new UnsupportedExpressionError(node, source);
+    }
+
+    case 'ArrayExpression':
+      return node.elements.map(element => {
+        if (!element) return null;
+        if (element.type === 'SpreadElement') throw new UnsupportedExpressionError(element, source);
+        return evaluateNode(element, source);
+      });
+
+    case 'ObjectExpression': {
+      const result = {};
+      for (const prop of node.properties) {
+        if (prop.type !== 'ObjectProperty' || prop.computed || prop.shorthand) {
+          throw new UnsupportedExpressionError(prop, source);
+        }
+        const key = prop.key.type === 'Identifier' ? prop.key.name : prop.key.value;
+        if (key === undefined || key === '__proto__') throw new UnsupportedExpressionError(prop.key, source);
+        result[String(key)] = evaluateNode(prop.value, source);
+      }
+      return result;
+    }
+
+    case 'CallExpression':
+    case 'NewExpression': {
+      const name = getCalleeName(node.callee);
+      if (!name || !Object.prototype.hasOwnProperty.call(CONSTRUCTORS, name)) {
+        throw new UnsupportedExpressionError(node, source);
+      }
+      const args = node.arguments.map(arg => {
+        if (arg.type === 'SpreadElement') throw new UnsupportedExpressionError(arg, source);
+        return evaluateNode(arg, source);
+      });
+      try {
+        return CONSTRUCTORS[name](args);
+      } catch (err) {
+        throw new Error(`Invalid ${name}(...) arguments: ${err.message}`);
+      }
+    }
+
+    default:
+      throw new UnsupportedExpressionError(node, source);
+  }
+}
+
+// Parse a query literal (JSON or JS object/array literal with Mongo shell helpers) into a value
+function parseQueryLiteral(source) {
+  const trimmed = String(source).trim();
+  try {
+    return JSON.parse(trimmed);
+  } catch {
+    // Not JSON -- fall through to the JS literal evaluator
+  }
+  const ast = parseExpression(trimmed, { plugins: ['typescript'] });
+  return evaluateNode(ast, trimmed);
+}
+
+module.exports = {
+  parseQueryLiteral,
+  UnsupportedExpressionError
+};
@@ -0,0 +1,85 @@
+// .github/scripts/results-format.js
+const fs = require('fs');
+const { version } = require('../../package.json');
+
+// Tool that produced a results document, also named in SARIF output
+const TOOL = { name: 'mongo-query-profiler', version };
+
+// Version of the results document. Bump it when a field is removed or changes meaning;
+// adding fields is backwards compatible.
+const RESULTS_FORMAT_VERSION = 1;
+
+// Raised for a results file that is not in a supported format version
+class ResultsFormatError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ResultsFormatError';
+  }
+}
+
+// Identifying fields of a query entry, used wherever a section of the document refers to a query
+function queryRef(query) {
+  return {
+    fingerprint: query.fingerprint,
+    collection: query.collection,
+    method: query.method,
+    file: query.file,
+    startLine: query.startLine,
+    startColumn: query.startColumn,
+    endLine: query.endLine,
+    endColumn: query.endColumn
+  };
+}
+
+function checkVersion(version, file) {
+  if (version !== RESULTS_FORMAT_VERSION) {
+    throw new ResultsFormatError(`${file} has results format version ${version}; this tool reads version ${RESULTS_FORMAT_VERSION}`);
+  }
+}
+
+// The document as NDJSON: a `run` line with everything but the queries and lint findings,
+// then one `query` line per query and one `lint` line per lint finding
+function toNdjson(doc) {
+  const { queries, lintFindings, ...header } = doc;
+  return [
+    { type: 'run', ...header },
+    ...queries.map(query => ({ type: 'query', ...query })),
+    ...lintFindings.map(finding => ({ type: 'lint', ...finding }))
+  ].map(line => JSON.stringify(line)).join('\n') + '\n';
+}
+
+function writeResults(doc, { jsonFile, ndjsonFile }) {
+  fs.writeFileSync(jsonFile, JSON.stringify(doc, null, 2));
+  fs.writeFileSync(ndjsonFile, toNdjson(doc));
+}
+
+// Read a results document from its JSON or NDJSON form
+function readResultsFile(file) {
+  const text = fs.readFileSync(file, 'utf-8');
+  if (!file.endsWith('.ndjson')) {
+    const doc = JSON.parse(text);
+    checkVersion(doc.formatVersion, file);
+    return doc;
+  }
+  let doc = null;
+  const queries = [];
+  const lintFindings = [];
+  text.split('\n').filter(line => line.trim()).forEach(line => {
+    const { type, ...record } = JSON.parse(line);
+    if (type === 'run') doc = record;
+    else if (type === 'query') queries.push(record);
+    else if (type === 'lint') lintFindings.push(record);
+  });
+  if (!doc) throw new ResultsFormatError(`${file} has no run record`);
+  checkVersion(doc.formatVersion, file);
+  return { ...doc, queries, lintFindings };
+}
+
+module.exports = {
+  RESULTS_FORMAT_VERSION,
+  TOOL,
+  ResultsFormatError,
+  queryRef,
+  writeResults,
+  readResultsFile
+};
@@ -0,0 +1,117 @@
+// .github/scripts/rule-engine.js
+const fs = require('fs');
+const path = require('path');
+
+const BUILTIN_RULES_DIR = path.resolve(__dirname, 'rules');
+const CONFIG_FILE = path.resolve(process.env.PROFILER_CONFIG || '.mongo-profiler.json');
+// Project-local rules directory, relative to the config file, unless the config sets `rulesDir`
+const DEFAULT_LOCAL_RULES_DIR = '.mongo-profiler/rules';
+
+// Finding severities, most severe first. `info` findings never lower a query's score.
+const SEVERITIES = ['error', 'warning', 'info'];
+
+// Rule types: `explain` rules inspect explain output, `lint` rules only the extracted query
+const RULE_TYPES = ['explain', 'lint'];
+
+// Raised for an invalid rule module or rule configuration
+class RuleConfigError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'RuleConfigError';
+  }
+}
+
+// Per-repository settings: { rulesDir, rules: { <id>: false | { enabled, severity, options } } }
+function loadConfig(file = CONFIG_FILE) {
+  if (!fs.existsSync(file)) return { baseDir: process.cwd(), rules: {} };
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(file, 'utf-8'));
+  } catch (err) {
+    throw new RuleConfigError(`Invalid JSON in ${file}: ${err.message}`);
+  }
+  return { ...config, rules: config.rules || {}, baseDir: path.dirname(file), file };
+}
+
+function validateRule(rule, file) {
+  if (!rule || typeof rule.id !== 'string' || rule.id === '') {
+    throw new RuleConfigError(`Rule in ${file} has no id`);
+  }
+  if (!SEVERITIES.includes(rule.severity)) {
+    throw new RuleConfigError(`Rule ${rule.id} in ${file} has invalid severity "${rule.severity}" (expected ${SEVERITIES.join(', ')})`);
+  }
+  if (rule.type !== undefined && !RULE_TYPES.includes(rule.type)) {
+    throw new RuleConfigError(`Rule ${rule.id} in ${file} has invalid type "${rule.type}" (expected ${RULE_TYPES.join(', ')})`);
+  }
+  if (typeof rule.check !== 'function') {
+    throw new RuleConfigError(`Rule ${rule.id} in ${file} has no check function`);
+  }
+  return rule;
+}
+
+// Every rule module (*.js) in a directory, in file name order
+function loadRuleDir(dir) {
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir)
+    .filter(file => file.endsWith('.js'))
+    .sort()
+    .map(file => validateRule(require(path.join(dir, file)), path.join(dir, file)));
+}
+
+// Load the built-in and project-local rules and apply the per-repository settings.
+// A project rule with the same id as a built-in replaces it.
+function loadRules(config = loadConfig()) {
+  const rules = new Map();
+  loadRuleDir(BUILTIN_RULES_DIR).forEach(rule => rules.set(rule.id, rule));
+  loadRuleDir(path.resolve(config.baseDir, config.rulesDir || DEFAULT_LOCAL_RULES_DIR)).forEach(rule => rules.set(rule.id, rule));
+
+  for (const id of Object.keys(config.rules)) {
+    if (!rules.has(id)) console.warn(`⚠️  Unknown rule "${id}" in ${config.file}`);
+  }
+
+  return [...rules.values()].map(rule => {
+    const setting = config.rules[rule.id];
+    const settings = setting === false ? { enabled: false } : (setting && typeof setting === 'object' ? setting : {});
+    if (settings.severity && !SEVERITIES.includes(settings.severity)) {
+      throw new RuleConfigError(`Invalid severity "${settings.severity}" for rule ${rule.id} in ${config.file}`);
+    }
+    return {
+      ...rule,
+      type: rule.type || 'explain',
+      enabled: settings.enabled !== undefined ? settings.enabled !== false : rule.enabled !== false,
+      severity: settings.severity || rule.severity,
+      options: { ...rule.defaults, ...settings.options }
+    };
+  });
+}
+
+// Run every enabled rule of one type. `context` holds the full explain, its summary, the query
+// metadata and anything else rules may use; each rule also gets its own `options`. A rule returns
+// nothing, a finding ({ message, suggestion?, severity?, stagePath? }) or a list of findings.
+function runRules(rules, context, type = 'explain') {
+  const findings = [];
+  for (const rule of rules) {
+    if (!rule.enabled || rule.type !== type) continue;
+    let result;
+    try {
+      result = rule.check({ ...context, options: rule.options });
+    } catch (err) {
+      findings.push({ ruleId: rule.id, severity: 'warning', message: `Rule ${rule.id} failed: ${err.message}` });
+      continue;
+    }
+    for (const finding of [].concat(result || [])) {
+      // Extra finding fields (e.g. stagePath) are kept as-is
+      findings.push({ ...finding, ruleId: rule.id, severity: finding.severity || rule.severity });
+    }
+  }
+  return findings;
+}
+
+module.exports = {
+  SEVERITIES,
+  RULE_TYPES,
+  RuleConfigError,
+  loadConfig,
+  loadRules,
+  runRules
+};
@@ -0,0 +1,21 @@
+// .github/scripts/rules/collection-scan.js
+
+// Plan stages that answer a query without scanning documents or an index
+const METADATA_STAGES = ['RECORD_STORE_FAST_COUNT', 'EOF'];
+
+module.exports = {
+  id: 'collection-scan',
+  severity: 'error',
+  description: 'Winning plan scans the whole collection instead of using an index',
+  check({ summary, recommendedIndex }) {
+    const { indexUsed, stage, planStages = [] } = summary;
+    const metadataOnly = planStages.some(s => METADATA_STAGES.includes(s));
+    if ((indexUsed !== 'None' || metadataOnly) && stage !== 'COLLSCAN') return null;
+    return {
+      message: 'No index used - performs collection scan',
+      suggestion: recommendedIndex
+        ? `Add a compound index: \`${recommendedIndex}\``
+        : 'Consider adding an appropriate index for this query'
+    };
+  }
+};
@@ -0,0 +1,16 @@
+// .github/scripts/rules/docs-examined.js
+module.exports = {
+  id: 'docs-examined',
+  severity: 'error',
+  description: 'Query examines more documents than the threshold',
+  defaults: {
+    maxDocsExamined: parseInt(process.env.MAX_DOCS_EXAMINED) || 500
+  },
+  check({ summary, options }) {
+    if (summary.docsExamined <= options.maxDocsExamined) return null;
+    return {
+      message: `High document examination: ${summary.docsExamined} documents scanned (threshold: ${options.maxDocsExamined})`,
+      suggestion: 'Query examines too many documents - consider more selective filters or better indexing'
+    };
+  }
+};
@@ -0,0 +1,13 @@
+// .github/scripts/rules/empty-collection.js
+module.exports = {
+  id: 'empty-collection',
+  severity: 'info',
+  description: 'Query ran against an empty collection, so its plan says nothing about real performance',
+  check({ summary }) {
+    if (summary.stage !== 'EOF') return null;
+    return {
+      message: 'Query executed on empty collection - no performance issues to analyze',
+      suggestion: 'Consider adding test data to validate query performance'
+    };
+  }
+};
@@ -0,0 +1,14 @@
+// .github/scripts/rules/examined-none-returned.js
+module.exports = {
+  id: 'examined-none-returned',
+  severity: 'warning',
+  description: 'Query examines documents but returns none',
+  check({ summary }) {
+    const { docsExamined, docsReturned } = summary;
+    if (docsExamined === 0 || docsReturned !== 0) return null;
+    return {
+      message: `Query examined ${docsExamined} documents but returned none - possible inefficient query`,
+      suggestion: 'Review query filters to ensure they match actual data or add appropriate indexes'
+    };
+  }
+};
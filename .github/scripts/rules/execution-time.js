@@ -0,0 +1,26 @@
+// .github/scripts/rules/execution-time.js
+module.exports = {
+  id: 'execution-time',
+  severity: 'error',
+  description: 'Execution time (or the benchmarked latency percentile) exceeds the slow-query threshold; reported as a warning above the warning threshold',
+  defaults: {
+    maxExecutionTimeMs: parseInt(process.env.MAX_EXECUTION_TIME_MS) || 100,
+    warnExecutionTimeMs: parseInt(process.env.WARN_EXECUTION_TIME_MS) || 50
+  },
+  check({ summary, options }) {
+    const { totalMillis, timeLabel = '' } = summary;
+    if (totalMillis > options.maxExecutionTimeMs) {
+      return {
+        message: `Slow query: ${totalMillis}ms ${timeLabel}execution time (threshold: ${options.maxExecutionTimeMs}ms)`,
+        suggestion: 'Consider optimizing query filters and adding appropriate indexes'
+      };
+    }
+    if (totalMillis > options.warnExecutionTimeMs) {
+      return {
+        severity: 'warning',
+        message: `Moderate execution time: ${totalMillis}ms ${timeLabel}(warning threshold: ${options.warnExecutionTimeMs}ms)`
+      };
+    }
+    return null;
+  }
+};
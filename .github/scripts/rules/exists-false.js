@@ -0,0 +1,21 @@
+// .github/scripts/rules/exists-false.js
+const { eachPredicate } = require('../lint-queries');
+
+module.exports = {
+  id: 'exists-false',
+  type: 'lint',
+  severity: 'warning',
+  description: '$exists: false has to fetch every document whose indexed value is null to tell missing from null',
+  check({ parts }) {
+    const findings = [];
+    parts.filters.forEach(({ filter, where }) => eachPredicate(filter, (field, value) => {
+      if (value && typeof value === 'object' && (value.$exists === false || value.$exists === 0)) {
+        findings.push({
+          message: `\`${field}: { $exists: false }\` (${where}) cannot be answered from the index alone`,
+          suggestion: 'Store an explicit default value (or a flag field) and match on it, or use a partial index'
+        });
+      }
+    }));
+    return findings;
+  }
+};
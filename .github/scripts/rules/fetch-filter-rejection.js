@@ -0,0 +1,43 @@
+// .github/scripts/rules/fetch-filter-rejection.js
+const { planRoot, planStages } = require('../plan-tree');
+
+// Field names referenced by a stage's filter expression
+function filterFields(filter, fields = new Set()) {
+  for (const [key, value] of Object.entries(filter || {})) {
+    if (!key.startsWith('$')) {
+      fields.add(key);
+    } else if (Array.isArray(value)) {
+      value.forEach(clause => filterFields(clause, fields));
+    }
+  }
+  return [...fields];
+}
+
+module.exports = {
+  id: 'fetch-filter-rejection',
+  severity: 'warning',
+  description: 'FETCH after IXSCAN discards most fetched documents with a residual filter the index does not cover',
+  defaults: {
+    maxRejectionRate: 0.5,
+    minDocsExamined: 20
+  },
+  check({ explain, options }) {
+    const findings = [];
+    for (const { node, path } of planStages(planRoot(explain))) {
+      if (node.stage !== 'FETCH' || !node.filter || node.inputStage?.stage !== 'IXSCAN') continue;
+      if (typeof node.docsExamined !== 'number' || node.docsExamined < options.minDocsExamined) continue;
+      const rejection = 1 - (node.nReturned || 0) / node.docsExamined;
+      if (rejection <= options.maxRejectionRate) continue;
+
+      const fields = filterFields(node.filter).map(f => `\`${f}\``).join(', ');
+      findings.push({
+        stagePath: path,
+        message: `FETCH at \`${path}\` rejects ${(rejection * 100).toFixed(1)}% of ${node.docsExamined} documents read through \`${node.inputStage.indexName}\` (threshold: ${(options.maxRejectionRate * 100).toFixed(1)}%)`,
+        suggestion: fields
+          ? `Add ${fields} to the index so the filter is applied to index keys before fetching`
+          : 'Extend the index so the residual filter is applied to index keys before fetching'
+      });
+    }
+    return findings;
+  }
+};
@@ -0,0 +1,24 @@
+// .github/scripts/rules/in-memory-sort.js
+const { planRoot, planStages } = require('../plan-tree');
+
+module.exports = {
+  id: 'in-memory-sort',
+  severity: 'warning',
+  description: 'Blocking SORT stage sorts documents in memory instead of reading them in index order; an error when the sort spilled to disk',
+  check({ explain, recommendedIndex }) {
+    // Slot-based (SBE) execution stages name the sort `sort`
+    return planStages(planRoot(explain))
+      .filter(({ node }) => node.stage === 'SORT' || node.stage === 'sort')
+      .map(({ node, path }) => {
+        const memory = typeof node.totalDataSizeSorted === 'number' ? node.totalDataSizeSorted : node.memUsage;
+        const size = typeof memory === 'number' ? ` (${memory} bytes sorted)` : '';
+        const suggestion = recommendedIndex
+          ? `Sort in index order with \`${recommendedIndex}\``
+          : 'Add an index whose key covers the equality fields followed by the sort fields';
+        if (node.usedDisk) {
+          return { severity: 'error', stagePath: path, message: `Sort spilled to disk at \`${path}\`${size}`, suggestion };
+        }
+        return { stagePath: path, message: `In-memory SORT at \`${path}\`${size}`, suggestion };
+      });
+  }
+};
@@ -0,0 +1,39 @@
+// .github/scripts/rules/inefficient-regex.js
+const { eachPredicate } = require('../lint-queries');
+
+// Regex source and flags of a predicate value: /x/i, { $regex: 'x', $options: 'i' } or { $regex: /x/ }
+function regexOf(value) {
+  if (value instanceof RegExp) return { source: value.source, flags: value.flags };
+  if (value && typeof value === 'object' && value.$regex !== undefined) {
+    const regex = value.$regex;
+    if (regex instanceof RegExp) return { source: regex.source, flags: `${regex.flags}${value.$options || ''}` };
+    if (typeof regex === 'string') return { source: regex, flags: value.$options || '' };
+  }
+  return null;
+}
+
+module.exports = {
+  id: 'inefficient-regex',
+  type: 'lint',
+  severity: 'warning',
+  description: 'Unanchored or case-insensitive regular expressions cannot use tight index bounds',
+  check({ parts }) {
+    const findings = [];
+    parts.filters.forEach(({ filter, where }) => eachPredicate(filter, (field, value) => {
+      const regex = regexOf(value);
+      if (!regex) return;
+      if (regex.flags.includes('i')) {
+        findings.push({
+          message: `Case-insensitive regex on \`${field}\` (${where}) scans every index key`,
+          suggestion: 'Store a normalized (e.g. lower-cased) copy of the field and match it with an anchored regex, or use a case-insensitive collation index'
+        });
+      } else if (!regex.source.startsWith('^') && !regex.source.startsWith('\\A')) {
+        findings.push({
+          message: `Unanchored regex on \`${field}\` (${where}) scans every index key`,
+          suggestion: 'Anchor the pattern with ^ so the index can be range-scanned, or use a text/Atlas Search index'
+        });
+      }
+    }));
+    return findings;
+  }
+};
@@ -0,0 +1,20 @@
+// .github/scripts/rules/large-skip.js
+const { planRoot, planStages } = require('../plan-tree');
+
+module.exports = {
+  id: 'large-skip',
+  severity: 'warning',
+  description: 'SKIP stage reads and discards a large number of documents',
+  defaults: {
+    maxSkip: 1000
+  },
+  check({ explain, options }) {
+    return planStages(planRoot(explain))
+      .filter(({ node }) => node.stage === 'SKIP' && (node.skipAmount || 0) >= options.maxSkip)
+      .map(({ node, path }) => ({
+        stagePath: path,
+        message: `SKIP at \`${path}\` discards ${node.skipAmount} documents (threshold: ${options.maxSkip})`,
+        suggestion: 'Paginate with a range filter on an indexed field (e.g. `_id > lastSeenId`) instead of skip'
+      }));
+  }
+};
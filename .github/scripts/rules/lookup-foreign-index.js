@@ -0,0 +1,29 @@
+// .github/scripts/rules/lookup-foreign-index.js
+const { pipelineStages } = require('../pipeline-stages');
+const { createIndexCommand } = require('../index-recommender');
+
+module.exports = {
+  id: 'lookup-foreign-index',
+  severity: 'error',
+  description: '$lookup foreignField has no index on the foreign collection, so every input document scans it',
+  check({ explain, existingIndexes = {} }) {
+    const findings = [];
+    for (const stage of pipelineStages(explain)) {
+      if (stage.name !== '$lookup' || !stage.spec?.foreignField) continue;
+      const { from, foreignField } = stage.spec;
+      const known = existingIndexes[from];
+      const indexed = known
+        ? foreignField === '_id' || known.some(ix => Object.keys(ix.key)[0] === foreignField && !ix.partialFilterExpression)
+        // Without the index list, fall back to the runtime statistics
+        : !(stage.stats.collectionScans > 0);
+      if (indexed) continue;
+      const scans = stage.stats.collectionScans > 0 ? ` (${stage.stats.collectionScans} collection scans)` : '';
+      findings.push({
+        stagePath: `stages[${stage.index}] $lookup`,
+        message: `\`$lookup\` at pipeline stage ${stage.index}: \`${from}.${foreignField}\` has no index${scans}`,
+        suggestion: `Index the foreign field: \`${createIndexCommand(from, { [foreignField]: 1 })}\``
+      });
+    }
+    return findings;
+  }
+};
@@ -0,0 +1,27 @@
+// .github/scripts/rules/negation-only.js
+
+// Negation operators that match almost every index key
+const NEGATIONS = ['$ne', '$nin'];
+
+module.exports = {
+  id: 'negation-only',
+  type: 'lint',
+  severity: 'warning',
+  description: 'Filter whose only predicates are $ne/$nin, which select most of the collection',
+  check({ parts }) {
+    const findings = [];
+    for (const { filter, where } of parts.filters) {
+      const entries = Object.entries(filter);
+      if (entries.length === 0) continue;
+      const negated = entries.every(([key, value]) => !key.startsWith('$') &&
+        value && typeof value === 'object' && !Array.isArray(value) &&
+        Object.keys(value).length > 0 && Object.keys(value).every(op => NEGATIONS.includes(op)));
+      if (!negated) continue;
+      findings.push({
+        message: `Filter (${where}) only uses ${entries.map(([key]) => `\`${key}\``).join(', ')} with $ne/$nin, so it matches most documents`,
+        suggestion: 'Add a selective equality or range predicate, or query for the wanted values with $in'
+      });
+    }
+    return findings;
+  }
+};
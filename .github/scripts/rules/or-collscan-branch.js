@@ -0,0 +1,17 @@
+// .github/scripts/rules/or-collscan-branch.js
+const { planRoot, planStages } = require('../plan-tree');
+
+module.exports = {
+  id: 'or-collscan-branch',
+  severity: 'error',
+  description: 'An $or branch is answered by a collection scan, so the whole $or scans the collection',
+  check({ explain }) {
+    return planStages(planRoot(explain))
+      .filter(({ node, ancestors }) => node.stage === 'COLLSCAN' && ancestors.some(a => a.stage === 'OR' || a.stage === 'SUBPLAN'))
+      .map(({ path }) => ({
+        stagePath: path,
+        message: `$or branch performs a collection scan at \`${path}\``,
+        suggestion: 'Index the fields of every $or clause so each branch can use an index'
+      }));
+  }
+};
@@ -0,0 +1,32 @@
+// .github/scripts/rules/pipeline-memory.js
+const { PIPELINE_MEMORY_LIMIT_BYTES, pipelineStages, stageMemoryBytes } = require('../pipeline-stages');
+
+module.exports = {
+  id: 'pipeline-memory',
+  severity: 'warning',
+  description: '$group or $sort uses most of the 100MB memory limit and fails without allowDiskUse once it grows past it',
+  defaults: {
+    warnMemoryRatio: 0.8
+  },
+  check({ explain, options }) {
+    const findings = [];
+    for (const stage of pipelineStages(explain)) {
+      if (stage.name !== '$group' && stage.name !== '$sort') continue;
+      const bytes = stageMemoryBytes(stage);
+      const spilled = stage.stats.usedDisk || stage.stats.spills > 0;
+      if (!spilled && !(bytes >= PIPELINE_MEMORY_LIMIT_BYTES * options.warnMemoryRatio)) continue;
+      const usage = typeof bytes === 'number'
+        ? `${(bytes / (1024 * 1024)).toFixed(1)}MB of the ${PIPELINE_MEMORY_LIMIT_BYTES / (1024 * 1024)}MB limit`
+        : null;
+      findings.push({
+        severity: spilled ? 'error' : undefined,
+        stagePath: `stages[${stage.index}] ${stage.name}`,
+        message: spilled
+          ? `\`${stage.name}\` at pipeline stage ${stage.index} spilled to disk${usage ? ` (${usage})` : ''}; it fails where allowDiskUse is off`
+          : `\`${stage.name}\` at pipeline stage ${stage.index} uses ${usage}; it fails without allowDiskUse once it grows past the limit`,
+        suggestion: `Reduce the documents reaching \`${stage.name}\` (filter and $project earlier), or pass { allowDiskUse: true }`
+      });
+    }
+    return findings;
+  }
+};
@@ -0,0 +1,27 @@
+// .github/scripts/rules/pipeline-stage-order.js
+const { pipelineStages } = require('../pipeline-stages');
+
+// Only stages that reach the query layer ($cursor) can use an index
+const INDEXABLE_STAGES = new Set(['$match', '$sort']);
+
+module.exports = {
+  id: 'pipeline-stage-order',
+  severity: 'warning',
+  description: 'A $match or $sort runs after a stage that prevents it from using an index',
+  check({ explain }) {
+    const findings = [];
+    pipelineStages(explain).forEach((stage, i, stages) => {
+      // A $match or $sort right after $cursor could not be pushed down for other reasons
+      if (!INDEXABLE_STAGES.has(stage.name) || i === 0 || stages[i - 1].name === '$cursor') return;
+      const after = stages[i - 1].name;
+      findings.push({
+        stagePath: `stages[${stage.index}] ${stage.name}`,
+        message: `\`${stage.name}\` at pipeline stage ${stage.index} runs after \`${after}\` and cannot use an index`,
+        suggestion: stage.name === '$match'
+          ? `If it only filters on stored fields, move the \`$match\` before \`${after}\``
+          : `If it sorts on stored fields, move the \`$sort\` to the start of the pipeline (right after the leading \`$match\`) so it can read in index order`
+      });
+    });
+    return findings;
+  }
+};
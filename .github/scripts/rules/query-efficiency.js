@@ -0,0 +1,19 @@
+// .github/scripts/rules/query-efficiency.js
+module.exports = {
+  id: 'query-efficiency',
+  severity: 'warning',
+  description: 'Ratio of documents returned to documents examined is below the threshold',
+  defaults: {
+    minQueryEfficiency: parseFloat(process.env.MIN_QUERY_EFFICIENCY) || 0.1
+  },
+  check({ summary, options }) {
+    const { docsExamined, docsReturned } = summary;
+    if (docsExamined === 0 || docsReturned === 0) return null;
+    const efficiency = docsReturned / docsExamined;
+    if (efficiency >= options.minQueryEfficiency) return null;
+    return {
+      message: `Low query efficiency: ${(efficiency * 100).toFixed(1)}% (${docsReturned}/${docsExamined} docs, threshold: ${(options.minQueryEfficiency * 100).toFixed(1)}%)`,
+      suggestion: 'Query examines many documents but returns few - consider more selective filters'
+    };
+  }
+};
@@ -0,0 +1,31 @@
+// .github/scripts/rules/server-side-js.js
+
+// Operators that run JavaScript on the server for every document
+const JS_OPERATORS = ['$where', '$function', '$accumulator'];
+
+// Operators used anywhere in a value, found by a deep walk
+function findOperators(value, found = new Set()) {
+  if (Array.isArray(value)) {
+    value.forEach(item => findOperators(item, found));
+  } else if (value && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype) {
+    for (const [key, child] of Object.entries(value)) {
+      if (JS_OPERATORS.includes(key)) found.add(key);
+      findOperators(child, found);
+    }
+  }
+  return found;
+}
+
+module.exports = {
+  id: 'server-side-js',
+  type: 'lint',
+  severity: 'error',
+  description: '$where, $function and $accumulator run JavaScript per document and cannot use indexes',
+  check({ parts }) {
+    const operators = findOperators([...parts.filters.map(f => f.filter), parts.pipeline]);
+    return [...operators].map(operator => ({
+      message: `\`${operator}\` runs server-side JavaScript for every document`,
+      suggestion: 'Rewrite the condition with query or aggregation operators (e.g. $expr)'
+    }));
+  }
+};
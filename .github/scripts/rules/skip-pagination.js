@@ -0,0 +1,17 @@
+// .github/scripts/rules/skip-pagination.js
+module.exports = {
+  id: 'skip-pagination',
+  type: 'lint',
+  severity: 'warning',
+  description: 'skip()-based pagination reads and discards every skipped document',
+  check({ parts }) {
+    const skipStage = (parts.pipeline || []).findIndex(stage => stage && stage.$skip !== undefined);
+    if (!parts.modifiers.includes('skip') && !parts.chain.skip && skipStage === -1) return null;
+    return {
+      message: skipStage === -1
+        ? 'Paginates with skip(); later pages read every skipped document'
+        : `Paginates with $skip (stage ${skipStage}); later pages read every skipped document`,
+      suggestion: 'Use range-based pagination on an indexed field (e.g. `_id > lastSeenId`)'
+    };
+  }
+};
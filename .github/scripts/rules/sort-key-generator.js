@@ -0,0 +1,17 @@
+// .github/scripts/rules/sort-key-generator.js
+const { planRoot, planStages } = require('../plan-tree');
+
+module.exports = {
+  id: 'sort-key-generator',
+  severity: 'warning',
+  description: 'SORT_KEY_GENERATOR stage computes sort keys for every document before an in-memory sort',
+  check({ explain }) {
+    return planStages(planRoot(explain))
+      .filter(({ node }) => node.stage === 'SORT_KEY_GENERATOR')
+      .map(({ path }) => ({
+        stagePath: path,
+        message: `SORT_KEY_GENERATOR at \`${path}\` - sort keys are generated per document for an in-memory sort`,
+        suggestion: 'Add an index that returns documents in the requested sort order'
+      }));
+  }
+};
@@ -0,0 +1,25 @@
+// .github/scripts/rules/unbounded-find.js
+
+// Whether a find() sets a limit: as a find() option or a chained .limit(), including a limit
+// only known at runtime. Options passed as a runtime value may hold one too. `limit: 0` means
+// no limit.
+function hasLimit(query, parts) {
+  if ('limit' in parts.chain) return parts.chain.limit !== 0;
+  if (parts.modifiers.includes('limit')) return true;
+  return (query.unknownFields || []).some(field => field.path === 'limit' || field.path === 'options');
+}
+
+module.exports = {
+  id: 'unbounded-find',
+  type: 'lint',
+  severity: 'warning',
+  description: 'find() without a limit can return the whole collection',
+  check({ query, parts }) {
+    if ((query.method || '').toLowerCase() !== 'find') return null;
+    if (hasLimit(query, parts)) return null;
+    return {
+      message: 'find() has no limit and may return every matching document',
+      suggestion: 'Add .limit() or a `limit` option (and paginate), or use findOne() when one document is enough'
+    };
+  }
+};
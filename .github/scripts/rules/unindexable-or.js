@@ -0,0 +1,36 @@
+// .github/scripts/rules/unindexable-or.js
+
+// Field names a single $or branch filters on
+function branchFields(branch) {
+  return Object.keys(branch || {}).filter(key => !key.startsWith('$'));
+}
+
+module.exports = {
+  id: 'unindexable-or',
+  type: 'lint',
+  severity: 'warning',
+  description: '$or across different fields needs an index for every branch, or the whole query scans the collection',
+  check({ query, parts, existingIndexes }) {
+    const known = existingIndexes[query.collection];
+    const findings = [];
+    for (const { filter, where } of parts.filters) {
+      if (!Array.isArray(filter.$or) || filter.$or.length < 2) continue;
+      const branches = filter.$or.map(branchFields);
+      if (known) {
+        // An index serves a branch when the branch filters on the index's leading field
+        const unserved = branches.filter(fields => !known.some(ix => fields.includes(Object.keys(ix.key)[0])));
+        if (unserved.length === 0) continue;
+        findings.push({
+          message: `$or (${where}) has ${unserved.length} branch(es) on ${unserved.map(fields => fields.map(f => `\`${f}\``).join('+') || '(no fields)').join(', ')} that no index on \`${query.collection}\` can serve`,
+          suggestion: 'Index the leading field of every $or branch, or restructure the query'
+        });
+      } else if (new Set(branches.map(fields => fields.sort().join())).size > 1) {
+        findings.push({
+          message: `$or (${where}) spans different fields (${[...new Set(branches.flat())].map(f => `\`${f}\``).join(', ')}); every branch needs its own index`,
+          suggestion: 'Make sure each $or branch has an index, or use $in when all branches test the same field'
+        });
+      }
+    }
+    return findings;
+  }
+};
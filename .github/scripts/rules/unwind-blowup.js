@@ -0,0 +1,25 @@
+// .github/scripts/rules/unwind-blowup.js
+const { pipelineStages } = require('../pipeline-stages');
+
+module.exports = {
+  id: 'unwind-blowup',
+  severity: 'warning',
+  description: '$unwind multiplies the number of documents flowing through the pipeline',
+  defaults: {
+    maxUnwindRatio: 10
+  },
+  check({ explain, options }) {
+    const findings = [];
+    for (const stage of pipelineStages(explain)) {
+      if (stage.name !== '$unwind' || !(stage.docsIn > 0) || typeof stage.docsOut !== 'number') continue;
+      const ratio = stage.docsOut / stage.docsIn;
+      if (ratio <= options.maxUnwindRatio) continue;
+      findings.push({
+        stagePath: `stages[${stage.index}] $unwind`,
+        message: `\`$unwind\` at pipeline stage ${stage.index} turns ${stage.docsIn} documents into ${stage.docsOut} (${ratio.toFixed(1)}x, threshold: ${options.maxUnwindRatio}x)`,
+        suggestion: 'Filter or $slice the array before unwinding, or aggregate it with array operators instead of $unwind'
+      });
+    }
+    return findings;
+  }
+};
@@ -3,56 +3,98 @@ require('dotenv').config();
 const fs = require('fs');
 const path = require('path');
 const { MongoClient } = require('mongodb');
+const { executionStats, samplePlaceholderBindings, applyBindings, compareCost } = require('./placeholder-sampler');
+const { parseQueryLiteral, UnsupportedExpressionError } = require('./query-literal');
+const { buildWriteCommand, bulkWriteOperations, explainCommand } = require('./explain-commands');
+const { BENCHMARK_RUNS, BENCHMARK_WARMUP, benchmark } = require('./benchmark');
+const { DeadlineExceededError, createDeadline, runPool } = require('./worker-pool');
 
 const MONGO_URI = process.env.MONGO_URI || 'mongodb://localhost:27017';
 const DB_NAME = process.env.DB_NAME || 'live'; // Allow DB name from env
 const QUERIES_FILE = path.resolve(__dirname, '../../reports/queries.json');
 const OUTPUT_FILE = path.resolve(__dirname, '../../reports/profiler-output.log');
+const INDEXES_FILE = path.resolve(__dirname, '../../reports/indexes.json');
+const RUN_INFO_FILE = path.resolve(__dirname, '../../reports/profiler-run.json');
 const MAX_DOCS_EXAMINED = parseInt(process.env.MAX_DOCS_EXAMINED) || 500; // Limit docs examined for profiling
+const CONCURRENCY = parseInt(process.env.PROFILER_CONCURRENCY) || 4; // Queries profiled in parallel
+const QUERY_TIMEOUT_MS = parseInt(process.env.QUERY_TIMEOUT_MS) || 10000; // maxTimeMS for each explain
+const DEADLINE_MS = parseInt(process.env.PROFILER_DEADLINE_MS) || 0; // Stop starting new work after this long (0 = never)
 
-// Parse raw query string into JS object
+// Server error code for an operation that exceeded maxTimeMS
+const MAX_TIME_MS_EXPIRED = 50;
+
+// Parse raw query string into JS object without executing it. Throws
+// UnsupportedExpressionError for anything that is not a query literal.
 async function parseRawQuery(raw) {
-  try {
-    // Attempt JSON parse first
-    return JSON.parse(raw);
-  } catch {
-    try {
-      // Fallback: eval for JS object literal strings
-      return eval(`(${raw})`);
-    } catch (e) {
-      console.warn('Failed to parse raw query:', raw);
-      return null;
+  return parseQueryLiteral(raw);
+}
+
+// Projection or sort of a chained query. Mongoose's select() and sort() also take a string
+// such as 'name -_id', where a leading `-` excludes the field or sorts it descending.
+function fromFieldList(value, negated) {
+  if (typeof value !== 'string') return value;
+  const spec = {};
+  value.split(/\s+/).filter(Boolean).forEach(field => {
+    if (field.startsWith('-')) spec[field.slice(1)] = negated;
+    else spec[field.replace(/^\+/, '')] = 1;
+  });
+  return spec;
+}
+
+// Apply the options and chained modifiers of a find() to its cursor, in the order they were
+// recorded. The limit is capped (to 1 for findOne) so profiling never reads the whole collection.
+async function applyCursorParts(cursor, parts, maxLimit) {
+  let limited = false;
+  for (const [name, source] of Object.entries(parts)) {
+    if (name === 'find') continue;
+    const value = await parseRawQuery(source);
+    switch (name) {
+      case 'project':
+      case 'projection':
+      case 'select':
+        cursor = cursor.project(fromFieldList(value, 0));
+        break;
+      case 'sort':
+        cursor = cursor.sort(fromFieldList(value, -1));
+        break;
+      case 'skip':
+        cursor = cursor.skip(value);
+        break;
+      case 'limit':
+        cursor = cursor.limit(value > 0 ? Math.min(value, maxLimit) : maxLimit);
+        limited = true;
+        break;
+      case 'hint':
+        cursor = cursor.hint(value);
+        break;
+      case 'collation':
+        cursor = cursor.collation(value);
+        break;
+      // maxTimeMS is left out: the profiler's own bound applies
     }
   }
+  return limited ? cursor : cursor.limit(maxLimit);
 }
 
-// Get explain result for different MongoDB operations
-async function getExplainResult(collection, method, rawQuery, pattern) {
+// Get explain result for different MongoDB operations.
+// `bindings` maps placeholder paths (see unknownFields) to the values to explain with;
+// `maxTimeMS` bounds every command sent to the server.
+async function getExplainResult(db, collection, method, rawQuery, pattern, bindings = {}, maxTimeMS = QUERY_TIMEOUT_MS) {
   try {
-    // Handle chained operations pattern
+    // Handle chained operations pattern: find()/findOne() with options or chained modifiers
     if (pattern === 'chained') {
       const parsedQuery = JSON.parse(rawQuery);
-      let cursor = collection.find(parsedQuery.find ? eval(`(${parsedQuery.find})`) : {});
-      
-      // Apply other chained methods
-      if (parsedQuery.project) {
-        cursor = cursor.project(eval(`(${parsedQuery.project})`));
-      }
-      if (parsedQuery.sort) {
-        cursor = cursor.sort(eval(`(${parsedQuery.sort})`));
-      }
-      // Always apply limit for profiling to avoid full collection scans
-      cursor = cursor.limit(MAX_DOCS_EXAMINED);
-      if (parsedQuery.skip) {
-        cursor = cursor.skip(parseInt(parsedQuery.skip));
-      }
-      
-      return await cursor.explain('executionStats');
+      const filter = bindings.find !== undefined ? bindings.find : (parsedQuery.find ? await parseRawQuery(parsedQuery.find) : {});
+      const cursor = collection.find(applyBindings(filter, bindings, 'find')).maxTimeMS(maxTimeMS);
+      const maxLimit = method.toLowerCase() === 'findone' ? 1 : MAX_DOCS_EXAMINED;
+      return await (await applyCursorParts(cursor, parsedQuery, maxLimit)).explain('executionStats');
     }
 
-    // Parse the query
-    const queryObj = await parseRawQuery(rawQuery);
-    if (!queryObj) {
+    // Parse the query, filling runtime placeholders with the bound values (on a copy, so the
+    // bindings can be reused for the next explain)
+    const parsed = bindings[''] !== undefined ? bindings[''] : await parseRawQuery(rawQuery);
+    const queryObj = applyBindings(parsed, bindings);
+    if (queryObj === null || queryObj === undefined) {
       return { error: 'Invalid query syntax' };
     }
 
@@ -60,44 +102,81 @@ async function getExplainResult(collection, method, rawQuery, pattern) {
     switch (method.toLowerCase()) {
       case 'find':
       case 'findone':
-        return await collection.find(queryObj).limit(MAX_DOCS_EXAMINED).explain('executionStats');
+        return await collection.find(queryObj).limit(MAX_DOCS_EXAMINED).maxTimeMS(maxTimeMS).explain('executionStats');
       
-      case 'findbyid':
+      case 'findbyid': {
         // Convert string ID to ObjectId if needed
         const id = typeof queryObj === 'string' ? queryObj : queryObj._id || queryObj.id;
-        return await collection.find({ _id: id }).limit(MAX_DOCS_EXAMINED).explain('executionStats');
+        return await collection.find({ _id: id }).limit(MAX_DOCS_EXAMINED).maxTimeMS(maxTimeMS).explain('executionStats');
+      }
       
       case 'aggregate':
         if (!Array.isArray(queryObj)) {
           return { error: 'Aggregate pipeline must be an array' };
         }
-        // Add $limit stage to aggregate pipeline
-        queryObj.push({ $limit: MAX_DOCS_EXAMINED });
-        return await collection.aggregate(queryObj).explain('executionStats');
+        // No $limit is appended: it would turn a $sort into a top-k sort and change the plan.
+        // maxTimeMS bounds the work instead.
+        return await collection.aggregate(queryObj, { maxTimeMS }).explain('executionStats');
       
       case 'updateone':
       case 'updatemany':
       case 'replaceone':
-        // For updates, explain the find part (filter) with limit
-        if (Array.isArray(queryObj) && queryObj.length >= 1) {
-          return await collection.find(queryObj[0]).limit(MAX_DOCS_EXAMINED).explain('executionStats');
-        }
-        return await collection.find(queryObj).limit(MAX_DOCS_EXAMINED).explain('executionStats');
-      
       case 'deleteone':
       case 'deletemany':
-        return await collection.find(queryObj).limit(MAX_DOCS_EXAMINED).explain('executionStats');
+      case 'findoneandupdate':
+      case 'findoneandreplace':
+      case 'findoneanddelete':
+        // Explain the real write command; explain never applies the write
+        return await db.command(explainCommand(buildWriteCommand(collection.collectionName, method.toLowerCase(), queryObj), maxTimeMS));
+
+      case 'bulkwrite': {
+        if (!Array.isArray(queryObj)) {
+          return { error: 'bulkWrite operations must be an array' };
+        }
+        // Explain each write and report the most expensive one
+        const operations = [];
+        for (const op of bulkWriteOperations(queryObj)) {
+          const command = buildWriteCommand(collection.collectionName, op.method, op.queryObj);
+          operations.push({ index: op.index, method: op.method, explain: await db.command(explainCommand(command, maxTimeMS)) });
+        }
+        if (operations.length === 0) {
+          return { info: 'bulkWrite contains only inserts, which do not require query optimization' };
+        }
+        const worst = operations.reduce((a, b) => (compareCost(b.explain, a.explain) > 0 ? b : a));
+        return {
+          ...worst.explain,
+          bulkOperations: operations.map(({ index, method: opMethod, explain }) => ({
+            index,
+            method: opMethod,
+            executionTimeMillis: explain.executionStats?.executionTimeMillis,
+            totalDocsExamined: explain.executionStats?.totalDocsExamined
+          }))
+        };
+      }
       
-      case 'countdocuments':
+      case 'countdocuments': {
+        // countDocuments runs as an aggregation: $match, optional $skip/$limit, then $group
+        const [filter = {}, options = {}] = Array.isArray(queryObj) ? queryObj : [queryObj];
+        const pipeline = [{ $match: filter }];
+        if (options.skip) pipeline.push({ $skip: options.skip });
+        if (options.limit) pipeline.push({ $limit: options.limit });
+        pipeline.push({ $group: { _id: 1, n: { $sum: 1 } } });
+        const aggregateOptions = { maxTimeMS, ...(options.hint ? { hint: options.hint } : {}) };
+        return await collection.aggregate(pipeline, aggregateOptions).explain('executionStats');
+      }
+
       case 'estimateddocumentcount':
-        return await collection.find(queryObj).limit(MAX_DOCS_EXAMINED).explain('executionStats');
+        // Served from collection metadata by the count command
+        return await db.command(explainCommand({ count: collection.collectionName }, maxTimeMS));
       
-      case 'distinct':
-        // For distinct, we can only explain the filter part with limit
-        if (Array.isArray(queryObj) && queryObj.length >= 2) {
-          return await collection.find(queryObj[1] || {}).limit(MAX_DOCS_EXAMINED).explain('executionStats');
+      case 'distinct': {
+        // distinct(key) or distinct(key, filter)
+        const [key, filter = {}] = Array.isArray(queryObj) ? queryObj : [queryObj];
+        if (typeof key !== 'string') {
+          return { error: 'distinct requires a field name' };
         }
-        return await collection.find({}).limit(MAX_DOCS_EXAMINED).explain('executionStats');
+        return await db.command(explainCommand({ distinct: collection.collectionName, key, query: filter }, maxTimeMS));
+      }
       
       case 'insertone':
       case 'insertmany':
@@ -108,11 +187,153 @@ async function getExplainResult(collection, method, rawQuery, pattern) {
         return { error: `Unsupported method: ${method}` };
     }
   } catch (err) {
+    if (err instanceof UnsupportedExpressionError) {
+      return { error: err.message, unsupported: true };
+    }
+    if (err.code === MAX_TIME_MS_EXPIRED || err.codeName === 'MaxTimeMSExpired') {
+      return { error: `Explain exceeded maxTimeMS (${maxTimeMS}ms)`, timeout: true };
+    }
     return { error: err.message };
   }
 }
 
-async function main() {
+// Server-reported execution time of an explain, including aggregations that nest it under $cursor
+function executionTime(explain) {
+  if (!explain || explain.error) return null;
+  const stats = executionStats(explain);
+  return typeof stats?.executionTimeMillis === 'number' ? stats.executionTimeMillis : null;
+}
+
+// Fields copied from the extracted query into every result
+function resultBase(q) {
+  return {
+    fingerprint: q.fingerprint,
+    file: q.file,
+    collection: q.collection,
+    method: q.method,
+    rawQuery: q.rawQuery,
+    pattern: q.pattern || 'legacy',
+    startLine: q.startLine,
+    startColumn: q.startColumn,
+    endLine: q.endLine,
+    endColumn: q.endColumn,
+    locations: q.locations,
+    cursorModifiers: q.cursorModifiers
+  };
+}
+
+// Result status for an explain: ok, error, unsupported or timeout
+function explainStatus(explain) {
+  if (!explain || !explain.error) return 'ok';
+  if (explain.timeout) return 'timeout';
+  return explain.unsupported ? 'unsupported' : 'error';
+}
+
+// Profile one extracted query. `deadline` is checked before every command and bounds its
+// maxTimeMS, so a global deadline also stops a long-running explain.
+async function profileQuery(db, q, deadline) {
+  const { collection, method, rawQuery, pattern } = q;
+  const result = resultBase(q);
+  if (!collection) {
+    return { ...result, status: 'error', error: 'Collection name missing' };
+  }
+
+  try {
+    const coll = db.collection(collection);
+    const commandTimeout = () => {
+      deadline.check();
+      return Math.max(1, Math.floor(Math.min(QUERY_TIMEOUT_MS, deadline.remaining())));
+    };
+    const explain = async (values) => {
+      const maxTimeMS = commandTimeout();
+      const res = await getExplainResult(db, coll, method, rawQuery, pattern, values, maxTimeMS);
+      // Cut short by the deadline rather than by QUERY_TIMEOUT_MS
+      if (res.timeout && maxTimeMS < QUERY_TIMEOUT_MS) throw new DeadlineExceededError();
+      return res;
+    };
+
+    // Explain with sampled values for runtime placeholders, keeping the worst-case and typical plans
+    let benchmarkValues = {};
+    const bindings = await samplePlaceholderBindings(coll, q, { maxTimeMS: commandTimeout() }).catch(err => {
+      console.warn(`  Could not sample placeholder values: ${err.message}`);
+      return [];
+    });
+    if (bindings.length > 0) {
+      const explains = [];
+      for (const binding of bindings) {
+        explains.push({ ...binding, explain: await explain(binding.values) });
+      }
+      const valid = explains.filter(e => !e.explain.error);
+      const worst = valid.reduce((a, b) => (compareCost(b.explain, a.explain) > 0 ? b : a), valid[0] || explains[0]);
+      const typical = explains.find(e => e.label === 'typical' && !e.explain.error) || worst;
+      result.explain = worst.explain;
+      result.typicalExplain = typical.explain;
+      benchmarkValues = worst.values;
+      result.bindings = explains.map(({ label, values, explain: e }) => {
+        const stats = executionStats(e);
+        return {
+          label,
+          values,
+          worstCase: label === worst.label,
+          docsExamined: stats?.totalDocsExamined,
+          keysExamined: stats?.totalKeysExamined,
+          executionTimeMillis: stats?.executionTimeMillis,
+          error: e.error
+        };
+      });
+    } else {
+      result.explain = await explain();
+    }
+
+    result.status = explainStatus(result.explain);
+    if (result.status !== 'ok') {
+      result.error = result.explain.error;
+      return result;
+    }
+
+    // Benchmark mode: repeat the (worst-case) explain to get a latency distribution. The
+    // deadline only skips the benchmark; the explain above is kept.
+    if (executionTime(result.explain) !== null) {
+      try {
+        const latency = await benchmark(async () => executionTime(await explain(benchmarkValues)));
+        if (latency) result.benchmark = latency;
+      } catch (err) {
+        if (!(err instanceof DeadlineExceededError)) throw err;
+        result.benchmarkSkipped = err.message;
+      }
+    }
+    return result;
+  } catch (err) {
+    if (err instanceof DeadlineExceededError) {
+      return { ...result, status: 'cancelled', error: err.message };
+    }
+    console.error(`Error processing query from ${q.file}:`, err.message);
+    return { ...result, status: 'error', error: err.message };
+  }
+}
+
+// Collections joined by the $lookup stages of an aggregate query
+function lookupCollections(q) {
+  if ((q.method || '').toLowerCase() !== 'aggregate') return [];
+  try {
+    const pipeline = parseQueryLiteral(q.rawQuery);
+    return Array.isArray(pipeline) ? pipeline.map(stage => stage?.$lookup?.from).filter(from => typeof from === 'string') : [];
+  } catch {
+    return [];
+  }
+}
+
+// Existing indexes of every profiled or $lookup-joined collection, keyed by collection name
+async function listIndexes(db, queries) {
+  const indexes = {};
+  for (const name of new Set(queries.flatMap(q => [q.collection, ...lookupCollections(q)]).filter(Boolean))) {
+    indexes[name] = await db.collection(name).indexes().catch(() => []); // Missing collections have no indexes
+  }
+  return indexes;
+}
+
+// Connect to MONGO_URI and return the client and the DB_NAME database
+async function connect() {
   const clientOptions = {};
   if (MONGO_URI.includes('@')) {
     clientOptions.authSource = 'admin';
@@ -122,9 +343,19 @@ async function main() {
   await client.connect();
   console.log(`Connected to MongoDB at ${MONGO_URI}`);
   console.log(`Using database: ${DB_NAME}`);
+  return { client, db: client.db(DB_NAME) };
+}
+
+async function main() {
+  const { client, db } = await connect();
   console.log(`Profiling limited to examining ${MAX_DOCS_EXAMINED} documents per query`);
-  
-  const db = client.db(DB_NAME);
+  console.log(`Profiling ${CONCURRENCY} queries at a time, ${QUERY_TIMEOUT_MS}ms maxTimeMS per explain`);
+  if (DEADLINE_MS > 0) {
+    console.log(`Global deadline: ${DEADLINE_MS}ms`);
+  }
+  if (BENCHMARK_RUNS > 0) {
+    console.log(`Benchmark mode: ${BENCHMARK_RUNS} timed runs after ${BENCHMARK_WARMUP} warm-up runs per query`);
+  }
 
   if (!fs.existsSync(QUERIES_FILE)) {
     console.error('Queries file not found:', QUERIES_FILE);
@@ -141,57 +372,55 @@ async function main() {
     return;
   }
 
-  const results = [];
-
-  for (let i = 0; i < queries.length; i++) {
-    const q = queries[i];
+  const startedAt = new Date();
+  const serverVersion = await db.admin().command({ buildInfo: 1 }).then(info => info.version).catch(() => null);
+  const deadline = createDeadline(DEADLINE_MS);
+  const results = await runPool(queries, CONCURRENCY, (q, i) => {
     console.log(`Processing query ${i + 1}/${queries.length}: ${q.collection}.${q.method}()`);
-    
-    try {
-      const { collection, method, rawQuery, file, pattern } = q;
-      
-      if (!collection) {
-        results.push({ file, collection, method, rawQuery, error: 'Collection name missing' });
-        continue;
-      }
-
-      const coll = db.collection(collection);
-      const explainResult = await getExplainResult(coll, method, rawQuery, pattern);
-
-      results.push({ 
-        file, 
-        collection, 
-        method, 
-        rawQuery, 
-        pattern: pattern || 'legacy',
-        explain: explainResult 
-      });
-      
-    } catch (err) {
-      console.error(`Error processing query from ${q.file}:`, err.message);
-      results.push({ 
-        file: q.file, 
-        collection: q.collection, 
-        method: q.method, 
-        rawQuery: q.rawQuery,
-        error: err.message 
-      });
-    }
-  }
+    return profileQuery(db, q, deadline);
+  }, {
+    signal: deadline.signal,
+    onSkipped: q => ({ ...resultBase(q), status: 'skipped', error: 'Not started before the global deadline' })
+  });
+  deadline.clear();
 
   // Write results
   fs.writeFileSync(OUTPUT_FILE, JSON.stringify(results, null, 2));
   console.log(`\nExplain results saved to ${OUTPUT_FILE}`);
+
+  // Run metadata for the results document written by analyze-explains.js
+  fs.writeFileSync(RUN_INFO_FILE, JSON.stringify({
+    startedAt: startedAt.toISOString(),
+    finishedAt: new Date().toISOString(),
+    database: DB_NAME,
+    serverVersion,
+    settings: {
+      maxDocsExamined: MAX_DOCS_EXAMINED,
+      concurrency: CONCURRENCY,
+      queryTimeoutMs: QUERY_TIMEOUT_MS,
+      deadlineMs: DEADLINE_MS,
+      benchmarkRuns: BENCHMARK_RUNS,
+      benchmarkWarmup: BENCHMARK_WARMUP
+    }
+  }, null, 2));
+
+  // Record existing indexes so the report only recommends indexes that are missing
+  const indexes = await listIndexes(db, queries);
+  fs.writeFileSync(INDEXES_FILE, JSON.stringify(indexes, null, 2));
+  console.log(`Existing indexes saved to ${INDEXES_FILE}`);
   
   // Quick summary
-  const successCount = results.filter(r => r.explain && !r.error).length;
-  const errorCount = results.filter(r => r.error).length;
-  console.log(`\nSummary: ${successCount} successful, ${errorCount} errors out of ${results.length} total queries`);
+  const count = status => results.filter(r => r.status === status).length;
+  console.log(`\nSummary: ${count('ok')} successful, ${count('error') + count('unsupported')} errors, ${count('timeout')} timed out, ${count('cancelled') + count('skipped')} stopped by deadline out of ${results.length} total queries`);
 
   await client.close();
 }
 
-main().catch(err => {
-  console.error('Error:', err);
-  process.exit(1);
-});
+if (require.main === module) {
+  main().catch(err => {
+    console.error('Error:', err);
+    process.exit(1);
+  });
+}
+
+module.exports = { getExplainResult, profileQuery, connect };
@@ -0,0 +1,79 @@
+// .github/scripts/sarif.js
+const { TOOL } = require('./results-format');
+
+const SARIF_SCHEMA = 'https://json.schemastore.org/sarif-2.1.0.json';
+
+// SARIF result level for each finding severity
+const LEVELS = { error: 'error', warning: 'warning', info: 'note' };
+
+// Repository-relative path with forward slashes, as code scanning expects
+function locationUri(file) {
+  return String(file || '').replace(/\\/g, '/').replace(/^(\.\/)+/, '');
+}
+
+function physicalLocation(location) {
+  const region = { startLine: location.startLine || 1 };
+  if (location.startColumn !== undefined) region.startColumn = location.startColumn;
+  if (location.endLine !== undefined) region.endLine = location.endLine;
+  if (location.endColumn !== undefined) region.endColumn = location.endColumn;
+  return {
+    physicalLocation: {
+      artifactLocation: { uri: locationUri(location.file) },
+      region
+    }
+  };
+}
+
+function sarifResult(finding, location, fingerprint) {
+  const result = {
+    ruleId: finding.ruleId,
+    level: LEVELS[finding.severity] || 'warning',
+    message: { text: finding.suggestion ? `${finding.message}. ${finding.suggestion}` : finding.message },
+    locations: [physicalLocation(location)]
+  };
+  if (fingerprint) result.partialFingerprints = { queryShape: fingerprint };
+  if (finding.stagePath) result.properties = { stagePath: finding.stagePath };
+  return result;
+}
+
+// Build a SARIF 2.1.0 log from a results document. Each finding becomes one result per source
+// location of its query; findings of queries without a file are left out, since SARIF results
+// need a location.
+function toSarif(doc) {
+  const sarifResults = [];
+  for (const query of doc.queries) {
+    for (const finding of query.findings) {
+      query.locations
+        .filter(location => location.file)
+        .forEach(location => sarifResults.push(sarifResult(finding, location, query.fingerprint)));
+    }
+  }
+  doc.lintFindings
+    .filter(finding => finding.location.file)
+    .forEach(finding => sarifResults.push(sarifResult(finding, finding.location, finding.fingerprint)));
+
+  return {
+    $schema: SARIF_SCHEMA,
+    version: '2.1.0',
+    runs: [{
+      tool: {
+        driver: {
+          name: TOOL.name,
+          version: TOOL.version,
+          rules: doc.thresholds.rules.map(rule => ({
+            id: rule.id,
+            shortDescription: { text: rule.description },
+            defaultConfiguration: { level: LEVELS[rule.severity], enabled: rule.enabled },
+            properties: { tags: ['mongodb', rule.type] }
+          }))
+        }
+      },
+      results: sarifResults
+    }]
+  };
+}
+
+module.exports = {
+  locationUri,
+  toSarif
+};
@@ -1,9 +1,7 @@
 #!/usr/bin/env node
 
-const { execSync, spawn } = require('child_process');
+const { execSync } = require('child_process');
 const { MongoClient } = require('mongodb');
-const path = require('path');
-const fs = require('fs');
 
 const MONGO_URI = 'mongodb://localhost:27017';
 const DB_NAME = 'live';
@@ -0,0 +1,49 @@
+// .github/scripts/test/audit-indexes.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { indexUsage, collectUsage, auditCollection } = require('../audit-indexes');
+
+const asObject = usage => Object.fromEntries([...usage].map(([collection, names]) => [collection, [...names].sort()]));
+
+test('credits an EQ_LOOKUP index to the foreign collection', () => {
+  const usage = indexUsage(require('./fixtures/lookup-sbe-explain.json'), 'orders');
+  assert.deepEqual(asObject(usage), { orders: ['status_1'], products: ['sku_1'] });
+});
+
+test('credits the indexes of a $lookup stage to the collection it reads from', () => {
+  const usage = indexUsage(require('./fixtures/lookup-classic-explain.json'), 'orders');
+  assert.deepEqual(asObject(usage), { orders: ['customerId_1'], customers: ['_id_'] });
+});
+
+test('collects usage across results and counts unprofiled queries', () => {
+  const { used, unprofiled } = collectUsage([
+    { collection: 'orders', explain: require('./fixtures/lookup-sbe-explain.json') },
+    { collection: 'orders', error: 'Explain exceeded maxTimeMS (1000ms)' },
+    { collection: 'products', explain: { queryPlanner: { winningPlan: { stage: 'COLLSCAN' } } } }
+  ]);
+  assert.deepEqual(asObject(used), { orders: ['status_1'], products: ['sku_1'] });
+  assert.deepEqual([...unprofiled], [['orders', 1]]);
+});
+
+test('an index used only by another collection\'s $lookup is not unused', () => {
+  const { used } = collectUsage([{ collection: 'orders', explain: require('./fixtures/lookup-sbe-explain.json') }]);
+  const productIndexes = [{ name: '_id_', key: { _id: 1 } }, { name: 'sku_1', key: { sku: 1 } }, { name: 'name_1', key: { name: 1 } }];
+  const findings = auditCollection(productIndexes, used.get('products'));
+  assert.deepEqual(findings.map(f => [f.index, f.kind]), [['name_1', 'unused']]);
+});
+
+test('finds redundant prefixes and indexes leading with _id', () => {
+  const findings = auditCollection([
+    { name: '_id_', key: { _id: 1 } },
+    { name: 'status_1', key: { status: 1 } },
+    { name: 'status_1_createdAt_-1', key: { status: 1, createdAt: -1 } },
+    { name: 'email_1', key: { email: 1 }, unique: true },
+    { name: 'email_1_name_1', key: { email: 1, name: 1 } },
+    { name: '_id_1_status_1', key: { _id: 1, status: 1 } }
+  ], new Set(['status_1', 'status_1_createdAt_-1', 'email_1', 'email_1_name_1', '_id_1_status_1']));
+  assert.deepEqual(findings.map(f => [f.index, f.kind]), [
+    ['status_1', 'redundant-prefix'],
+    ['_id_1_status_1', 'duplicates-id']
+  ]);
+  assert.equal(findings[0].coveredBy, 'status_1_createdAt_-1');
+});
@@ -0,0 +1,65 @@
+// .github/scripts/test/baseline-compare.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { compareRuns, planSignature } = require('../baseline-compare');
+
+function result(rawQuery, metrics, extra = {}) {
+  return {
+    collection: 'users',
+    method: 'find',
+    rawQuery,
+    metrics: {
+      totalMillis: 10,
+      docsExamined: 100,
+      keysExamined: 100,
+      scanType: 'IXSCAN',
+      indexesUsed: ['status_1'],
+      planStages: ['FETCH', 'IXSCAN'],
+      ...metrics
+    },
+    ...extra
+  };
+}
+
+const compare = (baseline, current) => compareRuns(baseline, current, { summarize: res => res.metrics, thresholdPct: 20 });
+
+test('matches queries by fingerprint, not by literal values', () => {
+  const comparison = compare([result("{ status: 'a' }")], [result("{ status: 'b' }")]);
+  assert.equal(comparison.matched, 1);
+  assert.deepEqual(comparison.regressions, []);
+  assert.deepEqual(comparison.newQueries, []);
+});
+
+test('reports metric increases over the threshold and ignores noise', () => {
+  const comparison = compare(
+    [result('{ a: 1 }', { totalMillis: 10, docsExamined: 100 })],
+    [result('{ a: 1 }', { totalMillis: 14, docsExamined: 150 })]
+  );
+  assert.deepEqual(comparison.regressions.map(r => [r.metric, r.changePct]), [['docsExamined', 50]]);
+});
+
+test('reports a plan change that loses the index as worse', () => {
+  const comparison = compare(
+    [result('{ a: 1 }')],
+    [result('{ a: 1 }', { scanType: 'COLLSCAN', indexesUsed: [], planStages: ['COLLSCAN'] })]
+  );
+  assert.equal(comparison.planChanges.length, 1);
+  assert.equal(comparison.planChanges[0].before, 'IXSCAN (status_1)');
+  assert.equal(comparison.planChanges[0].after, 'COLLSCAN');
+  assert.equal(comparison.planChanges[0].worse, true);
+});
+
+test('a query that stopped profiling is a status regression', () => {
+  const comparison = compare([result('{ a: 1 }')], [{ collection: 'users', method: 'find', rawQuery: '{ a: 1 }', error: 'timeout', status: 'timeout' }]);
+  assert.deepEqual(comparison.regressions.map(r => [r.metric, r.after]), [['status', 'timeout']]);
+});
+
+test('lists new and removed queries', () => {
+  const comparison = compare([result('{ a: 1 }'), result('{ b: 1 }')], [result('{ a: 1 }'), result('{ c: 1 }')]);
+  assert.deepEqual(comparison.newQueries.map(r => r.rawQuery), ['{ c: 1 }']);
+  assert.deepEqual(comparison.removedQueries.map(r => r.rawQuery), ['{ b: 1 }']);
+});
+
+test('plan signatures sort the indexes used', () => {
+  assert.equal(planSignature({ scanType: 'IXSCAN', indexesUsed: ['b_1', 'a_1'] }), 'IXSCAN (a_1, b_1)');
+});
@@ -0,0 +1,96 @@
+// .github/scripts/test/explain-commands.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { buildWriteCommand, bulkWriteOperations, explainCommand } = require('../explain-commands');
+
+test('builds update commands with upsert, hint and array filters', () => {
+  assert.deepEqual(buildWriteCommand('orders', 'updatemany', [
+    { status: 'new' },
+    { $set: { 'items.$[i].ok': true } },
+    { upsert: true, hint: { status: 1 }, arrayFilters: [{ 'i.qty': { $gt: 0 } }] }
+  ]), {
+    update: 'orders',
+    updates: [{
+      q: { status: 'new' },
+      u: { $set: { 'items.$[i].ok': true } },
+      upsert: true,
+      multi: true,
+      arrayFilters: [{ 'i.qty': { $gt: 0 } }],
+      hint: { status: 1 }
+    }]
+  });
+});
+
+test('builds a single-document replace without array filters', () => {
+  assert.deepEqual(buildWriteCommand('orders', 'replaceone', [{ _id: 1 }, { total: 5 }, { upsert: true, arrayFilters: [{}] }]), {
+    update: 'orders',
+    updates: [{ q: { _id: 1 }, u: { total: 5 }, upsert: true, multi: false }]
+  });
+});
+
+test('builds delete commands with the limit of the method', () => {
+  assert.deepEqual(buildWriteCommand('orders', 'deleteone', [{ status: 'old' }, { hint: 'status_1' }]), {
+    delete: 'orders',
+    deletes: [{ q: { status: 'old' }, limit: 1, hint: 'status_1' }]
+  });
+  assert.deepEqual(buildWriteCommand('orders', 'deletemany', { status: 'old' }).deletes, [{ q: { status: 'old' }, limit: 0 }]);
+});
+
+test('reads findOneAndDelete options from the second argument', () => {
+  assert.deepEqual(buildWriteCommand('jobs', 'findoneanddelete', [{ state: 'done' }, { sort: { at: 1 }, hint: { state: 1 }, projection: { _id: 1 } }]), {
+    findAndModify: 'jobs',
+    query: { state: 'done' },
+    remove: true,
+    sort: { at: 1 },
+    fields: { _id: 1 },
+    hint: { state: 1 }
+  });
+});
+
+test('reads findOneAndUpdate and findOneAndReplace options from the third argument', () => {
+  assert.deepEqual(buildWriteCommand('jobs', 'findoneandupdate', [
+    { state: 'new' },
+    { $set: { state: 'running' } },
+    { sort: { at: 1 }, upsert: true, returnDocument: 'after', hint: { state: 1, at: 1 }, arrayFilters: [{ x: 1 }] }
+  ]), {
+    findAndModify: 'jobs',
+    query: { state: 'new' },
+    update: { $set: { state: 'running' } },
+    upsert: true,
+    new: true,
+    sort: { at: 1 },
+    arrayFilters: [{ x: 1 }],
+    hint: { state: 1, at: 1 }
+  });
+  assert.deepEqual(buildWriteCommand('jobs', 'findoneandreplace', [{ _id: 1 }, { state: 'new' }, { arrayFilters: [{}] }]), {
+    findAndModify: 'jobs',
+    query: { _id: 1 },
+    update: { state: 'new' },
+    upsert: false,
+    new: false
+  });
+});
+
+test('returns null for methods that are not writes', () => {
+  assert.equal(buildWriteCommand('orders', 'find', {}), null);
+  assert.equal(buildWriteCommand('orders', 'insertone', [{}]), null);
+});
+
+test('maps bulkWrite operations and skips inserts', () => {
+  assert.deepEqual(bulkWriteOperations([
+    { insertOne: { document: { a: 1 } } },
+    { updateOne: { filter: { a: 1 }, update: { $inc: { n: 1 } }, upsert: true } },
+    { replaceOne: { filter: { a: 2 }, replacement: { a: 3 } } },
+    { deleteMany: { filter: { a: 4 }, hint: { a: 1 } } }
+  ]), [
+    { index: 1, method: 'updateone', queryObj: [{ a: 1 }, { $inc: { n: 1 } }, { upsert: true }] },
+    { index: 2, method: 'replaceone', queryObj: [{ a: 2 }, { a: 3 }, {}] },
+    { index: 3, method: 'deletemany', queryObj: [{ a: 4 }, { hint: { a: 1 } }] }
+  ]);
+});
+
+test('wraps a command in an executionStats explain', () => {
+  const command = { delete: 'orders', deletes: [] };
+  assert.deepEqual(explainCommand(command), { explain: command, verbosity: 'executionStats' });
+  assert.deepEqual(explainCommand(command, 500), { explain: command, verbosity: 'executionStats', maxTimeMS: 500 });
+});
@@ -0,0 +1,140 @@
+// .github/scripts/test/extract-queries.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { parseSource } = require('../ast-utils');
+const { collectBindings } = require('../collection-bindings');
+const { extractQueriesFromContent, collapseDuplicates } = require('../extract-queries');
+
+const extract = source => extractQueriesFromContent(source, 'test.js');
+
+test('records find() options like chained cursor modifiers', () => {
+  const [withOptions, chained] = extract(`
+    db.collection('orders').find({ status: 'paid' }, { sort: { createdAt: -1 }, limit: 20, projection: { total: 1 }, batchSize: 5 });
+    db.collection('orders').find({ status: 'paid' }).project({ total: 1 }).sort({ createdAt: -1 }).limit(20);
+  `);
+  assert.equal(withOptions.pattern, 'chained');
+  assert.deepEqual(JSON.parse(withOptions.rawQuery), {
+    find: "{ status: 'paid' }",
+    sort: '{ createdAt: -1 }',
+    limit: '20',
+    project: '{ total: 1 }'
+  });
+  assert.deepEqual(JSON.parse(chained.rawQuery), JSON.parse(withOptions.rawQuery));
+});
+
+test('reads the projection and options arguments of Mongoose models', () => {
+  const [query] = extract(`
+    const User = mongoose.model('User', new mongoose.Schema({}));
+    User.findOne({ active: true }, 'name -_id', { sort: { name: 1 }, lean: true });
+  `);
+  assert.equal(query.collection, 'users');
+  assert.equal(query.method, 'findOne');
+  assert.deepEqual(JSON.parse(query.rawQuery), { find: '{ active: true }', select: "'name -_id'", sort: '{ name: 1 }' });
+});
+
+test('a chained modifier replaces the option of the same name', () => {
+  const [query] = extract("db.collection('orders').find({}, { limit: 5 }).limit(10);");
+  assert.equal(JSON.parse(query.rawQuery).limit, '10');
+});
+
+test('reports runtime options as unknown fields', () => {
+  const [whole, single] = extract(`
+    async function list(options, pageSize) {
+      await db.collection('orders').find({ status: 'paid' }, options);
+      await db.collection('orders').find({ status: 'paid' }, { limit: pageSize });
+    }
+  `);
+  assert.deepEqual(whole.unknownFields, [{ path: 'options', expression: 'options' }]);
+  assert.deepEqual(JSON.parse(single.rawQuery), { find: "{ status: 'paid' }" });
+  assert.deepEqual(single.unknownFields, [{ path: 'limit', expression: 'pageSize' }]);
+});
+
+test('keeps a plain filter when find() has no options', () => {
+  const [query] = extract("db.collection('orders').find({ status: 'paid' }, function (err, docs) {});");
+  assert.equal(query.pattern, 'mongodb-driver');
+  assert.equal(query.rawQuery, "{ status: 'paid' }");
+});
+
+test('does not collapse queries that differ only in runtime modifiers', () => {
+  const queries = extract(`
+    async function list(order, pageSize) {
+      await db.collection('orders').find({ status: 'paid' }).sort(order);
+      await db.collection('orders').find({ status: 'new' }).limit(pageSize);
+      await db.collection('orders').find({ status: 'old' }).sort(order);
+    }
+  `);
+  const collapsed = collapseDuplicates(queries);
+  assert.equal(collapsed.length, 2);
+  assert.deepEqual(collapsed.map(q => q.locations.length), [2, 1]);
+});
+
+test('records the source span of the whole chained call', () => {
+  const [query] = extract([
+    'async function recent() {',
+    "  return db.collection('orders')",
+    "    .find({ status: 'paid' })",
+    '    .limit(5);',
+    '}'
+  ].join('\n'));
+  assert.deepEqual(
+    { startLine: query.startLine, startColumn: query.startColumn, endLine: query.endLine, endColumn: query.endColumn },
+    { startLine: 2, startColumn: 10, endLine: 4, endColumn: 14 }
+  );
+});
+
+test('does not mistake Array.prototype.find() for a query', () => {
+  const queries = extract(`
+    const items = [{ id: 1 }, { id: 2 }];
+    items.find(item => item.id === 1);
+    [1, 2, 3].find(function (n) { return n > 1; });
+    Object.values(cache).find(Boolean);
+    db.collection('items').find({ id: 1 });
+  `);
+  assert.equal(queries.length, 1);
+  assert.equal(queries[0].collection, 'items');
+});
+
+test('resolves collection handles by scope', () => {
+  const queries = extract(`
+    const users = db.collection('users');
+    function active(list) {
+      const users = list.filter(Boolean);
+      return users.find({ active: true });
+    }
+    function byId(users, id) {
+      return users.findOne({ _id: id });
+    }
+    async function count() {
+      return users.countDocuments({ active: true });
+    }
+  `);
+  assert.deepEqual(queries.map(q => [q.collection, q.method, q.pattern]), [['users', 'countDocuments', 'collection-handle']]);
+});
+
+test('does not mistake a callback find() on a handle name for a query', () => {
+  const queries = extract(`
+    const users = db.collection('users');
+    users.find(u => u.id === 1);
+    users.find({ id: 1 });
+  `);
+  assert.equal(queries.length, 1);
+  assert.equal(queries[0].rawQuery, '{ id: 1 }');
+});
+
+test('resolves handles exported by another module', () => {
+  const dbFile = path.resolve('db.js');
+  const moduleExports = new Map([[dbFile, collectBindings(parseSource(`
+    const users = db.collection('users');
+    export { users };
+  `)).exported]]);
+  const queries = extractQueriesFromContent(`
+    import { users } from './db';
+    function local() {
+      const users = [];
+      return users.find({});
+    }
+    users.find({ active: true });
+  `, 'service.js', { moduleExports });
+  assert.deepEqual(queries.map(q => [q.collection, q.rawQuery]), [['users', '{ active: true }']]);
+});
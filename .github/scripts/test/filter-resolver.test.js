@@ -0,0 +1,82 @@
+// .github/scripts/test/filter-resolver.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { extractQueriesFromContent } = require('../extract-queries');
+
+// Raw query of the only query extracted from `source`
+function rawQueryOf(source) {
+  const queries = extractQueriesFromContent(source, 'test.js');
+  assert.equal(queries.length, 1);
+  return queries[0];
+}
+
+test('resolves filters built from constants and local variables', () => {
+  const query = rawQueryOf(`
+    const status = 'active';
+    async function adults() {
+      const q = { status, age: { $gt: 21 } };
+      return db.collection('users').findOne(q);
+    }
+  `);
+  assert.equal(query.rawQuery, "{ status: 'active', age: { $gt: 21 } }");
+  assert.deepEqual(query.unknownFields, []);
+});
+
+test('follows Object.assign and property assignments made before the call', () => {
+  const query = rawQueryOf(`
+    const filter = { status: 'active' };
+    filter.role = 'admin';
+    Object.assign(filter, { deleted: false });
+    db.collection('users').find(filter);
+  `);
+  assert.equal(query.rawQuery, "{ status: 'active', role: 'admin', deleted: false }");
+});
+
+test('inlines helper functions that build the filter', () => {
+  const query = rawQueryOf(`
+    function byOwner(owner) {
+      return { owner, archived: false };
+    }
+    db.collection('projects').find(byOwner('alice'));
+  `);
+  assert.equal(query.rawQuery, "{ owner: 'alice', archived: false }");
+});
+
+test('reports runtime values as unknown fields', () => {
+  const query = rawQueryOf(`
+    async function find(req) {
+      return db.collection('users').findOne({ email: req.body.email });
+    }
+  `);
+  assert.equal(query.rawQuery, '{ email: null }');
+  assert.deepEqual(query.unknownFields, [{ path: 'email', expression: 'req.body.email' }]);
+});
+
+test('parameters shadow module-level bindings of the same name', () => {
+  const query = rawQueryOf(`
+    const filter = { a: 1 };
+    async function list(filter) {
+      return db.collection('users').find(filter);
+    }
+  `);
+  assert.equal(query.rawQuery, 'filter');
+  assert.deepEqual(query.unknownFields, [{ path: '', expression: 'filter' }]);
+});
+
+test('destructured parameters shadow outer bindings too', () => {
+  const query = rawQueryOf(`
+    const status = 'active';
+    const byStatus = ({ status }, ...rest) => db.collection('users').find({ status });
+  `);
+  assert.equal(query.rawQuery, '{ status: null }');
+});
+
+test('locals assigned after the parameters are still resolved', () => {
+  const query = rawQueryOf(`
+    async function list(filter) {
+      filter = { status: 'active' };
+      return db.collection('users').find(filter);
+    }
+  `);
+  assert.equal(query.rawQuery, "{ status: 'active' }");
+});
@@ -0,0 +1,37 @@
+// .github/scripts/test/history-store.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { HISTORY_FORMAT_VERSION, readHistory, appendRun } = require('../history-store');
+
+const run = recordedAt => ({ historyVersion: HISTORY_FORMAT_VERSION, recordedAt, queries: [] });
+
+test('skips corrupt lines and records of another version, oldest run first', t => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'history-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, 'history.jsonl');
+  fs.writeFileSync(file, [
+    JSON.stringify(run('2024-03-02T00:00:00Z')),
+    '{"historyVersion":1,"recordedAt":"2024-03-0',
+    JSON.stringify({ ...run('2024-03-03T00:00:00Z'), historyVersion: 0 }),
+    'null',
+    JSON.stringify(run('2024-03-01T00:00:00Z')),
+    ''
+  ].join('\n'));
+
+  const warn = t.mock.method(console, 'warn', () => {});
+  const history = readHistory(file);
+  assert.deepEqual(history.map(r => r.recordedAt), ['2024-03-01T00:00:00Z', '2024-03-02T00:00:00Z']);
+  assert.equal(warn.mock.callCount(), 1);
+  assert.match(warn.mock.calls[0].arguments[0], /line 2/);
+});
+
+test('appends runs and keeps only the most recent ones', t => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'history-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, 'history.jsonl');
+  ['2024-03-01', '2024-03-02', '2024-03-03'].forEach(day => appendRun(run(day), { file, maxRuns: 2 }));
+  assert.deepEqual(readHistory(file).map(r => r.recordedAt), ['2024-03-02', '2024-03-03']);
+});
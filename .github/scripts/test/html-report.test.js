@@ -0,0 +1,60 @@
+// .github/scripts/test/html-report.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { generateHtmlReport } = require('../html-report');
+
+const injected = "<script>alert('x')</script>";
+
+const doc = {
+  run: {
+    tool: { name: 'mongo-query-profiler', version: '1.0.0' },
+    generatedAt: '2024-03-01T12:00:00.000Z',
+    database: `shop${injected}`,
+    commit: 'abc1234def5678'
+  },
+  summary: { total: 1, good: 0, fair: 0, poor: 1, errors: 0, timedOut: 0, lintFindings: 0 },
+  verdict: { policy: 'warn-only', passed: true },
+  queries: [{
+    collection: `orders${injected}`,
+    method: 'find',
+    file: 'src/<img src=x onerror=alert(1)>.js',
+    startLine: 3,
+    startColumn: 5,
+    locations: [{ file: 'src/<img src=x onerror=alert(1)>.js', startLine: 3 }, { file: `src/${injected}.js`, startLine: 8 }],
+    rawQuery: `{ name: "</code>${injected}" }`,
+    score: 'Poor',
+    status: 'ok',
+    metrics: { totalMillis: 40, docsExamined: 5000, scanType: 'Collection scan', planStages: ['COLLSCAN'] },
+    findings: [{ ruleId: 'collection-scan', severity: 'error', message: `Filter on \`${injected}\` scans the collection`, suggestion: `Add \`${injected}\`` }],
+    recommendedIndex: `db.orders.createIndex({ "${injected}": 1 })`,
+    explain: {
+      queryPlanner: {
+        winningPlan: { stage: 'FETCH', filter: { name: { $eq: injected } }, inputStage: { stage: 'IXSCAN', indexName: injected } },
+        rejectedPlans: []
+      }
+    },
+    pipelineStages: [{ index: 0, name: injected, docsIn: 1, docsOut: 1, timeMillis: 0 }]
+  }]
+};
+
+test('escapes query text, file paths and every other value from the results', () => {
+  const html = generateHtmlReport(doc);
+  assert.equal((html.match(/<script>/g) || []).length, 1, 'only the report\'s own script tag');
+  assert.ok(!html.includes('<img'));
+  assert.ok(!html.includes(`</code>${injected}`));
+  assert.ok(html.includes('<code class="query">{ name: &quot;&lt;/code&gt;&lt;script&gt;alert(&#39;x&#39;)&lt;/script&gt;&quot; }</code>'));
+  assert.ok(html.includes('src/&lt;img src=x onerror=alert(1)&gt;.js:3:5'));
+  assert.ok(html.includes('data-file="src/&lt;img src=x onerror=alert(1)&gt;.js:3:5"'));
+  assert.ok(html.includes('Filter on <code>&lt;script&gt;alert(&#39;x&#39;)&lt;/script&gt;</code> scans the collection'));
+});
+
+test('renders the summary, the query row and its plan tree', () => {
+  const html = generateHtmlReport(doc);
+  assert.match(html, /^<!DOCTYPE html>/);
+  assert.match(html, /<span><b>1<\/b> queries<\/span>/);
+  assert.match(html, /Quality gate \(warn-only\): <b>passed<\/b>/);
+  assert.match(html, /<span class="verdict poor">Poor<\/span>/);
+  assert.match(html, /<span class="stage">FETCH<\/span>/);
+  assert.match(html, /<span class="stage good">IXSCAN<\/span>/);
+  assert.match(html, /commit <code>abc1234def56<\/code>/);
+});
@@ -0,0 +1,51 @@
+// .github/scripts/test/index-recommender.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { classifyQuery, esrKey, indexServes, recommendIndexes } = require('../index-recommender');
+
+const find = (rawQuery, extra = {}) => ({ collection: 'orders', method: 'find', rawQuery, ...extra });
+const chained = parts => ({ collection: 'orders', method: 'find', pattern: 'chained', rawQuery: JSON.stringify(parts) });
+
+test('orders the key as equality, sort, range', () => {
+  const classified = classifyQuery({
+    filter: { total: { $gte: 100 }, status: 'paid' },
+    sort: { createdAt: -1 },
+    projection: null
+  });
+  assert.deepEqual(classified.equality, ['status']);
+  assert.deepEqual(classified.sort, [{ field: 'createdAt', direction: -1 }]);
+  assert.deepEqual(classified.range, ['total']);
+  assert.deepEqual(Object.entries(esrKey(classified)), [['status', 1], ['createdAt', -1], ['total', 1]]);
+});
+
+test('treats a multi-value $in as a range when the query sorts', () => {
+  const filter = { status: { $in: ['paid', 'shipped'] } };
+  assert.deepEqual(classifyQuery({ filter, sort: null }).equality, ['status']);
+  assert.deepEqual(classifyQuery({ filter, sort: { createdAt: 1 } }).range, ['status']);
+});
+
+test('regular expressions are range predicates', () => {
+  assert.deepEqual(classifyQuery({ filter: { name: /^abc/ }, sort: null }).range, ['name']);
+});
+
+test('an index serves a query through a prefix, with the sort reversed as a whole', () => {
+  const classified = classifyQuery({ filter: { status: 'paid' }, sort: { createdAt: -1, _id: -1 } });
+  assert.ok(indexServes({ status: 1, createdAt: -1, _id: -1 }, classified));
+  assert.ok(indexServes({ status: 1, createdAt: 1, _id: 1, total: 1 }, classified));
+  assert.ok(!indexServes({ status: 1, createdAt: 1, _id: -1 }, classified));
+  assert.ok(!indexServes({ createdAt: -1, status: 1 }, classified));
+});
+
+test('recommends one index for queries sharing a prefix and skips indexed ones', () => {
+  const results = [
+    find("{ status: 'paid' }"),
+    chained({ find: "{ status: 'paid', customerId: 7 }", sort: '{ createdAt: -1 }' }),
+    find('{ sku: 42 }')
+  ];
+  const [recommendation] = recommendIndexes(results, { orders: [{ name: 'sku_1', key: { sku: 1 } }] });
+  assert.equal(recommendation.collection, 'orders');
+  assert.equal(recommendation.indexes.length, 1);
+  assert.deepEqual(Object.keys(recommendation.indexes[0].key), ['status', 'customerId', 'createdAt']);
+  assert.deepEqual(recommendation.indexes[0].queries.map(q => q.index), [0, 1]);
+  assert.deepEqual(recommendation.alreadyIndexed, [{ index: 2, indexName: 'sku_1' }]);
+});
@@ -0,0 +1,42 @@
+// .github/scripts/test/lint-queries.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { extractQueriesFromContent } = require('../extract-queries');
+const { queryParts } = require('../lint-queries');
+const unboundedFind = require('../rules/unbounded-find');
+const skipPagination = require('../rules/skip-pagination');
+
+// Whether `rule` reports each query extracted from `source`
+function check(rule, source) {
+  return extractQueriesFromContent(source, 'test.js').map(query => Boolean(rule.check({ query, parts: queryParts(query) })));
+}
+
+test('unbounded-find accepts a limit set as an option or chained modifier', () => {
+  assert.deepEqual(check(unboundedFind, `
+    const Order = require('./models/order');
+    db.collection('orders').find({ status: 'paid' });
+    db.collection('orders').find({ status: 'paid' }).sort({ createdAt: -1 });
+    db.collection('orders').find({ status: 'paid' }).limit(20);
+    db.collection('orders').find({ status: 'paid' }, { limit: 20 });
+    db.collection('orders').find({ status: 'paid' }, { limit: 0 });
+    Order.find({ status: 'paid' }, null, { limit: 20 });
+  `), [true, true, false, false, true, false]);
+});
+
+test('unbounded-find does not guess about runtime limits and options', () => {
+  assert.deepEqual(check(unboundedFind, `
+    async function list(pageSize, options) {
+      await db.collection('orders').find({ status: 'paid' }).limit(pageSize);
+      await db.collection('orders').find({ status: 'paid' }, { limit: pageSize });
+      await db.collection('orders').find({ status: 'paid' }, options);
+    }
+  `), [false, false, false]);
+});
+
+test('skip-pagination finds skip options and chained skips', () => {
+  assert.deepEqual(check(skipPagination, `
+    db.collection('orders').find({}).skip(100);
+    db.collection('orders').find({}, { skip: 100 });
+    db.collection('orders').find({}, { limit: 10 });
+  `), [true, true, false]);
+});
@@ -0,0 +1,78 @@
+// .github/scripts/test/mongoose-models.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { parseSource } = require('../ast-utils');
+const { pluralize, collectModels } = require('../mongoose-models');
+const { extractQueriesFromContent } = require('../extract-queries');
+
+const targets = (source, options) => extractQueriesFromContent(source, 'test.js', options)
+  .map(q => [q.model, q.collection, q.method]);
+
+test('pluralizes model names the way Mongoose does', () => {
+  assert.deepEqual(['User', 'Person', 'Category', 'Mouse', 'Box', 'Sheep'].map(pluralize), ['users', 'people', 'categories', 'mice', 'boxes', 'sheep']);
+});
+
+test('resolves every model registration form', () => {
+  assert.deepEqual(targets(`
+    const schema = new mongoose.Schema({}, { collection: 'audit_log' });
+    const Audit = mongoose.model('Audit', schema);
+    const User = mongoose.models.User || mongoose.model('User', new Schema({}));
+    const Post = model('Post', postSchema, 'blog_posts');
+    const Tag = connection.model('Tag');
+    let Order;
+    Order = mongoose.model('Order', orderSchema);
+    Audit.find({});
+    User.findOne({});
+    Post.find({});
+    Tag.find({});
+    Order.find({});
+    mongoose.model('Comment').find({});
+    mongoose.models.Comment.countDocuments({});
+  `), [
+    ['Audit', 'audit_log', 'find'],
+    ['User', 'users', 'findOne'],
+    ['Post', 'blog_posts', 'find'],
+    ['Tag', 'tags', 'find'],
+    ['Order', 'orders', 'find'],
+    ['Comment', 'comments', 'find'],
+    ['Comment', 'comments', 'countDocuments']
+  ]);
+});
+
+test('resolves models imported from scanned and unscanned modules', () => {
+  const modelsFile = path.resolve('models.js');
+  const modelInfo = collectModels(parseSource(`
+    const Rows = [1, 2];
+    module.exports.Account = mongoose.model('Account', new Schema({}, { collection: 'accounts_v2' }));
+    module.exports.Rows = Rows;
+  `));
+  const modelExports = new Map([[modelsFile, modelInfo.exported]]);
+  assert.deepEqual(targets(`
+    const { Account, Rows } = require('./models');
+    import Invoice from '@billing/models';
+    Account.find({});
+    Rows.find({});
+    Invoice.findOne({});
+  `, { modelExports, modelCollections: modelInfo.models }), [
+    ['Account', 'accounts_v2', 'find'],
+    ['Invoice', 'invoices', 'findOne']
+  ]);
+});
+
+test('never takes PascalCase values that are not models for models', () => {
+  assert.deepEqual(targets(`
+    const Rows = [1, 2];
+    Rows.find(Boolean);
+    Rows.find({ id: 1 });
+    const Config = loadConfig();
+    Config.findOne({});
+    Promise.all([]);
+    Undeclared.find({});
+    const User = mongoose.model('User', schema);
+    function local() {
+      const User = [];
+      return User.find({});
+    }
+  `), []);
+});
@@ -0,0 +1,80 @@
+// .github/scripts/test/pipeline-stages.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { pipelineStages, stageMemoryBytes } = require('../pipeline-stages');
+const lookupForeignIndex = require('../rules/lookup-foreign-index');
+const pipelineStageOrder = require('../rules/pipeline-stage-order');
+const pipelineMemory = require('../rules/pipeline-memory');
+const unwindBlowup = require('../rules/unwind-blowup');
+
+const explain = require('./fixtures/pipeline-explain.json');
+const check = (rule, context) => rule.check({ explain, options: rule.defaults || {}, ...context });
+
+test('unwraps $cursor and chains documents and own time through the stages', () => {
+  const stages = pipelineStages(explain);
+  assert.deepEqual(stages.map(({ index, name, docsIn, docsOut, timeMillis }) => ({ index, name, docsIn, docsOut, timeMillis })), [
+    { index: 0, name: '$cursor', docsIn: 1000, docsOut: 1000, timeMillis: 5 },
+    { index: 1, name: '$unwind', docsIn: 1000, docsOut: 20000, timeMillis: 7 },
+    { index: 2, name: '$lookup', docsIn: 20000, docsOut: 20000, timeMillis: 18 },
+    { index: 3, name: '$group', docsIn: 20000, docsOut: 50, timeMillis: 10 },
+    { index: 4, name: '$sort', docsIn: 50, docsOut: 50, timeMillis: 1 },
+    { index: 5, name: '$match', docsIn: 50, docsOut: 10, timeMillis: 0 }
+  ]);
+  assert.equal(stages[0].spec, explain.stages[0].$cursor);
+});
+
+test('falls back to the $cursor execution stats when the stage has none of its own', () => {
+  const [cursor] = pipelineStages({ stages: [{ $cursor: { executionStats: { nReturned: 7, executionTimeMillis: 3, totalDocsExamined: 70 } } }] });
+  assert.deepEqual([cursor.docsIn, cursor.docsOut, cursor.timeMillis], [70, 7, 3]);
+});
+
+test('returns no stages for a pipeline that ran entirely in the query layer', () => {
+  assert.deepEqual(pipelineStages({ queryPlanner: { winningPlan: { stage: 'COLLSCAN' } } }), []);
+  assert.deepEqual(pipelineStages(null), []);
+});
+
+test('reads the memory held by $group and $sort', () => {
+  const stages = pipelineStages(explain);
+  assert.equal(stageMemoryBytes(stages[3]), 94371840);
+  assert.equal(stageMemoryBytes(stages[4]), 4000);
+  assert.equal(stageMemoryBytes(stages[1]), null);
+});
+
+test('flags a $lookup whose foreign field has no index', () => {
+  const [finding] = check(lookupForeignIndex);
+  assert.equal(finding.stagePath, 'stages[2] $lookup');
+  assert.match(finding.message, /`products\.sku` has no index \(20000 collection scans\)/);
+  assert.match(finding.suggestion, /createIndex\(\{ "?sku"?: 1 \}\)/);
+
+  assert.deepEqual(check(lookupForeignIndex, { existingIndexes: { products: [{ name: 'sku_1', key: { sku: 1 } }] } }), []);
+  assert.equal(check(lookupForeignIndex, { existingIndexes: { products: [{ name: 'sku_1', key: { sku: 1 }, partialFilterExpression: { active: true } }] } }).length, 1);
+});
+
+test('flags $sort after $group and $match after $sort', () => {
+  const findings = check(pipelineStageOrder);
+  assert.deepEqual(findings.map(f => f.stagePath), ['stages[4] $sort', 'stages[5] $match']);
+  assert.match(findings[0].message, /runs after `\$group`/);
+});
+
+test('does not flag a $match or $sort right after $cursor', () => {
+  const stages = [explain.stages[0], { $sort: { sortKey: { a: 1 } }, nReturned: 1, executionTimeMillisEstimate: 1 }];
+  assert.deepEqual(pipelineStageOrder.check({ explain: { stages } }), []);
+});
+
+test('warns about a $group near the memory limit and fails one that spilled', () => {
+  const [warning] = check(pipelineMemory);
+  assert.equal(warning.stagePath, 'stages[3] $group');
+  assert.equal(warning.severity, undefined);
+  assert.match(warning.message, /uses 90\.0MB of the 100MB limit/);
+
+  const spilled = { stages: [explain.stages[0], { ...explain.stages[4], usedDisk: true, spills: 3 }] };
+  const [error] = pipelineMemory.check({ explain: spilled, options: pipelineMemory.defaults });
+  assert.equal(error.severity, 'error');
+  assert.match(error.message, /`\$sort` at pipeline stage 1 spilled to disk/);
+});
+
+test('flags an $unwind that multiplies the documents', () => {
+  const [finding] = check(unwindBlowup);
+  assert.equal(finding.stagePath, 'stages[1] $unwind');
+  assert.match(finding.message, /turns 1000 documents into 20000 \(20\.0x/);
+});
@@ -0,0 +1,44 @@
+// .github/scripts/test/placeholder-sampler.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { applyBindings, compareCost, executionStats, samplePlaceholderBindings } = require('../placeholder-sampler');
+
+const findExplain = (docs, keys, millis) => ({ executionStats: { totalDocsExamined: docs, totalKeysExamined: keys, executionTimeMillis: millis } });
+const aggregateExplain = (docs, keys, millis) => ({ stages: [{ $cursor: findExplain(docs, keys, millis) }, { $group: {} }] });
+
+test('compares the cost of find and aggregate explains', () => {
+  assert.ok(compareCost(findExplain(100, 0, 1), findExplain(10, 50, 9)) > 0);
+  assert.ok(compareCost(aggregateExplain(100, 0, 1), aggregateExplain(10, 50, 9)) > 0);
+  assert.ok(compareCost(aggregateExplain(10, 10, 5), findExplain(10, 10, 2)) > 0);
+  assert.equal(compareCost({ error: 'failed' }, findExplain(0, 0, 0)), 0);
+});
+
+test('reads execution stats nested under $cursor', () => {
+  assert.equal(executionStats(aggregateExplain(3, 2, 1)).totalDocsExamined, 3);
+  assert.equal(executionStats({ queryPlanner: {} }), null);
+});
+
+test('samples placeholder values within maxTimeMS', async () => {
+  const calls = [];
+  const collection = {
+    aggregate(pipeline, options) {
+      calls.push({ pipeline, options });
+      return { toArray: async () => [{ status: 'paid' }, { status: 'paid' }, { status: 'refunded' }] };
+    }
+  };
+  const query = { method: 'find', rawQuery: '{ status: null }', unknownFields: [{ path: 'status', expression: 'req.status' }] };
+  const bindings = await samplePlaceholderBindings(collection, query, { maxTimeMS: 250 });
+  assert.deepEqual(calls[0].options, { maxTimeMS: 250 });
+  assert.deepEqual(calls[0].pipeline[1], { $project: { status: 1 } });
+  assert.deepEqual(bindings.slice(0, 2), [
+    { label: 'typical', values: { status: 'paid' } },
+    { label: 'rare', values: { status: 'refunded' } }
+  ]);
+});
+
+test('applies bound values to a parsed query', () => {
+  assert.deepEqual(applyBindings({ status: null, 'meta.flag': { $eq: null } }, { status: 'paid', 'meta.flag.$eq': true }), {
+    status: 'paid',
+    'meta.flag': { $eq: true }
+  });
+});
@@ -0,0 +1,38 @@
+// .github/scripts/test/plan-tree.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { planRoot, planStages } = require('../plan-tree');
+const inMemorySort = require('../rules/in-memory-sort');
+
+const sbeExplain = require('./fixtures/sbe-sort-spill-explain.json');
+
+test('analyzes the execution stages of an SBE plan, which carry the runtime statistics', () => {
+  const root = planRoot(sbeExplain);
+  assert.equal(root, sbeExplain.executionStats.executionStages);
+  assert.equal(root.usedDisk, true);
+  assert.deepEqual(planStages(root).map(stage => stage.path), [
+    'sort',
+    'sort > nlj',
+    'sort > nlj > [outer] ixseek',
+    'sort > nlj > [inner] limit',
+    'sort > nlj > [inner] limit > seek'
+  ]);
+});
+
+test('falls back to the SBE query plan and then the winning plan without execution stats', () => {
+  const { executionStats, ...queryPlanner } = sbeExplain;
+  assert.equal(planRoot(queryPlanner).stage, 'SORT');
+  assert.equal(planRoot(queryPlanner), sbeExplain.queryPlanner.winningPlan.queryPlan);
+  const classic = { queryPlanner: { winningPlan: { stage: 'COLLSCAN' } } };
+  assert.equal(planRoot(classic).stage, 'COLLSCAN');
+  assert.equal(planRoot({ stages: [{ $cursor: classic }] }).stage, 'COLLSCAN');
+  assert.equal(planRoot({}), null);
+});
+
+test('reports an SBE sort that spilled to disk', () => {
+  const findings = inMemorySort.check({ explain: sbeExplain, recommendedIndex: null });
+  assert.equal(findings.length, 1);
+  assert.equal(findings[0].severity, 'error');
+  assert.equal(findings[0].stagePath, 'sort');
+  assert.match(findings[0].message, /spilled to disk.*150000000 bytes sorted/);
+});
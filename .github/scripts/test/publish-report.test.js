@@ -0,0 +1,183 @@
+// .github/scripts/test/publish-report.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('node:http');
+const { buildCommentBodies, commentPart, createGitHubClient, publishReport, splitBlocks } = require('../publish-report');
+
+const queryBlock = (n, size) => [
+  `<details><summary>Query ${n}</summary>`,
+  '',
+  '```js',
+  'x'.repeat(size),
+  '```',
+  '</details>'
+].join('\n');
+
+test('splits at headings and top-level details, never inside them', () => {
+  const report = ['# Report', '', '## Summary', 'text', queryBlock(1, 10), '<details><summary>Nested</summary>', '<details>', '## not a block', '</details>', '</details>'].join('\n');
+  const blocks = splitBlocks(report);
+  assert.equal(blocks.length, 4);
+  assert.deepEqual(blocks.map(b => b.collapsible), [false, false, true, true]);
+  assert.ok(blocks[3].text.includes('## not a block'));
+});
+
+test('keeps a short report in one comment with the part marker', () => {
+  const bodies = buildCommentBodies('## Summary\nAll good', { marker: 'm' });
+  assert.deepEqual(bodies, ['<!-- m part=1 -->\n## Summary\nAll good']);
+  assert.equal(commentPart(bodies[0], 'm'), 1);
+  assert.equal(commentPart(bodies[0], 'other'), null);
+});
+
+test('continues a long report in further comments under the size limit', () => {
+  const report = ['## Summary', ...Array.from({ length: 6 }, (_, i) => queryBlock(i + 1, 300))].join('\n');
+  const bodies = buildCommentBodies(report, { marker: 'm', maxLength: 1000, maxParts: 4 });
+  assert.equal(bodies.length, 3);
+  bodies.forEach((body, i) => {
+    assert.ok(body.length <= 1000);
+    assert.equal(commentPart(body, 'm'), i + 1);
+  });
+  assert.match(bodies[0], /Continued in the next comment \(2\/3\)/);
+  for (let n = 1; n <= 6; n++) assert.equal(bodies.filter(body => body.includes(`Query ${n}<`)).length, 1);
+});
+
+test('leaves out per-query details from the end when there are too many parts', () => {
+  const report = ['## Summary', ...Array.from({ length: 10 }, (_, i) => queryBlock(i + 1, 300))].join('\n');
+  const bodies = buildCommentBodies(report, { marker: 'm', maxLength: 1000, maxParts: 2, fullReportUrl: 'https://example.test/run' });
+  assert.equal(bodies.length, 2);
+  assert.ok(bodies[0].includes('## Summary'));
+  assert.match(bodies[1], /<\/details>\n\n> ✂️ Details of 7 more queries were left out.*\[full report\]\(https:\/\/example\.test\/run\)/);
+  assert.ok(!bodies.join('\n').includes('Query 4<'));
+});
+
+test('truncates a single block that is over the limit and closes what it opened', () => {
+  const bodies = buildCommentBodies(queryBlock(1, 5000).replace('x'.repeat(5000), Array(500).fill('line of code').join('\n')), { marker: 'm', maxLength: 1000 });
+  assert.equal(bodies.length, 1);
+  assert.ok(bodies[0].length <= 1000);
+  assert.match(bodies[0], /```\n<\/details>\n\n> ✂️ Truncated/);
+});
+
+// Local stand-in for the issue comments endpoints of the GitHub REST API
+// Mock comments API; `login` is the token's user, or null for an app token that may not read /user
+function startCommentsServer(comments, { login = 'report-bot' } = {}) {
+  const requests = [];
+  let nextId = comments.reduce((max, c) => Math.max(max, c.id), 0) + 1;
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', () => {
+      const url = new URL(req.url, 'http://localhost');
+      requests.push({ method: req.method, path: url.pathname, authorization: req.headers.authorization });
+      const body = raw ? JSON.parse(raw) : undefined;
+      const reply = (status, data) => {
+        res.writeHead(status, { 'content-type': 'application/json' });
+        res.end(data === undefined ? undefined : JSON.stringify(data));
+      };
+      const commentId = /^\/repos\/o\/r\/issues\/comments\/(\d+)$/.exec(url.pathname);
+      const index = commentId ? comments.findIndex(c => c.id === Number(commentId[1])) : -1;
+      if (url.pathname === '/user' && req.method === 'GET') {
+        return login ? reply(200, { login }) : reply(403, { message: 'Resource not accessible by integration' });
+      }
+      if (url.pathname === '/repos/o/r/issues/7/comments' && req.method === 'GET') {
+        const perPage = Number(url.searchParams.get('per_page'));
+        const page = Number(url.searchParams.get('page'));
+        return reply(200, comments.slice((page - 1) * perPage, page * perPage));
+      }
+      if (url.pathname === '/repos/o/r/issues/7/comments' && req.method === 'POST') {
+        const comment = { id: nextId++, body: body.body, user: { login: login || 'github-actions[bot]' } };
+        comments.push(comment);
+        return reply(201, comment);
+      }
+      if (index === -1) return reply(404, { message: 'Not Found' });
+      if (req.method === 'PATCH') {
+        comments[index].body = body.body;
+        return reply(200, comments[index]);
+      }
+      if (req.method === 'DELETE') {
+        comments.splice(index, 1);
+        return reply(204);
+      }
+      return reply(405, { message: 'Method Not Allowed' });
+    });
+  });
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => {
+    resolve({ server, requests, apiUrl: `http://127.0.0.1:${server.address().port}` });
+  }));
+}
+
+test('publishes, edits in place, splits and cleans up comments through the REST API', async t => {
+  // Enough unrelated comments that the report comments are on the second page
+  const comments = Array.from({ length: 120 }, (_, i) => ({ id: i + 1, body: `comment ${i + 1}`, user: { login: 'dev' } }));
+  const { server, requests, apiUrl } = await startCommentsServer(comments);
+  t.after(() => {
+    server.closeAllConnections();
+    server.close();
+  });
+  const options = { repo: 'o/r', issueNumber: 7, marker: 'm', request: createGitHubClient({ token: 'secret', apiUrl }) };
+  const ours = () => comments.filter(c => commentPart(c.body, 'm') !== null);
+
+  assert.deepEqual(await publishReport('## Summary\nfirst run', options), { created: 1, updated: 0, deleted: 0 });
+  const [first] = ours();
+  assert.match(first.body, /^<!-- m part=1 -->\n## Summary\nfirst run/);
+  assert.ok(requests.every(r => r.authorization === 'Bearer secret'));
+
+  assert.deepEqual(await publishReport('## Summary\nsecond run', options), { created: 0, updated: 1, deleted: 0 });
+  assert.deepEqual(ours(), [{ id: first.id, body: '<!-- m part=1 -->\n## Summary\nsecond run', user: { login: 'report-bot' } }]);
+  assert.deepEqual(await publishReport('## Summary\nsecond run', options), { created: 0, updated: 0, deleted: 0 });
+
+  // Over the default 65000 character limit
+  const long = ['## Summary', ...Array.from({ length: 7 }, (_, i) => queryBlock(i + 1, 20000))].join('\n');
+  assert.deepEqual(await publishReport(long, options), { created: 2, updated: 1, deleted: 0 });
+  assert.deepEqual(ours().map(c => commentPart(c.body, 'm')), [1, 2, 3]);
+  assert.equal(ours()[0].id, first.id);
+  ours().forEach(c => assert.ok(c.body.length <= 65000));
+
+  requests.length = 0;
+  assert.deepEqual(await publishReport('## Summary\nshorter again', options), { created: 0, updated: 1, deleted: 2 });
+  assert.equal(requests.filter(r => r.method === 'DELETE').length, 2);
+  assert.deepEqual(ours(), [{ id: first.id, body: '<!-- m part=1 -->\n## Summary\nshorter again', user: { login: 'report-bot' } }]);
+  assert.equal(comments.length, 121);
+});
+
+test('leaves comments of other users that quote the marker alone', async t => {
+  const quoted = '<!-- m part=1 -->\n> the bot said this';
+  for (const login of ['report-bot', null]) {
+    const comments = [
+      { id: 1, body: quoted, user: { login: 'dev' } },
+      { id: 2, body: '<!-- m part=2 -->\nold', user: { login: 'dev' } }
+    ];
+    const { server, apiUrl } = await startCommentsServer(comments, { login });
+    t.after(() => {
+      server.closeAllConnections();
+      server.close();
+    });
+    const options = { repo: 'o/r', issueNumber: 7, marker: 'm', request: createGitHubClient({ token: 'secret', apiUrl }) };
+
+    assert.deepEqual(await publishReport('## Summary\nfirst run', options), { created: 1, updated: 0, deleted: 0 });
+    assert.deepEqual(comments.slice(0, 2).map(c => c.body), [quoted, '<!-- m part=2 -->\nold']);
+    assert.equal(comments[2].user.login, login || 'github-actions[bot]');
+    assert.deepEqual(await publishReport('## Summary\nsecond run', options), { created: 0, updated: 1, deleted: 0 });
+    assert.equal(comments.length, 3);
+  }
+});
+
+test('finds comments of a GitHub App token by the app that wrote them', async t => {
+  const comments = [{ id: 1, body: '<!-- m part=1 -->\nold', user: { login: 'my-app[bot]' }, performed_via_github_app: { slug: 'my-app' } }];
+  const { server, apiUrl } = await startCommentsServer(comments, { login: null });
+  t.after(() => {
+    server.closeAllConnections();
+    server.close();
+  });
+  const options = { repo: 'o/r', issueNumber: 7, marker: 'm', request: createGitHubClient({ token: 'secret', apiUrl }) };
+  assert.deepEqual(await publishReport('## Summary\nnew', options), { created: 0, updated: 1, deleted: 0 });
+  assert.equal(comments[0].body, '<!-- m part=1 -->\n## Summary\nnew');
+});
+
+test('raises GitHubApiError for a failed request', async t => {
+  const { server, apiUrl } = await startCommentsServer([]);
+  t.after(() => {
+    server.closeAllConnections();
+    server.close();
+  });
+  const request = createGitHubClient({ token: 'secret', apiUrl });
+  await assert.rejects(request('PATCH', '/repos/o/r/issues/comments/99', { body: 'x' }), { name: 'GitHubApiError', status: 404 });
+});
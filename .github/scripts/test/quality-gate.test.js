@@ -0,0 +1,67 @@
+// .github/scripts/test/quality-gate.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { EXIT_CODES, GateConfigError, loadGateSettings, evaluateGate } = require('../quality-gate');
+
+const query = rawQuery => ({ collection: 'users', method: 'find', rawQuery });
+const analysis = (performanceScore, findings = []) => ({ performanceScore, findings });
+const finding = (ruleId, severity) => ({ ruleId, severity, message: ruleId });
+
+const results = [query('{ a: 1 }'), query('{ b: 1 }'), query('{ c: 1 }')];
+const analyses = [analysis('Poor', [finding('collection-scan', 'error')]), analysis('Good'), null];
+
+test('any-poor fails on every Poor query', () => {
+  const verdict = evaluateGate({ results, analyses }, { policy: 'any-poor', limits: {} });
+  assert.equal(verdict.passed, false);
+  assert.equal(verdict.exitCode, EXIT_CODES.violated);
+  assert.deepEqual(verdict.queries, [results[0]]);
+});
+
+test('new-poor passes when the Poor query was already Poor on the base branch', () => {
+  const baseline = [query('{ a: 2 }')];
+  const verdict = evaluateGate({ results, analyses, baseline, baselineAnalyses: [analysis('Poor')] }, { policy: 'new-poor', limits: {} });
+  assert.equal(verdict.passed, true);
+  assert.equal(verdict.exitCode, EXIT_CODES.clean);
+  assert.deepEqual(verdict.queries, []);
+});
+
+test('new-poor counts every Poor query as new without a baseline', () => {
+  const verdict = evaluateGate({ results, analyses }, { policy: 'new-poor', limits: {} });
+  assert.equal(verdict.passed, false);
+  assert.match(verdict.reasons[0], /No baseline/);
+});
+
+test('limits fails only on the exceeded severities and rules', () => {
+  const lintFindings = [finding('unbounded-find', 'warning'), finding('unbounded-find', 'warning')];
+  const verdict = evaluateGate({ results, analyses, lintFindings }, { policy: 'limits', limits: { error: 0, warning: 5 } });
+  assert.equal(verdict.passed, false);
+  assert.deepEqual(verdict.queries, [results[0]]);
+  assert.ok(verdict.reasons.some(reason => reason.includes('`error`') && reason.includes('exceeded')));
+  assert.ok(!verdict.reasons.some(reason => reason.includes('`warning`') && reason.includes('exceeded')));
+});
+
+test('warn-only reports Poor queries but passes', () => {
+  const verdict = evaluateGate({ results, analyses }, { policy: 'warn-only', limits: {} });
+  assert.equal(verdict.passed, true);
+  assert.equal(verdict.exitCode, EXIT_CODES.clean);
+  assert.deepEqual(verdict.queries, [results[0]]);
+});
+
+test('rejects invalid gate settings', () => {
+  assert.throws(() => loadGateSettings({ gate: { policy: 'strict' } }), GateConfigError);
+  assert.throws(() => loadGateSettings({ gate: { policy: 'limits' } }), GateConfigError);
+  assert.throws(() => loadGateSettings({ gate: { policy: 'limits', limits: { error: -1 } } }), GateConfigError);
+  assert.deepEqual(loadGateSettings({ gate: { policy: 'any-poor' } }), { policy: 'any-poor', limits: {} });
+});
+
+test('the default policy never fails the build', () => {
+  const previous = process.env.GATE_POLICY;
+  delete process.env.GATE_POLICY;
+  try {
+    const settings = loadGateSettings({});
+    assert.equal(settings.policy, 'warn-only');
+    assert.equal(evaluateGate({ results, analyses }, settings).exitCode, EXIT_CODES.clean);
+  } finally {
+    if (previous !== undefined) process.env.GATE_POLICY = previous;
+  }
+});
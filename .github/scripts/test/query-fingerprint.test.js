@@ -0,0 +1,88 @@
+// .github/scripts/test/query-fingerprint.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { canonicalShape, queryFingerprint } = require('../query-fingerprint');
+
+const find = rawQuery => ({ collection: 'users', method: 'find', rawQuery });
+
+test('ignores literal values and key order', () => {
+  assert.equal(
+    queryFingerprint(find("{ status: 'active', age: { $gt: 21 } }")),
+    queryFingerprint(find("{ age: { $gt: 65 }, status: 'inactive' }"))
+  );
+});
+
+test('treats $eq and single-value $in like a plain value', () => {
+  const plain = queryFingerprint(find("{ status: 'active' }"));
+  assert.equal(queryFingerprint(find("{ status: { $eq: 'active' } }")), plain);
+  assert.equal(queryFingerprint(find("{ status: { $in: ['active'] } }")), plain);
+  assert.notEqual(queryFingerprint(find("{ status: { $in: ['active', 'new'] } }")), plain);
+});
+
+test('keeps value types and structural operands', () => {
+  assert.notEqual(queryFingerprint(find('{ age: 21 }')), queryFingerprint(find("{ age: '21' }")));
+  assert.notEqual(
+    queryFingerprint(find('{ email: { $exists: true } }')),
+    queryFingerprint(find('{ email: { $exists: false } }'))
+  );
+});
+
+test('orders $or branches canonically', () => {
+  assert.equal(
+    queryFingerprint(find('{ $or: [{ a: 1 }, { b: 2 }] }')),
+    queryFingerprint(find('{ $or: [{ b: 3 }, { a: 4 }] }'))
+  );
+});
+
+test('separates collections and methods', () => {
+  const query = find('{ a: 1 }');
+  assert.notEqual(queryFingerprint(query), queryFingerprint({ ...query, collection: 'orders' }));
+  assert.notEqual(queryFingerprint(query), queryFingerprint({ ...query, method: 'findOne' }));
+});
+
+test('keeps pipeline stage order and $sort directions', () => {
+  const pipeline = rawQuery => ({ collection: 'orders', method: 'aggregate', rawQuery });
+  assert.deepEqual(canonicalShape(pipeline("[{ $match: { status: 'paid' } }, { $sort: { total: -1 } }, { $limit: 10 }]")), [
+    { $match: { status: '?string' } },
+    { $sort: { total: -1 } },
+    { $limit: '?number' }
+  ]);
+  assert.notEqual(
+    queryFingerprint(pipeline('[{ $sort: { total: -1 } }]')),
+    queryFingerprint(pipeline('[{ $sort: { total: 1 } }]'))
+  );
+});
+
+test('falls back to the raw text for unparseable queries', () => {
+  assert.deepEqual(canonicalShape(find('{ a: someCall( ) }')), { raw: '{a:someCall()}' });
+});
+
+test('keeps chained queries apart that differ only in runtime modifiers', () => {
+  const chained = (cursorModifiers, unknownFields = []) => ({
+    collection: 'users',
+    method: 'find',
+    pattern: 'chained',
+    rawQuery: JSON.stringify({ find: '{ a: 1 }' }),
+    cursorModifiers,
+    unknownFields
+  });
+  const bySort = queryFingerprint(chained(['sort'], [{ path: 'sort', expression: 'order' }]));
+  const byLimit = queryFingerprint(chained(['limit'], [{ path: 'limit', expression: 'n' }]));
+  assert.notEqual(bySort, byLimit);
+  assert.notEqual(bySort, queryFingerprint(chained([])));
+  // A runtime limit option is the same query as a chained runtime limit
+  assert.equal(queryFingerprint(chained([], [{ path: 'limit', expression: 'n' }])), byLimit);
+  // Placeholders in the filter are not modifiers
+  assert.equal(queryFingerprint(chained([], [{ path: 'find.a', expression: 'x' }])), queryFingerprint(chained([])));
+});
+
+test('runtime modifiers do not change the shape of their literal counterparts', () => {
+  const query = {
+    collection: 'users',
+    method: 'find',
+    pattern: 'chained',
+    rawQuery: JSON.stringify({ find: '{ a: 1 }', limit: '10' }),
+    cursorModifiers: ['limit']
+  };
+  assert.deepEqual(canonicalShape(query), { find: { a: '?number' }, limit: '?number' });
+});
@@ -0,0 +1,71 @@
+// .github/scripts/test/query-literal.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ObjectId } = require('mongodb');
+const { parseQueryLiteral, UnsupportedExpressionError } = require('../query-literal');
+
+test('parses JSON and JS object and array literals', () => {
+  assert.deepEqual(parseQueryLiteral('{"status": "paid", "total": {"$gt": 10}}'), { status: 'paid', total: { $gt: 10 } });
+  assert.deepEqual(parseQueryLiteral("{ status: 'paid', 'items.sku': `A-1`, tags: ['a', null], active: true }"), {
+    status: 'paid',
+    'items.sku': 'A-1',
+    tags: ['a', null],
+    active: true
+  });
+  assert.deepEqual(parseQueryLiteral("[{ $match: { a: 1 } }, { $limit: 5 }]"), [{ $match: { a: 1 } }, { $limit: 5 }]);
+});
+
+test('parses negative numbers, regexes and dates', () => {
+  const query = parseQueryLiteral("{ createdAt: -1, score: { $gt: -2.5 }, name: /^ad/i, at: new Date('2024-01-02T00:00:00Z'), since: ISODate('2024-01-01') }");
+  assert.equal(query.createdAt, -1);
+  assert.equal(query.score.$gt, -2.5);
+  assert.ok(query.name instanceof RegExp);
+  assert.equal(query.name.source, '^ad');
+  assert.equal(query.name.flags, 'i');
+  assert.ok(query.at instanceof Date);
+  assert.equal(query.at.toISOString(), '2024-01-02T00:00:00.000Z');
+  assert.equal(query.since.toISOString(), '2024-01-01T00:00:00.000Z');
+});
+
+test('parses ObjectId with or without new and through mongoose.Types', () => {
+  const id = '64b7f0c2a1b2c3d4e5f60718';
+  const query = parseQueryLiteral(`{ a: ObjectId('${id}'), b: new ObjectId('${id}'), c: new mongoose.Types.ObjectId('${id}') }`);
+  for (const value of Object.values(query)) {
+    assert.ok(value instanceof ObjectId);
+    assert.equal(value.toHexString(), id);
+  }
+});
+
+test('strips TypeScript casts', () => {
+  assert.deepEqual(parseQueryLiteral("{ status: 'paid' as const, total: (10 as number), owner: null! } satisfies object"), {
+    status: 'paid',
+    total: 10,
+    owner: null
+  });
+});
+
+test('rejects anything that would run code or read variables', () => {
+  const rejected = [
+    '{ a: process.exit(1) }',
+    "{ a: require('fs') }",
+    '{ a: userId }',
+    '{ a: req.query.id }',
+    "{ a: req['query'] }",
+    '{ a: `${id}` }',
+    '{ ...filter }',
+    '{ [key]: 1 }',
+    '{ a: () => 1 }',
+    '{ a: -"1" }',
+    '{ __proto__: { polluted: true } }'
+  ];
+  for (const source of rejected) {
+    assert.throws(() => parseQueryLiteral(source), UnsupportedExpressionError, source);
+  }
+});
+
+test('names the unsupported expression in the error', () => {
+  assert.throws(() => parseQueryLiteral('{ a: getId() }'), {
+    name: 'UnsupportedExpressionError',
+    message: 'Unsupported expression: CallExpression `getId()`'
+  });
+});
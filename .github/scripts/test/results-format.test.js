@@ -0,0 +1,76 @@
+// .github/scripts/test/results-format.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { RESULTS_FORMAT_VERSION, TOOL, ResultsFormatError, queryRef, writeResults, readResultsFile } = require('../results-format');
+
+const doc = {
+  formatVersion: RESULTS_FORMAT_VERSION,
+  tool: TOOL,
+  run: { generatedAt: '2024-03-01T12:00:00.000Z', commit: 'abc1234', database: 'shop', serverVersion: '7.0.4' },
+  summary: { total: 2, good: 1, fair: 0, poor: 1 },
+  queries: [
+    { fingerprint: 'f1', collection: 'orders', method: 'find', file: 'a.js', startLine: 3, status: 'ok', score: 'Poor', metrics: { totalMillis: 40, docsExamined: 5000 } },
+    { fingerprint: 'f2', collection: 'users', method: 'findOne', file: 'b.js', startLine: 9, status: 'error', error: 'Invalid query syntax' }
+  ],
+  lintFindings: [{ ruleId: 'unbounded-find', severity: 'warning', message: 'find() has no limit', file: 'a.js', line: 3 }],
+  verdict: { policy: 'warn-only', passed: true, exitCode: 0 }
+};
+
+// Write `doc` to a temporary directory as results.json and results.ndjson
+function writeTemp(t, document = doc) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'results-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const files = { jsonFile: path.join(dir, 'results.json'), ndjsonFile: path.join(dir, 'results.ndjson') };
+  writeResults(document, files);
+  return files;
+}
+
+test('reads back the document written as JSON and as NDJSON', t => {
+  const { jsonFile, ndjsonFile } = writeTemp(t);
+  assert.deepEqual(readResultsFile(jsonFile), doc);
+  assert.deepEqual(readResultsFile(ndjsonFile), doc);
+});
+
+test('writes one NDJSON line per run, query and lint finding', t => {
+  const { ndjsonFile } = writeTemp(t);
+  const lines = fs.readFileSync(ndjsonFile, 'utf-8').trim().split('\n').map(line => JSON.parse(line));
+  assert.deepEqual(lines.map(line => line.type), ['run', 'query', 'query', 'lint']);
+  assert.equal(lines[0].formatVersion, RESULTS_FORMAT_VERSION);
+  assert.equal(lines[0].queries, undefined);
+  assert.equal(lines[1].fingerprint, 'f1');
+});
+
+test('rejects an unknown format version in either form', t => {
+  const { jsonFile, ndjsonFile } = writeTemp(t, { ...doc, formatVersion: RESULTS_FORMAT_VERSION + 1 });
+  for (const file of [jsonFile, ndjsonFile]) {
+    assert.throws(() => readResultsFile(file), {
+      name: 'ResultsFormatError',
+      message: `${file} has results format version ${RESULTS_FORMAT_VERSION + 1}; this tool reads version ${RESULTS_FORMAT_VERSION}`
+    });
+  }
+  const { jsonFile: unversioned } = writeTemp(t, { ...doc, formatVersion: undefined });
+  assert.throws(() => readResultsFile(unversioned), ResultsFormatError);
+});
+
+test('rejects NDJSON without a run record', t => {
+  const { ndjsonFile } = writeTemp(t);
+  const withoutRun = fs.readFileSync(ndjsonFile, 'utf-8').split('\n').slice(1).join('\n');
+  fs.writeFileSync(ndjsonFile, withoutRun);
+  assert.throws(() => readResultsFile(ndjsonFile), { name: 'ResultsFormatError', message: /has no run record/ });
+});
+
+test('refers to a query by its identifying fields only', () => {
+  assert.deepEqual(queryRef({ ...doc.queries[0], startColumn: 5, endLine: 4, endColumn: 20 }), {
+    fingerprint: 'f1',
+    collection: 'orders',
+    method: 'find',
+    file: 'a.js',
+    startLine: 3,
+    startColumn: 5,
+    endLine: 4,
+    endColumn: 20
+  });
+});
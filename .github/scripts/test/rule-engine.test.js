@@ -0,0 +1,110 @@
+// .github/scripts/test/rule-engine.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { RuleConfigError, loadConfig, loadRules, runRules } = require('../rule-engine');
+
+// Temporary project directory holding the given files
+function project(t, files) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'rules-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  for (const [name, content] of Object.entries(files)) {
+    fs.mkdirSync(path.dirname(path.join(dir, name)), { recursive: true });
+    fs.writeFileSync(path.join(dir, name), typeof content === 'string' ? content : JSON.stringify(content));
+  }
+  return dir;
+}
+
+const ruleModule = (id, severity, body = 'return null;') => `module.exports = {
+  id: '${id}',
+  severity: '${severity}',
+  defaults: { limit: 10 },
+  check(context) { ${body} }
+};
+`;
+
+test('loads a missing config as empty settings', t => {
+  const dir = project(t, {});
+  assert.deepEqual(loadConfig(path.join(dir, '.mongo-profiler.json')), { baseDir: process.cwd(), rules: {} });
+});
+
+test('loads the config file relative to its directory', t => {
+  const dir = project(t, { '.mongo-profiler.json': { rulesDir: 'custom', gate: { policy: 'any-poor' } } });
+  const config = loadConfig(path.join(dir, '.mongo-profiler.json'));
+  assert.equal(config.baseDir, dir);
+  assert.equal(config.rulesDir, 'custom');
+  assert.deepEqual(config.rules, {});
+  assert.deepEqual(config.gate, { policy: 'any-poor' });
+});
+
+test('rejects a config file that is not valid JSON', t => {
+  const dir = project(t, { '.mongo-profiler.json': '{ "rules": { "collection-scan": false, } }' });
+  assert.throws(() => loadConfig(path.join(dir, '.mongo-profiler.json')), {
+    name: 'RuleConfigError',
+    message: /^Invalid JSON in .*\.mongo-profiler\.json/
+  });
+});
+
+test('applies severity overrides, disabled rules and options', t => {
+  const dir = project(t, {});
+  const rules = loadRules({
+    baseDir: dir,
+    file: 'config',
+    rules: {
+      'collection-scan': { severity: 'info' },
+      'execution-time': false,
+      'large-skip': { enabled: false },
+      'docs-examined': { options: { threshold: 5 } }
+    }
+  });
+  const byId = Object.fromEntries(rules.map(rule => [rule.id, rule]));
+  assert.equal(byId['collection-scan'].severity, 'info');
+  assert.equal(byId['collection-scan'].enabled, true);
+  assert.equal(byId['execution-time'].enabled, false);
+  assert.equal(byId['large-skip'].enabled, false);
+  assert.equal(byId['docs-examined'].options.threshold, 5);
+  assert.ok(rules.every(rule => ['explain', 'lint'].includes(rule.type)));
+});
+
+test('rejects an invalid severity override', t => {
+  const dir = project(t, {});
+  assert.throws(() => loadRules({ baseDir: dir, file: 'config', rules: { 'collection-scan': { severity: 'fatal' } } }), RuleConfigError);
+});
+
+test('warns about settings for unknown rules', t => {
+  const dir = project(t, {});
+  const warn = t.mock.method(console, 'warn', () => {});
+  loadRules({ baseDir: dir, file: 'config', rules: { 'no-such-rule': false } });
+  assert.match(warn.mock.calls[0].arguments[0], /Unknown rule "no-such-rule"/);
+});
+
+test('loads custom rules from the rules directory, replacing built-ins of the same id', t => {
+  const dir = project(t, {
+    '.mongo-profiler/rules/tenant-filter.js': ruleModule('tenant-filter', 'error', "return context.query.tenant ? null : { message: `no tenant (limit ${context.options.limit})` };"),
+    '.mongo-profiler/rules/collection-scan.js': ruleModule('collection-scan', 'info'),
+    'other/rules/ignored.js': ruleModule('ignored', 'error')
+  });
+  const rules = loadRules({ baseDir: dir, rules: { 'tenant-filter': { options: { limit: 3 } } } });
+  const custom = rules.find(rule => rule.id === 'tenant-filter');
+  assert.ok(custom);
+  assert.equal(rules.find(rule => rule.id === 'collection-scan').severity, 'info');
+  assert.ok(!rules.some(rule => rule.id === 'ignored'));
+  assert.deepEqual(runRules([custom], { query: {} }), [{ message: 'no tenant (limit 3)', ruleId: 'tenant-filter', severity: 'error' }]);
+});
+
+test('loads custom rules from the configured rulesDir', t => {
+  const dir = project(t, { 'checks/a.js': ruleModule('custom-a', 'warning') });
+  assert.ok(loadRules({ baseDir: dir, rulesDir: 'checks', rules: {} }).some(rule => rule.id === 'custom-a'));
+});
+
+test('rejects a custom rule without a valid severity', t => {
+  const dir = project(t, { '.mongo-profiler/rules/bad.js': ruleModule('bad', 'critical') });
+  assert.throws(() => loadRules({ baseDir: dir, rules: {} }), { name: 'RuleConfigError', message: /invalid severity "critical"/ });
+});
+
+test('reports a rule that throws as a warning finding', () => {
+  const rules = [{ id: 'broken', type: 'explain', enabled: true, severity: 'error', options: {}, check: () => { throw new Error('boom'); } }];
+  assert.deepEqual(runRules(rules, {}), [{ ruleId: 'broken', severity: 'warning', message: 'Rule broken failed: boom' }]);
+});
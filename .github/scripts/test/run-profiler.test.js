@@ -0,0 +1,185 @@
+// .github/scripts/test/run-profiler.test.js
+process.env.BENCHMARK_RUNS = '3';
+process.env.BENCHMARK_WARMUP = '0';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { getExplainResult, profileQuery } = require('../run-profiler');
+const { summarizeExplain } = require('../analyze-explains');
+const { DeadlineExceededError } = require('../worker-pool');
+
+const explainResult = { queryPlanner: {}, executionStats: { executionTimeMillis: 4, totalDocsExamined: 1, totalKeysExamined: 1 } };
+
+// Database whose find() cursors record the maxTimeMS of every explain
+function fakeDb(maxTimes) {
+  const cursor = {
+    maxTimeMS(ms) {
+      maxTimes.push(ms);
+      return cursor;
+    },
+    limit: () => cursor,
+    explain: async () => explainResult
+  };
+  return { collection: () => ({ find: () => cursor }) };
+}
+
+// Deadline with `ms` left that passes after `checks` checks
+function fakeDeadline(ms, checks) {
+  let count = 0;
+  return {
+    remaining: () => ms,
+    check() {
+      if (++count > checks) throw new DeadlineExceededError();
+    }
+  };
+}
+
+const query = { file: 'a.js', collection: 'users', method: 'find', rawQuery: '{ a: 1 }', pattern: 'mongodb-driver' };
+
+test('bounds each explain by the time left before the deadline', async () => {
+  const maxTimes = [];
+  const result = await profileQuery(fakeDb(maxTimes), query, fakeDeadline(1500, Infinity));
+  assert.equal(result.status, 'ok');
+  assert.deepEqual(maxTimes, [1500, 1500, 1500, 1500]);
+  assert.equal(result.benchmark.runs, 3);
+});
+
+test('keeps the explain when the deadline passes during the benchmark', async () => {
+  const result = await profileQuery(fakeDb([]), query, fakeDeadline(10000, 2));
+  assert.equal(result.status, 'ok');
+  assert.equal(result.explain, explainResult);
+  assert.equal(result.benchmark, undefined);
+  assert.equal(result.benchmarkSkipped, 'Global profiling deadline reached');
+});
+
+test('cancels a query whose explain did not start before the deadline', async () => {
+  const result = await profileQuery(fakeDb([]), query, fakeDeadline(10000, 0));
+  assert.equal(result.status, 'cancelled');
+  assert.equal(result.explain, undefined);
+});
+
+// Collection recording the calls made on its cursors and aggregations
+function recordingCollection(calls) {
+  const cursor = new Proxy({}, {
+    // Not a thenable, like the driver's cursors
+    get: (target, name) => (name === 'then' ? undefined : (...args) => {
+      calls.push([name, ...args]);
+      return name === 'explain' ? Promise.resolve(explainResult) : cursor;
+    })
+  });
+  return {
+    collectionName: 'orders',
+    find: filter => {
+      calls.push(['find', filter]);
+      return cursor;
+    },
+    aggregate: (pipeline, options) => {
+      calls.push(['aggregate', pipeline, options]);
+      return cursor;
+    }
+  };
+}
+
+test('applies find options and chained modifiers in the recorded order', async () => {
+  const calls = [];
+  const rawQuery = JSON.stringify({
+    find: '{ status: null }',
+    hint: '{ status: 1 }',
+    collation: "{ locale: 'en' }",
+    select: "'name -_id'",
+    sort: "'-createdAt'",
+    skip: '20',
+    limit: '10'
+  });
+  await getExplainResult({}, recordingCollection(calls), 'find', rawQuery, 'chained', { 'find.status': 'paid' }, 500);
+  assert.deepEqual(calls.map(([name]) => name), ['find', 'maxTimeMS', 'hint', 'collation', 'project', 'sort', 'skip', 'limit', 'explain']);
+  assert.deepEqual(calls[0][1], { status: 'paid' });
+  assert.deepEqual(calls[4][1], { name: 1, _id: 0 });
+  assert.deepEqual(calls[5][1], { createdAt: -1 });
+  assert.deepEqual(calls[6][1], 20);
+  assert.deepEqual(calls[7][1], 10);
+});
+
+test('caps the limit of a chained find', async () => {
+  const calls = [];
+  await getExplainResult({}, recordingCollection(calls), 'findOne', JSON.stringify({ find: '{}', sort: '{ a: 1 }' }), 'chained');
+  assert.deepEqual(calls.find(([name]) => name === 'limit'), ['limit', 1]);
+});
+
+test('explains an aggregation as written, without changing the bound pipeline', async () => {
+  const calls = [];
+  const pipeline = [{ $match: { status: null } }, { $sort: { total: -1 } }];
+  const bindings = { '': pipeline, '0.$match.status': 'paid' };
+  await getExplainResult({}, recordingCollection(calls), 'aggregate', '[]', 'mongodb-driver', bindings, 500);
+  await getExplainResult({}, recordingCollection(calls), 'aggregate', '[]', 'mongodb-driver', bindings, 500);
+  const aggregations = calls.filter(([name]) => name === 'aggregate');
+  assert.equal(aggregations.length, 2);
+  aggregations.forEach(([, sent, options]) => {
+    assert.deepEqual(sent, [{ $match: { status: 'paid' } }, { $sort: { total: -1 } }]);
+    assert.deepEqual(options, { maxTimeMS: 500 });
+  });
+  assert.deepEqual(pipeline, [{ $match: { status: null } }, { $sort: { total: -1 } }]);
+});
+
+// Database recording the commands sent to it
+function recordingDb(calls) {
+  return {
+    command: async command => {
+      calls.push(['command', command]);
+      return explainResult;
+    }
+  };
+}
+
+test('explains countDocuments as the aggregation the driver runs', async () => {
+  const calls = [];
+  await getExplainResult({}, recordingCollection(calls), 'countDocuments', "[{ status: 'paid' }, { skip: 5, limit: 10, hint: { status: 1 } }]", 'mongodb-driver', {}, 500);
+  assert.deepEqual(calls[0], ['aggregate', [
+    { $match: { status: 'paid' } },
+    { $skip: 5 },
+    { $limit: 10 },
+    { $group: { _id: 1, n: { $sum: 1 } } }
+  ], { maxTimeMS: 500, hint: { status: 1 } }]);
+  assert.deepEqual(calls[1], ['explain', 'executionStats']);
+});
+
+test('explains estimatedDocumentCount and distinct with their commands', async () => {
+  const calls = [];
+  const db = recordingDb(calls);
+  await getExplainResult(db, recordingCollection(calls), 'estimatedDocumentCount', '{}', 'mongodb-driver', {}, 500);
+  await getExplainResult(db, recordingCollection(calls), 'distinct', "['status', { total: { $gt: 10 } }]", 'mongodb-driver', {}, 500);
+  await getExplainResult(db, recordingCollection(calls), 'distinct', "['status']", 'mongodb-driver', {}, 500);
+  assert.deepEqual(calls, [
+    ['command', { explain: { count: 'orders' }, verbosity: 'executionStats', maxTimeMS: 500 }],
+    ['command', { explain: { distinct: 'orders', key: 'status', query: { total: { $gt: 10 } } }, verbosity: 'executionStats', maxTimeMS: 500 }],
+    ['command', { explain: { distinct: 'orders', key: 'status', query: {} }, verbosity: 'executionStats', maxTimeMS: 500 }]
+  ]);
+});
+
+test('rejects a distinct without a field name', async () => {
+  const calls = [];
+  const result = await getExplainResult(recordingDb(calls), recordingCollection(calls), 'distinct', '[{ status: 1 }]', 'mongodb-driver');
+  assert.deepEqual(result, { error: 'distinct requires a field name' });
+  assert.deepEqual(calls, []);
+});
+
+test('summarizes metadata counts, count scans and distinct scans', () => {
+  const fastCount = summarizeExplain(require('./fixtures/estimated-count-explain.json'));
+  assert.equal(fastCount.stage, 'RECORD_STORE_FAST_COUNT');
+  assert.equal(fastCount.scanType, 'Metadata count (no scan)');
+  assert.equal(fastCount.docsExamined, 0);
+  assert.equal(fastCount.docsReturned, 5000);
+
+  const countScan = summarizeExplain(require('./fixtures/count-scan-explain.json'));
+  assert.deepEqual(countScan.planStages, ['COUNT_SCAN']);
+  assert.equal(countScan.scanType, 'Index-only count (COUNT_SCAN)');
+  assert.equal(countScan.indexUsed, 'status_1');
+  assert.equal(countScan.keysExamined, 1201);
+  assert.equal(countScan.docsExamined, 0);
+
+  const distinctScan = summarizeExplain(require('./fixtures/distinct-scan-explain.json'));
+  assert.deepEqual(distinctScan.planStages, ['PROJECTION_COVERED', 'DISTINCT_SCAN']);
+  assert.equal(distinctScan.scanType, 'Index-only distinct (DISTINCT_SCAN)');
+  assert.equal(distinctScan.indexUsed, 'status_1');
+  assert.equal(distinctScan.keysExamined, 4);
+});
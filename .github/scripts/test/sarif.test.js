@@ -0,0 +1,54 @@
+// .github/scripts/test/sarif.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { locationUri, toSarif } = require('../sarif');
+
+const doc = {
+  thresholds: {
+    rules: [
+      { id: 'collection-scan', type: 'explain', severity: 'error', enabled: true, description: 'Collection scan' },
+      { id: 'unbounded-find', type: 'lint', severity: 'warning', enabled: true, description: 'find() without a limit' }
+    ]
+  },
+  queries: [
+    {
+      fingerprint: 'abc123',
+      findings: [{ ruleId: 'collection-scan', severity: 'error', message: 'Query scans the whole collection', suggestion: 'Add an index' }],
+      locations: [
+        { file: './src/users.js', startLine: 12, startColumn: 3 },
+        { file: 'src/admin.js', startLine: 40 },
+        { file: null }
+      ]
+    }
+  ],
+  lintFindings: [
+    { ruleId: 'unbounded-find', severity: 'warning', message: 'find() has no limit()', fingerprint: 'def456', location: { file: 'src\\orders.js', startLine: 7 } },
+    { ruleId: 'unbounded-find', severity: 'warning', message: 'find() has no limit()', location: { file: '' } }
+  ]
+};
+
+test('writes one result per finding and source location', () => {
+  const [run] = toSarif(doc).runs;
+  assert.deepEqual(run.results.map(r => [r.ruleId, r.level, r.locations[0].physicalLocation.artifactLocation.uri]), [
+    ['collection-scan', 'error', 'src/users.js'],
+    ['collection-scan', 'error', 'src/admin.js'],
+    ['unbounded-find', 'warning', 'src/orders.js']
+  ]);
+  assert.deepEqual(run.results[0].locations[0].physicalLocation.region, { startLine: 12, startColumn: 3 });
+  assert.equal(run.results[0].message.text, 'Query scans the whole collection. Add an index');
+  assert.deepEqual(run.results[0].partialFingerprints, { queryShape: 'abc123' });
+});
+
+test('describes every rule with its default level', () => {
+  const log = toSarif(doc);
+  assert.equal(log.version, '2.1.0');
+  assert.deepEqual(log.runs[0].tool.driver.rules.map(r => [r.id, r.defaultConfiguration.level]), [
+    ['collection-scan', 'error'],
+    ['unbounded-find', 'warning']
+  ]);
+});
+
+test('location URIs are relative with forward slashes', () => {
+  assert.equal(locationUri('./src\\models\\user.js'), 'src/models/user.js');
+  assert.equal(locationUri(undefined), '');
+});
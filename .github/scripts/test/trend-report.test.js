@@ -0,0 +1,35 @@
+// .github/scripts/test/trend-report.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { detectDrift, sparkline } = require('../trend-report');
+
+const metric = { key: 'totalMillis', label: 'Execution time', minDelta: 5 };
+const options = { window: 10, minRuns: 5, driftPct: 25 };
+
+test('detects a steady rise made of small steps', () => {
+  const drift = detectDrift([20, 21, 23, 24, 26, 27, 29, 30, 32, 34], metric, options);
+  assert.ok(drift);
+  assert.equal(drift.metric, 'totalMillis');
+  assert.equal(drift.runs, 10);
+  assert.ok(drift.changePct > 25);
+  assert.ok(drift.maxStepPct < 20);
+  assert.equal(drift.steadiness, 1);
+});
+
+test('ignores noisy series, small rises and short histories', () => {
+  assert.equal(detectDrift([20, 45, 18, 40, 22, 44, 19, 41, 21, 46], metric, options), null);
+  assert.equal(detectDrift([10, 10, 11, 11, 12, 12, 13, 13, 14, 14], metric, options), null);
+  assert.equal(detectDrift([20, 30, 40, 50], metric, options), null);
+});
+
+test('looks only at the last window of profiled runs', () => {
+  const series = [100, 90, 80, null, 20, 21, 23, 24, 26, 27, 29, 30, 32, 34];
+  assert.equal(detectDrift(series, metric, options).first, 20);
+  assert.equal(detectDrift(series, metric, { ...options, window: 14 }), null);
+});
+
+test('sparklines scale to the series and mark gaps', () => {
+  assert.equal(sparkline([0, null, 7]), '▁·█');
+  assert.equal(sparkline([5, 5]), '▁▁');
+  assert.equal(sparkline([null]), '');
+});
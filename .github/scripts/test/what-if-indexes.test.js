@@ -0,0 +1,13 @@
+// .github/scripts/test/what-if-indexes.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { candidateIndexName } = require('../what-if-indexes');
+
+test('candidate index names are short and distinct per key', () => {
+  const long = Object.fromEntries(Array.from({ length: 20 }, (_, i) => [`customer.address.field_${i}`, 1]));
+  assert.match(candidateIndexName(long), /^whatif_[0-9a-f]{16}$/);
+  assert.equal(candidateIndexName({ a: 1, b: -1 }), candidateIndexName({ a: 1, b: -1 }));
+  // Keys that the old `whatif_<field>_<direction>` names could not tell apart
+  assert.notEqual(candidateIndexName({ a_1_b: 1 }), candidateIndexName({ a: 1, b: 1 }));
+  assert.notEqual(candidateIndexName({ a: 1, b: 1 }), candidateIndexName({ b: 1, a: 1 }));
+});
@@ -0,0 +1,36 @@
+// .github/scripts/test/worker-pool.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { DeadlineExceededError, createDeadline, runPool } = require('../worker-pool');
+
+test('a deadline reports the time left and throws once it has passed', async () => {
+  const deadline = createDeadline(30);
+  assert.ok(deadline.remaining() > 0 && deadline.remaining() <= 30);
+  deadline.check();
+  await new Promise(resolve => setTimeout(resolve, 40));
+  assert.equal(deadline.remaining(), 0);
+  assert.throws(() => deadline.check(), DeadlineExceededError);
+  deadline.clear();
+});
+
+test('no deadline leaves unlimited time', () => {
+  const deadline = createDeadline(0);
+  assert.equal(deadline.remaining(), Infinity);
+  deadline.check();
+});
+
+test('runs items with bounded concurrency in input order and skips those after the abort', async () => {
+  const controller = new AbortController();
+  let running = 0;
+  let peak = 0;
+  const results = await runPool([1, 2, 3, 4, 5], 2, async item => {
+    running++;
+    peak = Math.max(peak, running);
+    await new Promise(resolve => setTimeout(resolve, 5));
+    running--;
+    if (item === 3) controller.abort();
+    return item * 10;
+  }, { signal: controller.signal, onSkipped: item => `skipped ${item}` });
+  assert.equal(peak, 2);
+  assert.deepEqual(results, [10, 20, 30, 40, 'skipped 5']);
+});
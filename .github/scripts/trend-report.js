@@ -0,0 +1,261 @@
+// .github/scripts/trend-report.js
+const fs = require('fs');
+const path = require('path');
+const { METRICS, REGRESSION_THRESHOLD_PCT } = require('./baseline-compare');
+const { HISTORY_FILE, readHistory } = require('./history-store');
+
+const TREND_REPORT_FILE = path.resolve(__dirname, '../../reports/trend-report.md');
+const TREND_FILE = path.resolve(__dirname, '../../reports/trend.json');
+
+// Number of most recent profiled runs of a query that drift detection looks at
+const TREND_WINDOW = parseInt(process.env.TREND_WINDOW, 10) || 10;
+// Fewer profiled runs than this are not enough to call anything a trend
+const TREND_MIN_RUNS = parseInt(process.env.TREND_MIN_RUNS, 10) || 5;
+// Increase of the fitted line over the window, in percent, above which a metric is drifting
+const TREND_DRIFT_PCT = parseFloat(process.env.TREND_DRIFT_PCT) || 25;
+// Minimum Kendall rank correlation between run order and value. It tells a steady climb from
+// a noisy series whose fitted line happens to slope upwards.
+const MIN_STEADINESS = 0.6;
+
+const SPARK_CHARS = '▁▂▃▄▅▆▇█';
+
+// One-line chart of a series; runs without a value are gaps
+function sparkline(values) {
+  const present = values.filter(v => typeof v === 'number');
+  if (present.length === 0) return '';
+  const min = Math.min(...present);
+  const max = Math.max(...present);
+  return values.map(v => {
+    if (typeof v !== 'number') return '·';
+    if (max === min) return SPARK_CHARS[0];
+    return SPARK_CHARS[Math.round(((v - min) / (max - min)) * (SPARK_CHARS.length - 1))];
+  }).join('');
+}
+
+// Least-squares line through the values against their run order
+function fitLine(values) {
+  const n = values.length;
+  const meanX = (n - 1) / 2;
+  const meanY = values.reduce((sum, v) => sum + v, 0) / n;
+  let num = 0;
+  let den = 0;
+  values.forEach((v, x) => {
+    num += (x - meanX) * (v - meanY);
+    den += (x - meanX) ** 2;
+  });
+  const slope = den > 0 ? num / den : 0;
+  return { start: meanY - slope * meanX, end: meanY + slope * (n - 1 - meanX) };
+}
+
+// Kendall's tau between run order and value: 1 when every run is higher than all before it
+function kendallTau(values) {
+  let score = 0;
+  for (let i = 0; i < values.length; i++) {
+    for (let j = i + 1; j < values.length; j++) {
+      score += Math.sign(values[j] - values[i]);
+    }
+  }
+  const pairs = (values.length * (values.length - 1)) / 2;
+  return pairs > 0 ? score / pairs : 0;
+}
+
+// Drift of one metric over the last TREND_WINDOW profiled runs, or null. A metric drifts when
+// its fitted line rises by more than TREND_DRIFT_PCT percent (and at least the metric's
+// `minDelta`) and the rise is steady. `maxStepPct` is the largest run-to-run increase, which
+// shows whether the per-run baseline comparison would have caught it.
+function detectDrift(series, metric, { window = TREND_WINDOW, minRuns = TREND_MIN_RUNS, driftPct = TREND_DRIFT_PCT } = {}) {
+  const values = series.filter(v => typeof v === 'number').slice(-window);
+  if (values.length < minRuns) return null;
+  const fitted = fitLine(values);
+  const rise = fitted.end - fitted.start;
+  if (rise < metric.minDelta) return null;
+  const changePct = fitted.start > 0 ? (rise / fitted.start) * 100 : null;
+  if (changePct !== null && changePct < driftPct) return null;
+  const steadiness = kendallTau(values);
+  if (steadiness < MIN_STEADINESS) return null;
+
+  let maxStepPct = 0;
+  for (let i = 1; i < values.length; i++) {
+    if (values[i - 1] > 0) maxStepPct = Math.max(maxStepPct, ((values[i] - values[i - 1]) / values[i - 1]) * 100);
+  }
+  return {
+    metric: metric.key,
+    label: metric.label,
+    runs: values.length,
+    first: values[0],
+    last: values[values.length - 1],
+    fittedStart: Math.round(fitted.start * 10) / 10,
+    fittedEnd: Math.round(fitted.end * 10) / 10,
+    changePct,
+    steadiness: Math.round(steadiness * 100) / 100,
+    maxStepPct: Math.round(maxStepPct)
+  };
+}
+
+// Every change of plan between consecutive profiled runs of a query
+function planChanges(points) {
+  const changes = [];
+  let previous = null;
+  for (const point of points) {
+    if (!point.plan) continue;
+    if (previous && previous.plan !== point.plan) {
+      changes.push({ recordedAt: point.recordedAt, commit: point.commit, before: previous.plan, after: point.plan });
+    }
+    previous = point;
+  }
+  return changes;
+}
+
+// Trends per query fingerprint over the history runs (oldest first). A fingerprint that occurs
+// several times in a run is followed through its first occurrence.
+function analyzeTrends(history, options = {}) {
+  const byFingerprint = new Map();
+  history.forEach((run, runIndex) => {
+    const seen = new Set();
+    for (const query of run.queries) {
+      if (seen.has(query.fingerprint)) continue;
+      seen.add(query.fingerprint);
+      if (!byFingerprint.has(query.fingerprint)) byFingerprint.set(query.fingerprint, { points: new Array(history.length).fill(null) });
+      const entry = byFingerprint.get(query.fingerprint);
+      entry.query = query;
+      entry.points[runIndex] = { recordedAt: run.recordedAt, commit: run.commit, ...query };
+    }
+  });
+
+  const queries = [...byFingerprint.entries()].map(([fingerprint, { query, points }]) => {
+    const present = points.filter(Boolean);
+    const series = Object.fromEntries(METRICS.map(metric => [metric.key, points.map(p => (p && p.status === 'ok' ? p[metric.key] : null))]));
+    return {
+      fingerprint,
+      collection: query.collection,
+      method: query.method,
+      file: query.file,
+      startLine: query.startLine,
+      runs: present.length,
+      lastSeen: present[present.length - 1].recordedAt,
+      series,
+      plans: [...new Set(present.map(p => p.plan).filter(Boolean))],
+      planChanges: planChanges(present),
+      drifts: METRICS.map(metric => detectDrift(series[metric.key], metric, options)).filter(Boolean)
+    };
+  });
+
+  return {
+    runs: history.length,
+    from: history[0]?.recordedAt || null,
+    to: history[history.length - 1]?.recordedAt || null,
+    settings: {
+      window: options.window || TREND_WINDOW,
+      minRuns: options.minRuns || TREND_MIN_RUNS,
+      driftPct: options.driftPct || TREND_DRIFT_PCT
+    },
+    queries
+  };
+}
+
+function describeQuery(query) {
+  const location = `${query.file || 'unknown'}${query.startLine ? `:${query.startLine}` : ''}`;
+  return `\`${location}\` (\`${query.collection || 'unknown'}.${query.method}\`)`;
+}
+
+const shortDate = iso => (iso ? iso.slice(0, 10) : 'unknown');
+const shortCommit = commit => (commit ? ` \`${commit.slice(0, 7)}\`` : '');
+
+// Markdown trend report: drifting metrics first, then plan changes, then every query's charts
+function trendReportLines(trends) {
+  const lines = [
+    '# 📈 MongoDB Query Trends',
+    ''
+  ];
+  if (trends.runs === 0) {
+    lines.push('No runs recorded yet.');
+    return lines;
+  }
+  lines.push(`${trends.runs} runs from ${shortDate(trends.from)} to ${shortDate(trends.to)}. A metric is drifting when it rose by more than ${trends.settings.driftPct}% steadily over the last ${trends.settings.window} profiled runs of a query (at least ${trends.settings.minRuns} runs).`);
+  lines.push('');
+
+  const drifting = trends.queries.filter(q => q.drifts.length > 0);
+  if (drifting.length > 0) {
+    lines.push('## ⚠️ Steady Drift');
+    lines.push('');
+    lines.push('| Query | Metric | Trend | Fitted Start → End | Change | Largest Single Step |');
+    lines.push('|-------|--------|-------|--------------------|--------|---------------------|');
+    drifting.forEach(query => query.drifts.forEach(drift => {
+      const change = drift.changePct === null ? '(from 0)' : `+${drift.changePct.toFixed(0)}%`;
+      const step = drift.maxStepPct <= REGRESSION_THRESHOLD_PCT
+        ? `+${drift.maxStepPct}% (under the ${REGRESSION_THRESHOLD_PCT}% regression threshold)`
+        : `+${drift.maxStepPct}%`;
+      const values = query.series[drift.metric].filter(v => typeof v === 'number').slice(-drift.runs);
+      lines.push(`| ${describeQuery(query)} | ${drift.label} | \`${sparkline(values)}\` | ${drift.fittedStart} → **${drift.fittedEnd}** | ${change} | ${step} |`);
+    }));
+    lines.push('');
+  } else {
+    lines.push('✅ **No steady drift** in execution time, documents examined or keys examined');
+    lines.push('');
+  }
+
+  const changed = trends.queries.filter(q => q.planChanges.length > 0);
+  if (changed.length > 0) {
+    lines.push('## 🔀 Plan Changes');
+    lines.push('');
+    changed.forEach(query => {
+      lines.push(`- ${describeQuery(query)}`);
+      query.planChanges.forEach(change => {
+        lines.push(`  - ${shortDate(change.recordedAt)}${shortCommit(change.commit)}: ${change.before} → ${change.after}`);
+      });
+    });
+    lines.push('');
+  }
+
+  lines.push('## All Queries');
+  lines.push('');
+  lines.push(`Charts show one character per run, oldest first; \`·\` is a run where the query was missing or not profiled.`);
+  lines.push('');
+  lines.push(`| Query | Runs | ${METRICS.map(m => `${m.label}${m.unit ? ` (${m.unit})` : ''}`).join(' | ')} | Plans |`);
+  lines.push(`|-------|------|${METRICS.map(() => '------').join('|')}|-------|`);
+  trends.queries.forEach(query => {
+    const charts = METRICS.map(metric => {
+      const series = query.series[metric.key];
+      const last = [...series].reverse().find(v => typeof v === 'number');
+      return last === undefined ? '–' : `\`${sparkline(series)}\` ${last}`;
+    });
+    lines.push(`| ${describeQuery(query)} | ${query.runs} | ${charts.join(' | ')} | ${query.plans.length} |`);
+  });
+  lines.push('');
+  return lines;
+}
+
+async function main() {
+  const history = readHistory();
+  if (history.length === 0) {
+    console.log(`No history found at ${HISTORY_FILE}; run npm run record-history after npm run report first`);
+  }
+  const trends = analyzeTrends(history);
+  fs.mkdirSync(path.dirname(TREND_REPORT_FILE), { recursive: true });
+  fs.writeFileSync(TREND_FILE, JSON.stringify(trends, null, 2));
+  fs.writeFileSync(TREND_REPORT_FILE, trendReportLines(trends).join('\n'));
+
+  const drifts = trends.queries.flatMap(q => q.drifts.map(drift => ({ query: q, drift })));
+  console.log(`📈 ${trends.queries.length} queries over ${trends.runs} runs`);
+  drifts.forEach(({ query, drift }) => {
+    console.log(`   ⚠️  ${query.file || 'unknown'}:${query.startLine || '?'} ${drift.label}: ${drift.fittedStart} → ${drift.fittedEnd} over ${drift.runs} runs`);
+  });
+  const planChangeCount = trends.queries.reduce((sum, q) => sum + q.planChanges.length, 0);
+  if (planChangeCount > 0) console.log(`   🔀 ${planChangeCount} plan changes`);
+  console.log(`📄 Trend report: ${TREND_REPORT_FILE}`);
+  console.log(`🗂️  Trend data: ${TREND_FILE}`);
+}
+
+if (require.main === module) {
+  main().catch(err => {
+    console.error(err);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  sparkline,
+  detectDrift,
+  analyzeTrends,
+  trendReportLines
+};
@@ -0,0 +1,175 @@
+// .github/scripts/what-if-indexes.js
+require('dotenv').config();
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { getExplainResult, connect } = require('./run-profiler');
+const { recommendIndexes, createIndexCommand } = require('./index-recommender');
+const { summarizeExplain } = require('./analyze-explains');
+
+const INPUT_FILE = path.resolve(__dirname, '../../reports/profiler-output.log');
+const INDEXES_FILE = path.resolve(__dirname, '../../reports/indexes.json');
+const OUTPUT_FILE = path.resolve(__dirname, '../../reports/what-if.json');
+// Optional JSON list of candidate indexes, e.g. [{ "collection": "orders", "key": { "status": 1 } }]
+const CANDIDATES_FILE = process.env.WHAT_IF_INDEXES ? path.resolve(process.env.WHAT_IF_INDEXES) : null;
+
+// Index options copied when cloning a collection's existing indexes
+const INDEX_OPTIONS = ['unique', 'sparse', 'partialFilterExpression', 'expireAfterSeconds', 'collation', 'weights', 'default_language', 'language_override', '2dsphereIndexVersion', 'wildcardProjection'];
+
+// Candidate indexes with the result indexes they should improve
+function loadCandidates(results) {
+  if (CANDIDATES_FILE) {
+    const list = JSON.parse(fs.readFileSync(CANDIDATES_FILE, 'utf-8'));
+    return list.map(({ collection, key }) => ({
+      collection,
+      key,
+      source: 'user',
+      queries: results.map((r, index) => (r.collection === collection && r.status === 'ok' ? index : -1)).filter(i => i >= 0)
+    }));
+  }
+  const existing = fs.existsSync(INDEXES_FILE) ? JSON.parse(fs.readFileSync(INDEXES_FILE, 'utf-8')) : {};
+  return recommendIndexes(results, existing).flatMap(rec => rec.indexes.map(ix => ({
+    collection: rec.collection,
+    key: ix.key,
+    source: 'recommender',
+    queries: ix.queries.map(q => q.index).filter(i => results[i].status === 'ok')
+  })));
+}
+
+// Plan metrics compared before and after building a candidate
+function planMetrics(explain) {
+  if (!explain || explain.error) return { error: explain ? explain.error : 'No explain result' };
+  const summary = summarizeExplain(explain);
+  return {
+    stage: summary.stage,
+    indexUsed: summary.indexUsed,
+    planStages: summary.planStages,
+    keysExamined: summary.keysExamined,
+    docsExamined: summary.docsExamined,
+    executionTimeMillis: summary.totalMillis
+  };
+}
+
+// Explain a profiled query against `db`, with the values of its worst-case binding if it had any
+async function explainResult(db, result) {
+  const worst = (result.bindings || []).find(b => b.worstCase);
+  return planMetrics(await getExplainResult(db, db.collection(result.collection), result.method, result.rawQuery, result.pattern, worst ? worst.values : {}));
+}
+
+// Name of a candidate index, derived from a hash of its key so that long or similar keys can
+// neither collide nor exceed the server's index name length limit
+function candidateIndexName(key) {
+  return `whatif_${crypto.createHash('sha1').update(JSON.stringify(Object.entries(key))).digest('hex').slice(0, 16)}`;
+}
+
+// Copy a collection and its indexes into the scratch database
+async function cloneCollection(db, scratchDb, name) {
+  await db.collection(name).aggregate([{ $match: {} }, { $out: { db: scratchDb.databaseName, coll: name } }]).toArray();
+  const indexes = await db.collection(name).indexes().catch(() => []);
+  for (const ix of indexes) {
+    if (ix.name === '_id_') continue;
+    const options = { name: ix.name };
+    INDEX_OPTIONS.forEach(option => {
+      if (ix[option] !== undefined) options[option] = ix[option];
+    });
+    await scratchDb.collection(name).createIndex(ix.key, options);
+  }
+}
+
+// Build a candidate in the scratch database, explain its queries before and after, and drop it again
+async function evaluateCandidate(scratchDb, candidate, results) {
+  const collection = scratchDb.collection(candidate.collection);
+  const name = candidateIndexName(candidate.key);
+  const evaluation = {
+    collection: candidate.collection,
+    key: candidate.key,
+    command: createIndexCommand(candidate.collection, candidate.key),
+    source: candidate.source,
+    queries: []
+  };
+
+  const before = [];
+  for (const index of candidate.queries) before.push(await explainResult(scratchDb, results[index]));
+
+  try {
+    await collection.createIndex(candidate.key, { name });
+  } catch (err) {
+    evaluation.error = `Could not build index: ${err.message}`;
+    return evaluation;
+  }
+
+  try {
+    for (const [i, index] of candidate.queries.entries()) {
+      const res = results[index];
+      const after = await explainResult(scratchDb, res);
+      evaluation.queries.push({
+        index,
+        file: res.file,
+        startLine: res.startLine,
+        method: res.method,
+        before: before[i],
+        after,
+        planChanged: !before[i].error && !after.error &&
+          (before[i].indexUsed !== after.indexUsed || before[i].planStages.join() !== after.planStages.join())
+      });
+    }
+  } finally {
+    await collection.dropIndex(name).catch(err => console.warn(`  Could not drop ${name}: ${err.message}`));
+  }
+  return evaluation;
+}
+
+async function main() {
+  if (!fs.existsSync(INPUT_FILE)) {
+    console.error('Profiler output file not found:', INPUT_FILE);
+    console.log('Please run run-profiler.js first.');
+    process.exit(1);
+  }
+  const results = JSON.parse(fs.readFileSync(INPUT_FILE, 'utf-8'));
+  const candidates = loadCandidates(results).filter(c => c.queries.length > 0);
+  if (candidates.length === 0) {
+    console.log('No candidate indexes to evaluate.');
+    fs.writeFileSync(OUTPUT_FILE, JSON.stringify({ candidates: [] }, null, 2));
+    return;
+  }
+
+  const { client, db } = await connect();
+  const scratchDb = client.db(`${db.databaseName}_whatif_${Date.now()}`);
+  console.log(`Evaluating ${candidates.length} candidate indexes on scratch copies in ${scratchDb.databaseName}`);
+
+  const evaluations = [];
+  try {
+    const cloned = new Set();
+    for (const candidate of candidates) {
+      console.log(`Evaluating ${createIndexCommand(candidate.collection, candidate.key)}`);
+      try {
+        if (!cloned.has(candidate.collection)) {
+          await cloneCollection(db, scratchDb, candidate.collection);
+          cloned.add(candidate.collection);
+        }
+        evaluations.push(await evaluateCandidate(scratchDb, candidate, results));
+      } catch (err) {
+        console.error(`  Evaluation failed: ${err.message}`);
+        evaluations.push({ collection: candidate.collection, key: candidate.key, command: createIndexCommand(candidate.collection, candidate.key), source: candidate.source, queries: [], error: err.message });
+      }
+    }
+  } finally {
+    // Drop every scratch object, even when an evaluation failed
+    await scratchDb.dropDatabase().catch(err => console.warn(`Could not drop scratch database ${scratchDb.databaseName}: ${err.message}`));
+    await client.close();
+  }
+
+  fs.writeFileSync(OUTPUT_FILE, JSON.stringify({ candidates: evaluations }, null, 2));
+  console.log(`\nWhat-if results saved to ${OUTPUT_FILE}`);
+  const changed = evaluations.reduce((n, e) => n + e.queries.filter(q => q.planChanged).length, 0);
+  console.log(`Summary: ${changed} query plans changed across ${evaluations.length} candidate indexes`);
+}
+
+if (require.main === module) {
+  main().catch(err => {
+    console.error('Error:', err);
+    process.exit(1);
+  });
+}
+
+module.exports = { candidateIndexName };
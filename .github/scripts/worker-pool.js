@@ -0,0 +1,60 @@
+// .github/scripts/worker-pool.js
+
+// Raised inside a task when the global deadline has passed
+class DeadlineExceededError extends Error {
+  constructor() {
+    super('Global profiling deadline reached');
+    this.name = 'DeadlineExceededError';
+  }
+}
+
+// Create a deadline that tasks can poll; `ms` <= 0 means no deadline. `remaining()` is the
+// time left in ms (Infinity without a deadline), for bounding each server command.
+function createDeadline(ms) {
+  const controller = new AbortController();
+  const end = ms > 0 ? Date.now() + ms : Infinity;
+  const timer = ms > 0 ? setTimeout(() => controller.abort(), ms) : null;
+  if (timer && timer.unref) timer.unref();
+  const remaining = () => Math.max(0, end - Date.now());
+  return {
+    signal: controller.signal,
+    remaining,
+    check() {
+      if (controller.signal.aborted || remaining() === 0) throw new DeadlineExceededError();
+    },
+    clear() {
+      if (timer) clearTimeout(timer);
+    }
+  };
+}
+
+// Run `worker(item, index)` over `items` with at most `concurrency` tasks in flight. Items not
+// started before `signal` aborts get `onSkipped(item, index)` instead. Results keep input order.
+async function runPool(items, concurrency, worker, { signal, onSkipped } = {}) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  async function runWorker() {
+    while (next < items.length) {
+      const index = next++;
+      if (signal && signal.aborted) {
+        results[index] = onSkipped ? onSkipped(items[index], index) : undefined;
+        continue;
+      }
+      results[index] = await worker(items[index], index);
+    }
+  }
+
+  const workers = [];
+  for (let i = 0; i < Math.max(1, Math.min(concurrency, items.length)); i++) {
+    workers.push(runWorker());
+  }
+  await Promise.all(workers);
+  return results;
+}
+
+module.exports = {
+  DeadlineExceededError,
+  createDeadline,
+  runPool
+};